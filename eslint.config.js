@@ -30,4 +30,22 @@ export default [
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/serviceWorker/**/*.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
+  {
+    files: ['src/workers/**/*.js'],
+    languageOptions: {
+      globals: globals.worker,
+    },
+  },
 ]
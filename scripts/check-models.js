@@ -0,0 +1,50 @@
+/**
+ * Model Registry Check
+ * Reports registry entries in src/constants/modelManifest.json whose files are
+ * missing from public/ or no longer match the recorded byte size.
+ *
+ * Usage: npm run models:check
+ */
+
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+// The entries the app resolves, so the check cannot drift from the registry
+import { listModelEntries } from '../src/utils/modelRegistry.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+
+async function main() {
+  const problems = [];
+
+  for (const entry of listModelEntries()) {
+    const label = `${entry.modelId}/${entry.quality}${entry.variant ? `/${entry.variant}` : ''} (${entry.url})`;
+
+    try {
+      const { size } = await stat(path.join(PUBLIC_DIR, entry.url));
+
+      // .gltf sources record the size of their external resources as well
+      if (path.extname(entry.url) === '.glb' && size !== entry.bytes) {
+        problems.push(`${label}: size is ${size} bytes, manifest says ${entry.bytes}`);
+      }
+    } catch {
+      problems.push(`${label}: file is missing`);
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error(`Model registry has ${problems.length} problem(s):`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    console.error('Run `npm run models:build` to regenerate the tiers and manifest.');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('Model registry OK: every entry points at an existing file');
+}
+
+main().catch(error => {
+  console.error('Model registry check failed:', error);
+  process.exitCode = 1;
+});
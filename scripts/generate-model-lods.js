@@ -0,0 +1,287 @@
+/**
+ * Model LOD Generation Pipeline
+ * Builds the quality tiers in public/models/optimized from the source GLB, each
+ * with WebP textures plus a KTX2 (Basis Universal) texture variant, and writes the
+ * model registry manifest (tiers, variants, URLs, byte sizes, triangle counts,
+ * animation clips and default transforms) consumed by src/utils/modelRegistry.js.
+ *
+ * Usage: npm run models:build
+ */
+
+import { mkdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import {
+  dedup,
+  draco,
+  meshopt,
+  prune,
+  resample,
+  simplify,
+  textureCompress,
+  weld,
+} from '@gltf-transform/functions';
+import { MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer';
+import draco3d from 'draco3dgltf';
+import { ktx2 } from 'ktx2-encoder/gltf-transform';
+import sharp from 'sharp';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const OUTPUT_DIR = path.join(PUBLIC_DIR, 'models', 'optimized');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'src', 'constants', 'modelManifest.json');
+
+// Source models to register. Rotation is in degrees; `generateTiers: false`
+// registers the source file without building LOD variants, only a KTX2 copy
+// of it whose node graph is left untouched.
+const MODELS = {
+  phoenix: {
+    source: '/models/phoenix_bird.glb',
+    transform: { scale: 0.004, position: [0, -0.5, 0], rotation: [0, 180, 0] }
+  },
+  'phoenix-scene': {
+    source: '/models/phoenix_bird/scene.gltf',
+    transform: { scale: 0.003, position: [0, -1, 0], rotation: [0, 0, 0] },
+    generateTiers: false
+  }
+};
+
+// Per-tier pipeline settings, from lightest to heaviest. ktx2Codec picks the
+// Basis Universal codec of the KTX2 variant: ETC1S is smallest, UASTC keeps detail.
+const TIERS = {
+  'ultra-low': {
+    simplifyRatio: 0.25,
+    simplifyError: 0.01,
+    textureSize: 128,
+    compression: 'draco',
+    resampleTolerance: 1e-3,
+    ktx2Codec: 'etc1s'
+  },
+  'low': {
+    simplifyRatio: 0.5,
+    simplifyError: 0.005,
+    textureSize: 256,
+    compression: 'draco',
+    resampleTolerance: 5e-4,
+    ktx2Codec: 'etc1s'
+  },
+  'medium': {
+    simplifyRatio: 0.75,
+    simplifyError: 0.001,
+    textureSize: 512,
+    compression: 'meshopt',
+    resampleTolerance: 1e-4,
+    ktx2Codec: 'uastc'
+  },
+  'high': {
+    simplifyRatio: 1,
+    simplifyError: 0,
+    textureSize: 1024,
+    compression: 'meshopt',
+    resampleTolerance: 1e-4,
+    ktx2Codec: 'uastc'
+  }
+};
+
+/**
+ * Decode an image to raw RGBA for the Basis encoder
+ */
+async function decodeImage(buffer) {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data: new Uint8Array(data), width: info.width, height: info.height };
+}
+
+/**
+ * Create a NodeIO instance with every codec the tiers need
+ */
+async function createIO() {
+  await Promise.all([MeshoptEncoder.ready, MeshoptSimplifier.ready]);
+
+  return new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'meshopt.encoder': MeshoptEncoder
+    });
+}
+
+/**
+ * Build the transform list for a tier and texture format ('webp' or 'ktx2')
+ */
+function getTierTransforms(settings, textureFormat) {
+  const transforms = [
+    dedup(),
+    prune({ keepAttributes: false }),
+    resample({ tolerance: settings.resampleTolerance })
+  ];
+
+  // Skip simplification entirely for tiers that keep the full mesh
+  if (settings.simplifyRatio < 1) {
+    transforms.push(
+      weld(),
+      simplify({
+        simplifier: MeshoptSimplifier,
+        ratio: settings.simplifyRatio,
+        error: settings.simplifyError
+      })
+    );
+  }
+
+  // KTX2 is encoded from resized lossless PNGs
+  transforms.push(
+    textureCompress({
+      encoder: sharp,
+      targetFormat: textureFormat === 'ktx2' ? 'png' : 'webp',
+      resize: [settings.textureSize, settings.textureSize]
+    })
+  );
+
+  if (textureFormat === 'ktx2') {
+    transforms.push(getKTX2Transform(settings.ktx2Codec));
+  }
+
+  if (settings.compression === 'draco') {
+    transforms.push(draco({ method: 'edgebreaker' }));
+  } else if (settings.compression === 'meshopt') {
+    transforms.push(meshopt({ encoder: MeshoptEncoder, level: 'medium' }));
+  }
+
+  return transforms;
+}
+
+/**
+ * KTX2 settings shared by every variant
+ */
+function getKTX2Transform(codec) {
+  return ktx2({
+    isUASTC: codec === 'uastc',
+    needSupercompression: codec === 'uastc',
+    generateMipmap: true,
+    imageDecoder: decodeImage
+  });
+}
+
+/**
+ * Count rendered triangles across every mesh primitive
+ */
+function countTriangles(document) {
+  let triangles = 0;
+
+  document.getRoot().listMeshes().forEach(mesh => {
+    mesh.listPrimitives().forEach(primitive => {
+      const indices = primitive.getIndices();
+      const position = primitive.getAttribute('POSITION');
+      const vertexCount = indices ? indices.getCount() : position?.getCount() || 0;
+      triangles += Math.floor(vertexCount / 3);
+    });
+  });
+
+  return triangles;
+}
+
+/**
+ * Total size of a model file including external .bin and image resources
+ */
+async function getSourceBytes(io, sourcePath) {
+  const { size } = await stat(sourcePath);
+  if (path.extname(sourcePath) !== '.gltf') return size;
+
+  const { resources } = await io.readAsJSON(sourcePath);
+  return Object.values(resources).reduce((total, resource) => total + resource.byteLength, size);
+}
+
+/**
+ * Generate every tier for one model
+ */
+async function generateModelTiers(io, modelId, model) {
+  const sourcePath = path.join(PUBLIC_DIR, model.source);
+  const sourceDocument = await io.read(sourcePath);
+  const tiers = {};
+
+  // Read a fresh copy per file so tiers never compound each other's losses
+  const writeTierFile = async (settings, textureFormat, fileName) => {
+    const document = await io.read(sourcePath);
+    await document.transform(...getTierTransforms(settings, textureFormat));
+    await io.write(path.join(OUTPUT_DIR, fileName), document);
+
+    const { size } = await stat(path.join(OUTPUT_DIR, fileName));
+    return { document, size };
+  };
+
+  for (const [tier, settings] of Object.entries(model.generateTiers === false ? {} : TIERS)) {
+    const fileName = `${modelId}-${tier}.glb`;
+    const { document, size } = await writeTierFile(settings, 'webp', fileName);
+
+    const ktx2FileName = `${modelId}-${tier}-ktx2.glb`;
+    const ktx2File = await writeTierFile(settings, 'ktx2', ktx2FileName);
+
+    tiers[tier] = {
+      url: `/models/optimized/${fileName}`,
+      bytes: size,
+      triangles: countTriangles(document),
+      textureSize: settings.textureSize,
+      textureFormat: 'webp',
+      compression: settings.compression,
+      variants: {
+        ktx2: {
+          url: `/models/optimized/${ktx2FileName}`,
+          bytes: ktx2File.size,
+          textureFormat: settings.ktx2Codec
+        }
+      }
+    };
+
+    console.log(`  ${tier.padEnd(10)} ${(size / 1024).toFixed(1).padStart(8)} KB  ${(ktx2File.size / 1024).toFixed(1).padStart(8)} KB ktx2  ${tiers[tier].triangles} triangles`);
+  }
+
+  const source = {
+    url: model.source,
+    bytes: await getSourceBytes(io, sourcePath),
+    triangles: countTriangles(sourceDocument)
+  };
+
+  // Components render these sources node by node, so only the textures change
+  if (model.generateTiers === false) {
+    const ktx2FileName = `${modelId}-ktx2.glb`;
+    const document = await io.read(sourcePath);
+    await document.transform(getKTX2Transform('uastc'));
+    await io.write(path.join(OUTPUT_DIR, ktx2FileName), document);
+
+    const { size } = await stat(path.join(OUTPUT_DIR, ktx2FileName));
+    source.variants = {
+      ktx2: { url: `/models/optimized/${ktx2FileName}`, bytes: size, textureFormat: 'uastc' }
+    };
+
+    console.log(`  source     ${(source.bytes / 1024).toFixed(1).padStart(8)} KB  ${(size / 1024).toFixed(1).padStart(8)} KB ktx2  ${source.triangles} triangles`);
+  }
+
+  return {
+    animations: sourceDocument.getRoot().listAnimations().map(animation => animation.getName()),
+    transform: model.transform,
+    source,
+    tiers
+  };
+}
+
+async function main() {
+  const io = await createIO();
+  await mkdir(OUTPUT_DIR, { recursive: true });
+
+  const manifest = { version: 1, models: {} };
+
+  for (const [modelId, model] of Object.entries(MODELS)) {
+    console.log(`Generating LOD tiers for ${modelId} (${model.source})`);
+    manifest.models[modelId] = await generateModelTiers(io, modelId, model);
+  }
+
+  await writeFile(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Manifest written to ${path.relative(ROOT_DIR, MANIFEST_PATH)}`);
+}
+
+main().catch(error => {
+  console.error('Model LOD generation failed:', error);
+  process.exitCode = 1;
+});
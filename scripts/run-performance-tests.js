@@ -0,0 +1,114 @@
+/**
+ * Headless Performance Tests
+ * Runs PerformanceTestSuite under Node with jsdom and a stub WebGL context.
+ * Model tiers are loaded from public/ and decoded with glTF Transform.
+ * Writes JUnit XML and JSON reports and exits non-zero when a test fails.
+ *
+ * Usage: npm run test:performance [-- --profile mobile --out reports/performance]
+ * Budgets come from src/constants/performanceBudgets.json.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder } from 'meshoptimizer';
+import { DESKTOP_USER_AGENT, installHeadlessEnvironment } from '../src/test/headlessEnvironment.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+
+// Devices the suite can emulate; the user agent also selects the budget profile
+const PROFILES = {
+  desktop: {
+    userAgent: DESKTOP_USER_AGENT,
+    gpu: {}
+  },
+  mobile: {
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36',
+    gpu: { renderer: 'Adreno (TM) 730', vendor: 'Qualcomm', maxTextureSize: 8192, extensions: ['WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc'] }
+  }
+};
+
+/**
+ * Count triangles per mesh primitive, as the model registry records them
+ */
+function countTriangles(document) {
+  let triangles = 0;
+
+  document.getRoot().listMeshes().forEach(mesh => {
+    mesh.listPrimitives().forEach(primitive => {
+      const indices = primitive.getIndices();
+      const position = primitive.getAttribute('POSITION');
+      const vertexCount = indices ? indices.getCount() : position?.getCount() || 0;
+      triangles += Math.floor(vertexCount / 3);
+    });
+  });
+
+  return triangles;
+}
+
+/**
+ * Model loader for the suite: read a registry URL from public/ and decode it
+ * (Draco and Meshopt geometry included)
+ */
+async function createDiskModelLoader() {
+  await MeshoptDecoder.ready;
+
+  const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'meshopt.decoder': MeshoptDecoder
+    });
+
+  return async (modelPath) => {
+    const bytes = await readFile(path.join(PUBLIC_DIR, modelPath));
+    const document = await io.readBinary(new Uint8Array(bytes));
+    return { bytes: bytes.byteLength, triangles: countTriangles(document) };
+  };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2).filter(arg => arg !== '--'),
+    options: {
+      profile: { type: 'string', default: 'desktop' },
+      out: { type: 'string', default: 'reports/performance' }
+    }
+  });
+
+  const profile = PROFILES[values.profile];
+  if (!profile) {
+    throw new Error(`Unknown profile "${values.profile}", expected one of: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  const removeEnvironment = installHeadlessEnvironment(profile);
+
+  try {
+    // Imported after the environment exists: device detection reads the user agent on import
+    const { default: PerformanceTestSuite, formatJUnitReport } = await import('../src/utils/performanceTesting.js');
+
+    const suite = new PerformanceTestSuite({ modelLoader: await createDiskModelLoader() });
+    const report = await suite.runTests();
+
+    const outDir = path.resolve(ROOT_DIR, values.out);
+    await mkdir(outDir, { recursive: true });
+    await writeFile(path.join(outDir, 'performance-report.json'), `${JSON.stringify(report, null, 2)}\n`);
+    await writeFile(path.join(outDir, 'junit.xml'), formatJUnitReport(report, `PerformanceTestSuite (${values.profile})`));
+
+    const { testsPassed, testsRun, testsSkipped } = report.summary;
+    console.log(`\n${testsPassed}/${testsRun - testsSkipped} performance tests passed, ${testsSkipped} skipped; reports written to ${path.relative(ROOT_DIR, outDir)}/`);
+    if (report.summary.testsFailed > 0) process.exitCode = 1;
+  } finally {
+    removeEnvironment();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,77 @@
+/**
+ * Service Worker Generation Plugin
+ * Emits dist/sw.js from the service worker template with the precache list
+ * (app shell chunks plus matching public files) and a cache version derived
+ * from their contents, so every deploy that changes the shell ships a new worker.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Recursively list the files of a directory as root-relative URLs
+ */
+async function listPublicFiles(directory, baseUrl = '') {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const entryPath = path.join(directory, entry.name);
+    const url = `${baseUrl}/${entry.name}`;
+    return entry.isDirectory() ? listPublicFiles(entryPath, url) : [url];
+  }));
+
+  return files.flat();
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.template - Service worker source with self.__PRECACHE_URLS__ and self.__CACHE_VERSION__ placeholders
+ * @param {RegExp[]} options.publicPrecache - Public file URLs to precache alongside the shell
+ */
+export default function serviceWorkerPlugin({ template, publicPrecache = [] }) {
+  let publicDir = '';
+
+  return {
+    name: 'ynz3d-service-worker',
+    apply: 'build',
+    // Run after vite:build-html so index.html is part of the bundle
+    enforce: 'post',
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    async generateBundle(options, bundle) {
+      const hash = createHash('sha256');
+      const source = await readFile(template, 'utf8');
+      hash.update(source);
+
+      const shellUrls = Object.keys(bundle)
+        .filter(fileName => !fileName.endsWith('.map'))
+        .sort()
+        .map(fileName => `/${fileName}`);
+
+      // Chunk names carry content hashes; public files are hashed here
+      const publicUrls = (await listPublicFiles(publicDir))
+        .filter(url => publicPrecache.some(pattern => pattern.test(url)))
+        .sort();
+
+      for (const url of shellUrls) hash.update(url);
+      for (const url of publicUrls) {
+        hash.update(url);
+        hash.update(await readFile(path.join(publicDir, url)));
+      }
+
+      const precacheUrls = ['/', ...shellUrls.filter(url => url !== '/index.html'), ...publicUrls];
+      const version = hash.digest('hex').slice(0, 12);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source
+          .replace('self.__PRECACHE_URLS__', JSON.stringify(precacheUrls, null, 2))
+          .replace('self.__CACHE_VERSION__', JSON.stringify(version))
+      });
+    }
+  };
+}
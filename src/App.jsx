@@ -11,17 +11,34 @@ import Contact from './sections/Contact';
 import { useProgress } from '@react-three/drei';
 import HarmonizedGalaxy from './components/HarmonizedGalaxy';
 import ScrollPhoenix from './components/ScrollPhoenix';
+import UpdateToast from './components/UpdateToast';
+import { useServiceWorker } from './hooks/useServiceWorker';
+import { useModelLoadProgress } from './utils/modelMemoryManager';
+import { markModelReady } from './utils/webVitals';
+import { useLenisScrollSync } from './utils/scrollStore';
+import { useSectionRouting } from './utils/sectionRouter';
 
 const App = () => {
-  const { progress } = useProgress();
+  const { progress, loaded, total } = useProgress();
+  const modelProgress = useModelLoadProgress();
   const [isReady, setIsReady] = useState(false);
+  const { updateAvailable, applyUpdate, dismissUpdate } = useServiceWorker();
+  useLenisScrollSync();
+  // Deep links scroll once the loader is gone and the sections are laid out
+  useSectionRouting({ enabled: isReady });
 
   useEffect(() => {
     if (progress === 100) {
       setIsReady(true);
+      markModelReady();
     }
   }, [progress]);
 
+  // Bytes of models still downloading fill in between useProgress's whole-file steps
+  const displayProgress = total > 0
+    ? Math.min(100, ((loaded + modelProgress.fraction) / total) * 100)
+    : progress;
+
   return (
     <ReactLenis root className="relative w-screen min-h-screen overflow-x-auto">
       {/* Galaxy Background */}
@@ -41,12 +58,12 @@ const App = () => {
       {!isReady && (
         <div className="fixed inset-0 z-[999] flex flex-col items-center justify-center bg-black text-white transition-opacity duration-700 font-light">
           <p className="mb-4 text-xl tracking-widest animate-pulse">
-            Loading {Math.floor(progress)}%
+            Loading {Math.floor(displayProgress)}%
           </p>
           <div className="relative h-1 overflow-hidden rounded w-60 bg-white/20">
             <div
               className="absolute top-0 left-0 h-full transition-all duration-300 bg-white"
-              style={{ width: `${progress}%` }}
+              style={{ width: `${displayProgress}%` }}
             ></div>
           </div>
         </div>
@@ -68,6 +85,10 @@ const App = () => {
         <ContactSummary />
         <Contact />
       </div>
+
+      {updateAvailable && (
+        <UpdateToast onReload={applyUpdate} onDismiss={dismissUpdate} />
+      )}
     </ReactLenis>
   );
 };
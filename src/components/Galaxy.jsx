@@ -1,7 +1,17 @@
 import { Renderer, Program, Mesh, Color, Triangle } from "ogl";
 import { useEffect, useRef } from "react";
+import { getQualityController } from "../utils/qualityController";
+import { createPassTimer } from "../utils/renderTiming";
 import "./Galaxy.css";
 
+// Render resolution and star layers per quality tier (adaptiveQuality)
+const GALAXY_QUALITY = {
+  "ultra-low": { resolutionScale: 0.5, layerCount: 2 },
+  low: { resolutionScale: 0.75, layerCount: 3 },
+  medium: { resolutionScale: 1, layerCount: 4 },
+  high: { resolutionScale: 1, layerCount: 4 },
+};
+
 const vertexShader = `
 attribute vec2 uv;
 attribute vec2 position;
@@ -35,6 +45,7 @@ uniform float uRepulsionStrength;
 uniform float uMouseActiveFactor;
 uniform float uAutoCenterRepulsion;
 uniform bool uTransparent;
+uniform float uLayerCount;
 
 varying vec2 vUv;
 
@@ -153,6 +164,7 @@ void main() {
   vec3 col = vec3(0.0);
 
   for (float i = 0.0; i < 1.0; i += 1.0 / NUM_LAYER) {
+    if (i * NUM_LAYER >= uLayerCount) break;
     float depth = fract(i + uStarSpeed * uSpeed);
     float scale = mix(20.0 * uDensity, 0.5 * uDensity, depth);
     float fade = depth * smoothstep(1.0, 0.9, depth);
@@ -187,6 +199,7 @@ export default function Galaxy({
   rotationSpeed = 0.1,
   autoCenterRepulsion = 0,
   transparent = true,
+  adaptiveQuality = false,
   ...rest
 }) {
   const ctnDom = useRef(null);
@@ -213,9 +226,13 @@ export default function Galaxy({
     }
 
     let program;
+    let qualitySettings = adaptiveQuality
+      ? GALAXY_QUALITY[getQualityController().getQuality()]
+      : GALAXY_QUALITY.high;
 
     function resize() {
       const scale = 1;
+      renderer.dpr = qualitySettings.resolutionScale;
       renderer.setSize(ctn.offsetWidth * scale, ctn.offsetHeight * scale);
       if (program) {
         program.uniforms.uResolution.value = new Color(
@@ -262,10 +279,21 @@ export default function Galaxy({
         uMouseActiveFactor: { value: 0.0 },
         uAutoCenterRepulsion: { value: autoCenterRepulsion },
         uTransparent: { value: transparent },
+        uLayerCount: { value: qualitySettings.layerCount },
       },
     });
 
+    // Follow the quality controller's tier without rebuilding the program
+    const unsubscribeQuality = adaptiveQuality
+      ? getQualityController().subscribe(({ quality }) => {
+          qualitySettings = GALAXY_QUALITY[quality];
+          program.uniforms.uLayerCount.value = qualitySettings.layerCount;
+          resize();
+        })
+      : null;
+
     const mesh = new Mesh(gl, { geometry, program });
+    const passTimer = createPassTimer(gl, "galaxy");
     let animateId;
 
     function update(t) {
@@ -288,7 +316,7 @@ export default function Galaxy({
       program.uniforms.uMouse.value[1] = smoothMousePos.current.y;
       program.uniforms.uMouseActiveFactor.value = smoothMouseActive.current;
 
-      renderer.render({ scene: mesh });
+      passTimer.measure(() => renderer.render({ scene: mesh }));
     }
     animateId = requestAnimationFrame(update);
     ctn.appendChild(gl.canvas);
@@ -312,12 +340,14 @@ export default function Galaxy({
 
     return () => {
       cancelAnimationFrame(animateId);
+      unsubscribeQuality?.();
       window.removeEventListener("resize", resize);
       if (mouseInteraction) {
         ctn.removeEventListener("mousemove", handleMouseMove);
         ctn.removeEventListener("mouseleave", handleMouseLeave);
       }
       ctn.removeChild(gl.canvas);
+      passTimer.dispose();
       gl.getExtension("WEBGL_lose_context")?.loseContext();
     };
   }, [
@@ -337,6 +367,7 @@ export default function Galaxy({
     repulsionStrength,
     autoCenterRepulsion,
     transparent,
+    adaptiveQuality,
   ]);
 
   return <div ref={ctnDom} className="galaxy-container" {...rest} />;
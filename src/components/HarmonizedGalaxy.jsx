@@ -62,6 +62,8 @@ const HarmonizedGalaxy = (props) => {
         {...props}
         // Disable Galaxy's built-in mouse interaction since we're overriding it
         mouseInteraction={false}
+        // Resolution and star layers follow the adaptive quality tier
+        adaptiveQuality
         // Add subtle auto-rotation that syncs with scroll
         rotationSpeed={0.02 + interactions.galaxy.scroll * 0.01}
       />
@@ -6,8 +6,9 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Suspense } from 'react';
 import { useThree } from '@react-three/fiber';
-import { useGLTF } from '@react-three/drei';
-import assessDeviceCapabilities, { logDeviceAssessment } from '../utils/deviceDetection';
+import assessDeviceCapabilities, { getPerformanceSettings, logDeviceAssessment } from '../utils/deviceDetection';
+import { resolveManagedModelUrl, useManagedGLTF, useManagedModelProgress } from '../utils/modelMemoryManager';
+import { getQualityController, useQualityDpr } from '../utils/qualityController';
 
 // Loading fallback component
 function ModelFallback({ progress = 0, error = null, quality = 'loading' }) {
@@ -43,11 +44,9 @@ function OptimizedModelLoader({
   onProgress, 
   onError, 
   forceQuality = null,
-  performanceSettings,
-  modelType = 'ynz'
+  modelType = 'phoenix'
 }) {
   const [deviceAssessment, setDeviceAssessment] = useState(null);
-  const [loadingProgress, setLoadingProgress] = useState(0);
   const [error, setError] = useState(null);
   const [retryCount, setRetryCount] = useState(0);
   const loadingTimeoutRef = useRef(null);
@@ -55,11 +54,18 @@ function OptimizedModelLoader({
   // Get Three.js context for performance monitoring
   const { gl, camera, scene } = useThree();
   
+  // Renderer pixel ratio follows the quality controller unless a quality is forced
+  useQualityDpr(forceQuality);
+  
   // Assess device capabilities on mount
   useEffect(() => {
-    const assessment = forceQuality 
-      ? { ...assessDeviceCapabilities(), recommendedQuality: forceQuality }
-      : assessDeviceCapabilities();
+    // The quality controller owns the tier; it starts at the device recommendation
+    const quality = forceQuality || getQualityController().getQuality();
+    const assessment = {
+      ...assessDeviceCapabilities(),
+      recommendedQuality: quality,
+      performanceSettings: getPerformanceSettings(quality)
+    };
     
     // Add model path based on type and quality
     assessment.modelPath = getModelPath(assessment.recommendedQuality, modelType);
@@ -73,7 +79,6 @@ function OptimizedModelLoader({
     // Apply performance settings to renderer
     if (assessment.performanceSettings && gl) {
       const settings = assessment.performanceSettings;
-      gl.setPixelRatio(settings.pixelRatio);
       gl.shadowMap.enabled = settings.shadows;
       gl.antialias = settings.antialias;
       
@@ -88,16 +93,14 @@ function OptimizedModelLoader({
   const modelPath = deviceAssessment?.modelPath;
   const loadingStrategy = deviceAssessment?.loadingStrategy;
   
-  // Load the model using useGLTF with error handling
-  const modelData = useGLTF(
-    modelPath || '/models/optimized/ynz-low.glb', // Fallback
-    true, // Preload
-    (progress) => {
-      const percentage = (progress.loaded / progress.total) * 100;
-      setLoadingProgress(percentage);
-      onProgress?.(percentage);
-    }
-  );
+  // Load the model through the memory manager with byte-level progress
+  const modelUrl = modelPath || resolveManagedModelUrl(modelType, 'low'); // Fallback
+  const modelData = useManagedGLTF(modelUrl, { priority: 'high' });
+  const loadingProgress = useManagedModelProgress(modelUrl);
+  
+  useEffect(() => {
+    onProgress?.(loadingProgress);
+  }, [onProgress, loadingProgress]);
   
   // Set up loading timeout
   useEffect(() => {
@@ -134,58 +137,29 @@ function OptimizedModelLoader({
       }));
       
       setError(null);
-      setLoadingProgress(0);
     } else {
       setError(`Failed to load 3D model: ${errorType}`);
       onError?.(errorType);
     }
   }, [retryCount, loadingStrategy, deviceAssessment, onError]);
   
-  // Monitor performance and adjust quality if needed
+  // Follow the quality controller's tier changes (both directions)
   useEffect(() => {
-    if (!performanceSettings?.maxFPS || !gl) return;
+    if (forceQuality) return;
     
-    let frameCount = 0;
-    let lastTime = performance.now();
-    let lowFPSCount = 0;
-    
-    const checkPerformance = () => {
-      const currentTime = performance.now();
-      frameCount++;
+    return getQualityController().subscribe(({ quality }) => {
+      setDeviceAssessment(prev => prev && ({
+        ...prev,
+        recommendedQuality: quality,
+        performanceSettings: getPerformanceSettings(quality),
+        modelPath: getModelPath(quality, modelType)
+      }));
       
-      if (currentTime - lastTime >= 1000) { // Check every second
-        const fps = frameCount;
-        frameCount = 0;
-        lastTime = currentTime;
-        
-        if (fps < performanceSettings.maxFPS * 0.7) { // 70% of target FPS
-          lowFPSCount++;
-          if (lowFPSCount >= 3) { // 3 consecutive seconds of low FPS
-            // Downgrade quality automatically
-            const qualityLevels = ['high', 'medium', 'low', 'ultra-low'];
-            const currentIndex = qualityLevels.indexOf(deviceAssessment?.recommendedQuality || 'low');
-            if (currentIndex < qualityLevels.length - 1) {
-              const lowerQuality = qualityLevels[currentIndex + 1];
-              console.warn(`Performance degraded, switching to ${lowerQuality} quality`);
-              setDeviceAssessment(prev => ({
-                ...prev,
-                recommendedQuality: lowerQuality,
-                modelPath: getModelPath(lowerQuality, modelType)
-              }));
-            }
-            lowFPSCount = 0;
-          }
-        } else {
-          lowFPSCount = 0;
-        }
+      if (gl) {
+        gl.shadowMap.enabled = getPerformanceSettings(quality).shadows;
       }
-      
-      requestAnimationFrame(checkPerformance);
-    };
-    
-    const animationId = requestAnimationFrame(checkPerformance);
-    return () => cancelAnimationFrame(animationId);
-  }, [gl, performanceSettings, deviceAssessment]);
+    });
+  }, [forceQuality, gl, modelType]);
   
   // Call onLoad when model is ready
   useEffect(() => {
@@ -214,7 +188,7 @@ export default function LODManager({
   onQualityChange = null,
   onLoadingComplete = null,
   onError = null,
-  modelType = 'ynz'
+  modelType = 'phoenix'
 }) {
   const [modelData, setModelData] = useState(null);
   const [currentQuality, setCurrentQuality] = useState(null);
@@ -246,7 +220,6 @@ export default function LODManager({
         onProgress={handleProgress}
         onError={handleError}
         forceQuality={forceQuality}
-        performanceSettings={performanceSettings}
         modelType={modelType}
       />
       
@@ -271,24 +244,8 @@ export default function LODManager({
 }
 
 // Helper function for model path mapping
-function getModelPath(quality, modelType = 'ynz') {
-  const modelPaths = {
-    ynz: {
-      'ultra-low': '/models/optimized/ynz-ultra-low.glb',
-      'low': '/models/optimized/ynz-low.glb',
-      'medium': '/models/optimized/ynz-medium.glb',
-      'high': '/models/optimized/ynz-high.glb'
-    },
-    phoenix: {
-      'ultra-low': '/models/optimized/phoenix-ultra-low.glb',
-      'low': '/models/optimized/phoenix-low.glb',
-      'medium': '/models/optimized/phoenix-medium.glb',
-      'high': '/models/optimized/phoenix-high.glb'
-    }
-  };
-  
-  const paths = modelPaths[modelType] || modelPaths.ynz;
-  return paths[quality] || paths['low'];
+function getModelPath(quality, modelType = 'phoenix') {
+  return resolveManagedModelUrl(modelType, quality);
 }
 
 // Hook for accessing LOD system outside of the component
@@ -5,24 +5,22 @@
 
 import React, { useRef, useEffect, useCallback, useState, useMemo, Suspense } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { useGLTF, useAnimations } from '@react-three/drei';
+import { useAnimations } from '@react-three/drei';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 
 import { useHarmonizedInteractions } from '../hooks/useHarmonizedInteractions';
-import { useScrollNavigation } from '../hooks/useScrollNavigation';
+import { useScrollPose } from '../hooks/useScrollPose';
 import { useAnimationOptimizer } from '../utils/animationOptimizer';
-import { useLOD } from './LODManager';
 import { startPerformanceMonitoring } from '../utils/performanceTesting';
 import assessDeviceCapabilities from '../utils/deviceDetection';
+import { getModelTransform } from '../utils/modelRegistry';
+import { loadModelWithMemoryManagement, resolveManagedModelUrl, useManagedGLTF } from '../utils/modelMemoryManager';
+import { getQualityController, useQualityTier } from '../utils/qualityController';
+import { useRenderTiming } from '../utils/renderTiming';
 
-// Phoenix model path mapping based on quality
-const PHOENIX_MODEL_PATHS = {
-  'ultra-low': '/models/optimized/phoenix-ultra-low.glb',
-  'low': '/models/optimized/phoenix-low.glb',
-  'medium': '/models/optimized/phoenix-medium.glb',
-  'high': '/models/optimized/phoenix-high.glb'
-};
+const PHOENIX_MODEL_ID = 'phoenix';
+const PHOENIX_TRANSFORM = getModelTransform(PHOENIX_MODEL_ID);
 
 /**
  * Loading fallback optimized for Phoenix
@@ -73,14 +71,14 @@ function OptimizedPhoenixModel({
   const group = useRef();
   
   // Performance and optimization hooks
-  const lodSettings = useLOD();
   const animationOptimizer = useAnimationOptimizer();
   const interactions = useHarmonizedInteractions();
-  const scrollNav = useScrollNavigation();
+  const poseRef = useScrollPose();
+  useRenderTiming();
   
   // State management
   const [deviceAssessment] = useState(() => assessDeviceCapabilities());
-  const [currentQuality, setCurrentQuality] = useState(lodSettings.recommendedQuality);
+  const currentQuality = useQualityTier();
   const [performanceMetrics, setPerformanceMetrics] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [loadError, setLoadError] = useState(null);
@@ -91,11 +89,11 @@ function OptimizedPhoenixModel({
   // Determine model path based on quality
   const modelPath = useMemo(() => {
     const quality = performanceMode === 'auto' ? currentQuality : performanceMode;
-    return PHOENIX_MODEL_PATHS[quality] || PHOENIX_MODEL_PATHS.low;
+    return resolveManagedModelUrl(PHOENIX_MODEL_ID, quality);
   }, [currentQuality, performanceMode]);
   
   // Load model with error handling
-  const { nodes, materials, animations, scene } = useGLTF(modelPath, true);
+  const { nodes, materials, animations, scene } = useManagedGLTF(modelPath, { priority: 'high' });
   const { actions, mixer } = useAnimations(animations, group);
   
   // Performance-based animation settings
@@ -155,30 +153,25 @@ function OptimizedPhoenixModel({
     };
   }, []);
   
-  // Performance monitoring and quality adjustment
+  // Performance metrics for the debug overlay
   useEffect(() => {
     if (!performanceMonitor) return;
     
     const checkPerformance = setInterval(() => {
-      const metrics = performanceMonitor.getReport();
-      setPerformanceMetrics(metrics);
-      
-      // Auto-adjust quality based on performance
-      if (performanceMode === 'auto' && metrics.performance.averageFPS < 30) {
-        const qualityLevels = ['high', 'medium', 'low', 'ultra-low'];
-        const currentIndex = qualityLevels.indexOf(currentQuality);
-        
-        if (currentIndex < qualityLevels.length - 1) {
-          const newQuality = qualityLevels[currentIndex + 1];
-          console.warn(`Phoenix performance degraded, switching to ${newQuality} quality`);
-          setCurrentQuality(newQuality);
-          onPerformanceChange?.(newQuality, metrics);
-        }
-      }
+      setPerformanceMetrics(performanceMonitor.getReport());
     }, 3000);
     
     return () => clearInterval(checkPerformance);
-  }, [performanceMonitor, currentQuality, performanceMode, onPerformanceChange]);
+  }, [performanceMonitor]);
+  
+  // Quality is adjusted by the quality controller; report its changes
+  useEffect(() => {
+    if (performanceMode !== 'auto') return;
+    
+    return getQualityController().subscribe(({ quality }) => {
+      onPerformanceChange?.(quality, performanceMonitor?.getReport());
+    });
+  }, [performanceMonitor, performanceMode, onPerformanceChange]);
   
   // Optimized frame update
   useFrame((state, delta) => {
@@ -214,12 +207,16 @@ function OptimizedPhoenixModel({
     
     // Scroll interaction (if enabled)
     if (enableScrollInteraction && shouldUpdateExpensive) {
-      // Scroll-based Z movement
+      // Section pose alignment plus scroll-based Z movement
       if (animationSettings.enablePosition) {
+        const pose = poseRef.current;
         const scrollInfluence = scroll * 0.01;
-        const targetZ = scrollInfluence * 2;
-        targetPositionRef.current.z = targetZ;
+        targetPositionRef.current.x = pose.x;
+        targetPositionRef.current.y = pose.y;
+        targetPositionRef.current.z = pose.z + scrollInfluence * 2;
         
+        group.current.position.x += (targetPositionRef.current.x - group.current.position.x) * delta * 4;
+        group.current.position.y += (targetPositionRef.current.y - group.current.position.y) * delta * 4;
         group.current.position.z += (targetPositionRef.current.z - group.current.position.z) * delta * 3;
       }
       
@@ -230,10 +227,9 @@ function OptimizedPhoenixModel({
         group.current.rotation.z += (targetRotationRef.current.z - group.current.rotation.z) * delta * 4;
       }
       
-      // Scroll-based scale
+      // Scale from the section pose scrubbed by scroll
       if (animationSettings.enableScale) {
-        const scrollScale = 1 + (scroll * 0.0001);
-        targetScaleRef.current = Math.max(0.8, Math.min(1.2, scrollScale));
+        targetScaleRef.current = poseRef.current.scale;
         
         const currentScale = group.current.scale.x;
         const newScale = currentScale + (targetScaleRef.current - currentScale) * delta * 2;
@@ -243,25 +239,6 @@ function OptimizedPhoenixModel({
       lastUpdateRef.current = currentTime;
     }
     
-    // Scroll navigation integration (for ScrollPhoenix compatibility)
-    if (scrollNav && scrollNav.isTransitioning && shouldUpdateExpensive) {
-      const phoenixPosition = scrollNav.getPhoenixPosition();
-      const currentScale = scrollNav.getCurrentScale();
-      
-      if (phoenixPosition && animationSettings.enablePosition) {
-        targetPositionRef.current.x = phoenixPosition.x;
-        targetPositionRef.current.y = phoenixPosition.y;
-        
-        group.current.position.x += (targetPositionRef.current.x - group.current.position.x) * delta * 4;
-        group.current.position.y += (targetPositionRef.current.y - group.current.position.y) * delta * 4;
-      }
-      
-      if (currentScale && animationSettings.enableScale) {
-        targetScaleRef.current = currentScale;
-        group.current.scale.setScalar(group.current.scale.x + (targetScaleRef.current - group.current.scale.x) * delta * 3);
-      }
-    }
-    
     // Animation speed control
     if (shouldUpdateExpensive && mixer && actions && animationSettings.animationSpeed !== 1) {
       Object.values(actions).forEach(action => {
@@ -345,9 +322,9 @@ function OptimizedPhoenixModel({
   return (
     <group ref={group} {...props} dispose={null}>
       <group 
-        scale={0.004} 
-        position={[0, -0.5, 0]} 
-        rotation={[0, Math.PI, 0]}
+        scale={PHOENIX_TRANSFORM.scale} 
+        position={PHOENIX_TRANSFORM.position} 
+        rotation={PHOENIX_TRANSFORM.rotation}
       >
         <primitive object={sceneObject} />
       </group>
@@ -371,14 +348,14 @@ function OptimizedPhoenixModel({
  */
 export function OptimizedPhoenix(props) {
   const [loadingProgress, setLoadingProgress] = useState(0);
-  const lodSettings = useLOD();
+  const quality = useQualityTier();
   
   const handleProgress = useCallback((progress) => {
     setLoadingProgress(progress);
   }, []);
   
   return (
-    <Suspense fallback={<PhoenixLoadingFallback progress={loadingProgress} quality={lodSettings.recommendedQuality} />}>
+    <Suspense fallback={<PhoenixLoadingFallback progress={loadingProgress} quality={quality} />}>
       <OptimizedPhoenixModel {...props} />
     </Suspense>
   );
@@ -386,9 +363,9 @@ export function OptimizedPhoenix(props) {
 
 // Preload models based on device capabilities
 const deviceCapabilities = assessDeviceCapabilities();
-const recommendedModel = PHOENIX_MODEL_PATHS[deviceCapabilities.recommendedQuality];
+const recommendedModel = resolveManagedModelUrl(PHOENIX_MODEL_ID, deviceCapabilities.recommendedQuality);
 if (recommendedModel) {
-  useGLTF.preload(recommendedModel);
+  loadModelWithMemoryManagement(recommendedModel, 'high');
 }
 
 // Export optimized version as default
@@ -400,9 +377,9 @@ export default OptimizedPhoenix;
 export function getPhoenixModelPath(quality = 'auto') {
   if (quality === 'auto') {
     const assessment = assessDeviceCapabilities();
-    return PHOENIX_MODEL_PATHS[assessment.recommendedQuality] || PHOENIX_MODEL_PATHS.low;
+    return resolveManagedModelUrl(PHOENIX_MODEL_ID, assessment.recommendedQuality);
   }
-  return PHOENIX_MODEL_PATHS[quality] || PHOENIX_MODEL_PATHS.low;
+  return resolveManagedModelUrl(PHOENIX_MODEL_ID, quality);
 }
 
 /**
@@ -410,9 +387,9 @@ export function getPhoenixModelPath(quality = 'auto') {
  */
 export function preloadPhoenixModels(qualities = ['low', 'medium']) {
   qualities.forEach(quality => {
-    const path = PHOENIX_MODEL_PATHS[quality];
+    const path = resolveManagedModelUrl(PHOENIX_MODEL_ID, quality);
     if (path) {
-      useGLTF.preload(path);
+      loadModelWithMemoryManagement(path, 'low');
     }
   });
 }
\ No newline at end of file
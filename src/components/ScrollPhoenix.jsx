@@ -1,245 +1,138 @@
-import React, { useRef, Suspense } from 'react';
+import React, { useRef, useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { useFrame } from '@react-three/fiber';
-import { useGLTF, useAnimations, Environment, Float, Lightformer } from '@react-three/drei';
+import { useAnimations, Environment, Float, Lightformer } from '@react-three/drei';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import { useHarmonizedInteractions } from '../hooks/useHarmonizedInteractions';
-import { useScrollNavigation } from '../hooks/useScrollNavigation';
+import { useScrollPose } from '../hooks/useScrollPose';
 import { useMediaQuery } from 'react-responsive';
+import { getModelTransform } from '../utils/modelRegistry';
+import { loadModelWithMemoryManagement, resolveManagedModelUrl, useProgressiveModel, useRendererMemoryTracking } from '../utils/modelMemoryManager';
+import { useQualityDpr, useQualityTier } from '../utils/qualityController';
+import { useRenderTiming } from '../utils/renderTiming';
+import { getScrollChoreography } from '../utils/scrollChoreography';
+import { useScrollStore } from '../utils/scrollStore';
+
+const PHOENIX_MODEL_ID = 'phoenix';
+const PHOENIX_TRANSFORM = getModelTransform(PHOENIX_MODEL_ID);
+const NO_CLIPS = [];
+const choreography = getScrollChoreography();
+
+// Z-index of the current section's keyframe; a primitive, so ScrollPhoenix
+// only re-renders when it changes
+const selectSectionZIndex = ({ section, sectionProgress }) => {
+  const breakpoint = choreography.getBreakpoint(window.innerWidth);
+  return choreography.getKeyframe(section, { breakpoint, progress: sectionProgress })?.zIndex ?? choreography.defaults.zIndex;
+};
 
 // Enhanced Phoenix component with scroll-based navigation
 function ScrollPhoenixModel(props) {
   const group = useRef();
-  const { nodes, materials, animations, scene } = useGLTF('/models/phoenix_bird.glb');
-  const { actions, mixer } = useAnimations(animations, group);
+  const entrance = useRef();
+  // Starts on the ultra-low tier and swaps in higher tiers as they finish loading,
+  // up to the tier the quality controller currently allows
+  const quality = useQualityTier();
+  const phoenix = useProgressiveModel(PHOENIX_MODEL_ID, { maxQuality: quality });
+  const gltf = phoenix?.data;
+  const isModelReady = Boolean(gltf);
+  const { actions } = useAnimations(gltf?.animations ?? NO_CLIPS, group);
+  useRendererMemoryTracking();
+  useQualityDpr();
+  useRenderTiming();
   
   const interactions = useHarmonizedInteractions();
-  const scrollNav = useScrollNavigation();
+  // Section pose scrubbed by the scroll position
+  const poseRef = useScrollPose();
   
-  // Track rotation, position, and scale for smooth transitions
-  const targetRotationRef = useRef({ x: 0, y: 0, z: 0 });
-  const targetPositionRef = useRef({ x: 0, y: 0, z: 0 });
-  const targetScaleRef = useRef(1);
-  const previousScaleRef = useRef(1);
-
-  // Enhanced performance optimization for zoom system
-  const frameCountRef = useRef(0);
-  const lastSectionRef = useRef('hero');
-  const scaleTransitionRef = useRef(false);
-  const positionTransitionRef = useRef(false);
+  // Mouse and scroll tilt layered over the scroll pose; only this layer is eased
+  const offsetRef = useRef({ rotationX: 0, rotationY: 0, rotationZ: 0, x: 0, y: 0 });
 
   useFrame((state, delta) => {
     if (!group.current) return;
     
-    frameCountRef.current++;
-    // Performance: Update expensive calculations less frequently, except during zoom transitions
-    const isZoomTransitioning = scrollNav.isTransitioning && (scaleTransitionRef.current || positionTransitionRef.current);
-    const shouldUpdateExpensive = isZoomTransitioning || frameCountRef.current % 3 === 0; // Update every frame during zoom transitions, every 3rd frame otherwise
-    
     const { mouse, scroll, isActive } = interactions.model3D;
+    // Already eased between sections by the scroll timeline, so applied as is
+    const pose = poseRef.current;
+    const offset = offsetRef.current;
     
-    // Cache section info to avoid recalculation on every frame
-    let sectionInfo, phoenixPosition, currentScale, currentPosition, currentEasing;
-    if (shouldUpdateExpensive || scrollNav.currentSection !== lastSectionRef.current) {
-      sectionInfo = scrollNav.getSectionInfo();
-      phoenixPosition = scrollNav.getPhoenixPosition();
-      currentScale = scrollNav.getCurrentScale();
-      currentPosition = scrollNav.getCurrentPosition();
-      currentEasing = scrollNav.getCurrentEasing();
-      lastSectionRef.current = scrollNav.currentSection;
-    } else {
-      // Use cached values for performance
-      sectionInfo = { 
-        rotation: scrollNav.getCurrentRotation(), 
-        index: scrollNav.sectionConfig[scrollNav.currentSection]?.index || 0 
-      };
-      phoenixPosition = { x: 0, y: 0, z: 0 }; // Simplified for non-update frames
-      currentScale = targetScaleRef.current; // Use cached scale
-      currentPosition = 'center'; // Default position
-      currentEasing = 'power2.out'; // Default easing
-    }
-    
-    // SECTION-BASED ROTATION (Primary rotation based on current section)
-    const sectionRotationY = (sectionInfo.rotation * Math.PI) / 180; // Convert to radians
-    
-    // ENHANCED MOUSE INTERACTION (Secondary rotation layer) - Optimized
+    // ENHANCED MOUSE INTERACTION (Secondary layer, eased towards the pointer)
     const baseSensitivity = isActive ? 1.5 : 1.0;
     const mouseInfluence = isActive ? 1.2 : 0.8;
+    const scaleAdjustedMouseInfluence = mouseInfluence / Math.max(pose.scale, 1); // Adjust mouse sensitivity based on scale
     
-    const mouseRotationY = mouse.x * baseSensitivity * mouseInfluence * 0.3;
-    const mouseRotationX = mouse.y * baseSensitivity * mouseInfluence * 0.4;
-    
-    // COMBINED ROTATION (Section rotation + mouse interaction)
-    targetRotationRef.current.y = sectionRotationY + mouseRotationY;
-    targetRotationRef.current.x = mouseRotationX;
-    
-    // SCROLL-BASED Z ROTATION (Tilt effect)
-    const scrollTilt = scroll * 0.15;
-    targetRotationRef.current.z = scrollTilt;
-    
-    // OPTIMIZED SMOOTH ROTATION APPLICATION
     const rotationSpeed = isActive ? 8 : 5;
-    const sectionRotationSpeed = scrollNav.isTransitioning ? 3 : 6;
+    const positionSpeed = isActive ? 4 : 3;
     const deltaFactor = Math.min(delta, 0.016); // Cap delta for consistent performance
+    const ease = (value, target, speed) => value + (target - value) * deltaFactor * speed;
     
-    group.current.rotation.y += (targetRotationRef.current.y - group.current.rotation.y) * deltaFactor * sectionRotationSpeed;
-    group.current.rotation.x += (targetRotationRef.current.x - group.current.rotation.x) * deltaFactor * rotationSpeed;
-    group.current.rotation.z += (targetRotationRef.current.z - group.current.rotation.z) * deltaFactor * 4;
-    
-    // PROGRESSIVE SCALE SYSTEM (Cinematic zoom levels per section)
-    if (shouldUpdateExpensive) {
-      targetScaleRef.current = currentScale;
-    }
-
-    // DYNAMIC POSITIONING SYSTEM (Left, center, right alignments per section)
-    const getPositionOffset = (position) => {
-      switch (position) {
-        case 'left': return { x: -1.2, y: 0 };
-        case 'right': return { x: 1.2, y: 0 };
-        case 'center-left': return { x: -0.6, y: 0 };
-        case 'center':
-        default: return { x: 0, y: 0 };
-      }
-    };
-
-    // OPTIMIZED POSITION APPLICATION (with dynamic alignment)
-    if (shouldUpdateExpensive) {
-      const positionOffset = getPositionOffset(currentPosition);
-      const scaleAdjustedMouseInfluence = mouseInfluence / Math.max(currentScale, 1); // Adjust mouse sensitivity based on scale
-      
-      targetPositionRef.current.x = phoenixPosition.x + positionOffset.x + (mouse.x * scaleAdjustedMouseInfluence * 0.3);
-      targetPositionRef.current.y = phoenixPosition.y + positionOffset.y + (-mouse.y * scaleAdjustedMouseInfluence * 0.2);
-      targetPositionRef.current.z = phoenixPosition.z;
-    }
-    
-    // OPTIMIZED POSITION APPLICATION with transition tracking
-    const positionDifference = Math.sqrt(
-      Math.pow(targetPositionRef.current.x - group.current.position.x, 2) +
-      Math.pow(targetPositionRef.current.y - group.current.position.y, 2) +
-      Math.pow(targetPositionRef.current.z - group.current.position.z, 2)
-    );
-    
-    positionTransitionRef.current = positionDifference > 0.05;
-    
-    const positionSpeed = isActive ? 4 : 3;
-    const enhancedPositionSpeed = positionTransitionRef.current ? positionSpeed * 1.2 : positionSpeed;
+    offset.rotationY = ease(offset.rotationY, mouse.x * baseSensitivity * mouseInfluence * 0.3, 6);
+    offset.rotationX = ease(offset.rotationX, mouse.y * baseSensitivity * mouseInfluence * 0.4, rotationSpeed);
+    // SCROLL-BASED Z ROTATION (Tilt effect)
+    offset.rotationZ = ease(offset.rotationZ, scroll * 0.15, 4);
+    offset.x = ease(offset.x, mouse.x * scaleAdjustedMouseInfluence * 0.3, positionSpeed);
+    offset.y = ease(offset.y, -mouse.y * scaleAdjustedMouseInfluence * 0.2, positionSpeed);
     
-    group.current.position.x += (targetPositionRef.current.x - group.current.position.x) * deltaFactor * enhancedPositionSpeed;
-    group.current.position.y += (targetPositionRef.current.y - group.current.position.y) * deltaFactor * enhancedPositionSpeed;
-    group.current.position.z += (targetPositionRef.current.z - group.current.position.z) * deltaFactor * 2;
+    // SECTION POSE (rotation, aligned position and cinematic zoom) plus the offset
+    group.current.rotation.set(offset.rotationX, (pose.rotation * Math.PI) / 180 + offset.rotationY, offset.rotationZ);
+    group.current.position.set(pose.x + offset.x, pose.y + offset.y, pose.z);
+    group.current.scale.setScalar(pose.scale);
     
-    // PROGRESSIVE SCALE APPLICATION (Cinematic zoom system with performance optimization)
-    if (shouldUpdateExpensive || scrollNav.isTransitioning) {
-      const currentScaleValue = group.current.scale.x;
-      const targetScaleValue = targetScaleRef.current;
-      const scaleDifference = Math.abs(targetScaleValue - currentScaleValue);
-      
-      // Determine if we're in a scale transition
-      scaleTransitionRef.current = scaleDifference > 0.01;
-      
-      if (scaleTransitionRef.current) {
-        const scaleSpeed = scrollNav.isTransitioning ? 3 : 5; // Optimized speeds for smoothness
-        const newScale = currentScaleValue + (targetScaleValue - currentScaleValue) * deltaFactor * scaleSpeed;
-        group.current.scale.setScalar(newScale);
-        
-        // Track scale changes for mouse interaction adjustments
-        if (Math.abs(targetScaleValue - previousScaleRef.current) > 0.1) {
-          previousScaleRef.current = targetScaleValue;
-        }
+    // WING ANIMATION (clip time scrubbed by the scroll position, so the same
+    // scroll position always shows the same frame)
+    Object.values(actions).forEach(action => {
+      if (action) {
+        action.time = pose.time % action.getClip().duration;
       }
-    }
-    
-    // SLOWED ANIMATION SPEED (50% slower for more graceful movement)
-    if (shouldUpdateExpensive && mixer && actions) {
-      const activityMultiplier = isActive ? 0.75 : 0.5; // Reduced from 1.5:1 to 0.75:0.5
-      const sectionMultiplier = 1 + (sectionInfo.index * 0.05); // Reduced from 0.1 to 0.05
-      
-      Object.values(actions).forEach(action => {
-        if (action) {
-          const animationSpeed = activityMultiplier * sectionMultiplier;
-          action.setEffectiveTimeScale(animationSpeed);
-        }
-      });
-    }
+    });
   });
 
-  // GSAP section transitions for cinematic experience
   useGSAP(() => {
-    if (!group.current) return;
-    
-    const currentScale = scrollNav.getCurrentScale();
-    const currentPosition = scrollNav.getCurrentPosition();
-    const currentEasing = scrollNav.getCurrentEasing();
-    
-    // Get position offset for dynamic alignment
-    const getPositionOffset = (position) => {
-      switch (position) {
-        case 'left': return { x: -1.2, y: 0 };
-        case 'right': return { x: 1.2, y: 0 };
-        case 'center-left': return { x: -0.6, y: 0 };
-        case 'center':
-        default: return { x: 0, y: 0 };
-      }
-    };
-    
-    const positionOffset = getPositionOffset(currentPosition);
-    const phoenixPos = scrollNav.getPhoenixPosition();
+    if (!entrance.current || !isModelReady) return;
     
-    // Smooth GSAP transitions for scale and position when section changes
-    if (scrollNav.isTransitioning) {
-      gsap.to(targetScaleRef, {
-        current: currentScale,
-        duration: 0.8,
-        ease: currentEasing,
-      });
-      
-      gsap.to(targetPositionRef.current, {
-        x: phoenixPos.x + positionOffset.x,
-        y: phoenixPos.y + positionOffset.y,
-        z: phoenixPos.z,
-        duration: 0.8,
-        ease: currentEasing,
-      });
-    }
-  }, [scrollNav.currentSection, scrollNav.isTransitioning]);
-
-  useGSAP(() => {
-    if (!group.current) return;
-    
-    // Slower initial entrance animation (50% longer duration)
-    gsap.from(group.current.position, {
+    // Slower initial entrance animation (50% longer duration), on an inner
+    // group since useFrame sets the outer one to the scroll pose every frame
+    gsap.from(entrance.current.position, {
       y: 3,
       duration: 3.75, // Increased from 2.5 to 3.75
       ease: 'power2.out',
     });
 
-    gsap.from(group.current.scale, {
+    gsap.from(entrance.current.scale, {
       x: 0,
       y: 0,
       z: 0,
       duration: 3, // Increased from 2 to 3
       ease: 'back.out(1.7)',
     });
+  }, [isModelReady]);
 
-    // Play original GLB animations
-    if (actions && Object.keys(actions).length > 0) {
-      Object.values(actions).forEach(action => {
-        if (action) {
-          action.reset().play();
-          action.setLoop(2201, Infinity);
-        }
-      });
-    }
-  }, [actions]);
+  // Play original GLB animations paused; useFrame sets their time from the
+  // scroll pose, so tier swaps resume on the same frame
+  useEffect(() => {
+    Object.values(actions).forEach(action => {
+      if (action) {
+        action.reset().play();
+        action.setLoop(2201, Infinity);
+        action.setEffectiveTimeScale(0);
+        action.time = poseRef.current.time % action.getClip().duration;
+      }
+    });
+  }, [actions, poseRef]);
 
   // Use scene from GLB or fallback
-  const sceneObject = scene || nodes.Scene || Object.values(nodes)[0];
+  const sceneObject = gltf && (gltf.scene || gltf.nodes.Scene || Object.values(gltf.nodes)[0]);
 
   return (
     <group ref={group} {...props} dispose={null}>
-      <group scale={0.004} position={[0, -0.5, 0]} rotation={[0, Math.PI, 0]}>
-        <primitive object={sceneObject} />
+      <group ref={entrance}>
+        {sceneObject ? (
+          <group scale={PHOENIX_TRANSFORM.scale} position={PHOENIX_TRANSFORM.position} rotation={PHOENIX_TRANSFORM.rotation}>
+            <primitive object={sceneObject} />
+          </group>
+        ) : (
+          <PhoenixLoadingFallback />
+        )}
       </group>
     </group>
   );
@@ -264,20 +157,6 @@ export function ScrollPhoenix() {
   const isMobile = useMediaQuery({ maxWidth: 640 });
   const isTablet = useMediaQuery({ maxWidth: 1024 });
   const isLaptop = useMediaQuery({ maxWidth: 1400 });
-  const scrollNav = useScrollNavigation();
-  
-  // Dynamic z-index based on current section for text overlay effects
-  const getDynamicZIndex = () => {
-    const section = scrollNav.currentSection;
-    switch (section) {
-      case 'hero': return 10; // Above content, normal visibility
-      case 'serviceSummary': return 5; // Behind text content (section 2)
-      case 'services': return 5; // Behind text content (section 3)  
-      case 'contactSummary': return 10; // Above content again
-      case 'contact': return 10; // Above content
-      default: return 10;
-    }
-  };
   
   // Maximum canvas size to fully contain Phoenix wings at all zoom levels
   const getCanvasSize = () => {
@@ -306,7 +185,8 @@ export function ScrollPhoenix() {
   const canvasSize = getCanvasSize();
   const phoenixScale = getPhoenixScale();
   const cameraSettings = getCameraSettings();
-  const dynamicZIndex = getDynamicZIndex();
+  // Dynamic z-index from the section's keyframe, for text overlay effects
+  const dynamicZIndex = useScrollStore(selectSectionZIndex);
 
   return (
     <div 
@@ -350,9 +230,7 @@ export function ScrollPhoenix() {
           <directionalLight position={[-10, -10, -5]} intensity={0.5} />
           
           <Float speed={0.25} rotationIntensity={0.1} floatIntensity={0.25}>
-            <Suspense fallback={<PhoenixLoadingFallback />}>
-              <ScrollPhoenixModel scale={phoenixScale} position={[0, 0, 0]} />
-            </Suspense>
+            <ScrollPhoenixModel scale={phoenixScale} position={[0, 0, 0]} />
           </Float>
           
           <Environment resolution={256}>
@@ -389,7 +267,8 @@ export function ScrollPhoenix() {
   );
 }
 
-// Preload the GLB model
-useGLTF.preload('/models/phoenix_bird.glb');
+// Start fetching the lightest tier while the loading screen is up
+loadModelWithMemoryManagement(resolveManagedModelUrl(PHOENIX_MODEL_ID, 'ultra-low'), 'high')
+  .catch(error => console.warn('Phoenix preload failed:', error));
 
 export default ScrollPhoenix;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const UpdateToast = ({ onReload, onDismiss }) => {
+  return (
+    <div
+      role="status"
+      className="fixed z-[1000] flex items-center gap-4 px-5 py-3 text-sm font-light text-white -translate-x-1/2 border rounded-full bottom-6 left-1/2 bg-black/80 border-white/20 backdrop-blur"
+    >
+      <span className="tracking-wide">A new version is available</span>
+      <button
+        type="button"
+        onClick={onReload}
+        className="px-3 py-1 text-black transition-colors bg-white rounded-full hover:bg-white/80"
+      >
+        Reload
+      </button>
+      <button
+        type="button"
+        onClick={onDismiss}
+        aria-label="Dismiss update notification"
+        className="transition-opacity opacity-60 hover:opacity-100"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UpdateToast;
@@ -1,13 +1,20 @@
 import React, { useRef, Suspense } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { useGLTF, useAnimations } from '@react-three/drei';
+import { useAnimations } from '@react-three/drei';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import { useHarmonizedInteractions } from '../hooks/useHarmonizedInteractions';
+import { getModelTransform } from '../utils/modelRegistry';
+import { loadModelWithMemoryManagement, resolveManagedModelUrl, useManagedGLTF } from '../utils/modelMemoryManager';
+
+const PHOENIX_MODEL_URL = resolveManagedModelUrl('phoenix', 'original');
+const PHOENIX_TRANSFORM = getModelTransform('phoenix');
+const PHOENIX_SCENE_URL = resolveManagedModelUrl('phoenix-scene', 'original');
+const PHOENIX_SCENE_TRANSFORM = getModelTransform('phoenix-scene');
 
 function PhoenixBirdModel(props) {
   const group = useRef();
-  const { nodes, materials, animations } = useGLTF('/models/phoenix_bird/scene.gltf');
+  const { nodes, materials, animations } = useManagedGLTF(PHOENIX_SCENE_URL);
   const { actions } = useAnimations(animations, group);
   
   const interactions = useHarmonizedInteractions();
@@ -67,7 +74,7 @@ function PhoenixBirdModel(props) {
   return (
     <group ref={group} {...props} dispose={null}>
       {/* Phoenix model with very small scale due to large original size */}
-      <group scale={0.003} position={[0, -1, 0]} rotation={[0, 0, 0]}>
+      <group scale={PHOENIX_SCENE_TRANSFORM.scale} position={PHOENIX_SCENE_TRANSFORM.position} rotation={PHOENIX_SCENE_TRANSFORM.rotation}>
         <primitive object={sceneObject} />
       </group>
       
@@ -100,7 +107,7 @@ function SimplePhoenix(props) {
 
 function PhoenixWithAnimations(props) {
   const group = useRef();
-  const { nodes, materials, animations, scene } = useGLTF('/models/phoenix_bird.glb');
+  const { nodes, materials, animations, scene } = useManagedGLTF(PHOENIX_MODEL_URL);
   const { actions, mixer } = useAnimations(animations, group);
   
   const interactions = useHarmonizedInteractions();
@@ -200,7 +207,7 @@ function PhoenixWithAnimations(props) {
 
   return (
     <group ref={group} {...props} dispose={null}>
-      <group scale={0.004} position={[0, -0.5, 0]} rotation={[0, Math.PI, 0]}>
+      <group scale={PHOENIX_TRANSFORM.scale} position={PHOENIX_TRANSFORM.position} rotation={PHOENIX_TRANSFORM.rotation}>
         <primitive object={sceneObject} />
       </group>
     </group>
@@ -220,6 +227,6 @@ export function Ynz(props) {
   );
 }
 
-useGLTF.preload('/models/phoenix_bird.glb');
+loadModelWithMemoryManagement(PHOENIX_MODEL_URL);
 
 export default Ynz;
@@ -0,0 +1,74 @@
+import { useRef } from 'react';
+import gsap from 'gsap';
+import { ScrollTrigger } from 'gsap/all';
+import { useGSAP } from '@gsap/react';
+import { getScrollChoreography } from '../utils/scrollChoreography';
+import { getSectionRegistry } from '../utils/sectionRegistry';
+import { measureSectionSpans } from '../utils/scrollStore';
+
+gsap.registerPlugin(ScrollTrigger);
+
+const choreography = getScrollChoreography();
+const sectionRegistry = getSectionRegistry();
+
+const getInitialPose = () => {
+  const [first] = choreography.sections;
+  return { ...choreography.getPoseKeyframes([{ key: first.key, start: 0, end: 0 }])[0].pose };
+};
+
+/**
+ * Phoenix pose (rotation in degrees, scale, x/y/z and wing clip time in
+ * seconds) scrubbed by the scroll position through a timeline built from the
+ * section keyframes. Each keyframe is reached where its section starts in
+ * the scroll store. The pose object is updated in place, so read it from
+ * useFrame rather than render.
+ */
+export const useScrollPose = () => {
+  const poseRef = useRef(null);
+  if (!poseRef.current) poseRef.current = getInitialPose();
+
+  useGSAP(() => {
+    const pose = poseRef.current;
+    const timeline = gsap.timeline({
+      scrollTrigger: { start: 0, end: 'max', scrub: true }
+    });
+
+    // Timeline positions are fractions of the page's scroll range
+    const buildTimeline = () => {
+      const maxScroll = ScrollTrigger.maxScroll(window) || 1;
+      const breakpoint = choreography.getBreakpoint(window.innerWidth);
+      const keyframes = choreography.getPoseKeyframes(measureSectionSpans(maxScroll, sectionRegistry), breakpoint);
+
+      timeline.clear();
+      if (keyframes.length === 0) return;
+
+      timeline.set(pose, keyframes[0].pose, 0);
+      keyframes.slice(1).forEach((keyframe, index) => {
+        const previous = keyframes[index];
+        const start = previous.position / maxScroll;
+        const duration = (keyframe.position - previous.position) / maxScroll;
+        const { time: fromTime, ...fromPose } = previous.pose;
+        const { time: toTime, ...toPose } = keyframe.pose;
+        // fromTo, so every tween renders the same pose whichever way it is reached
+        timeline.fromTo(pose, fromPose, { ...toPose, ease: keyframe.ease, duration, immediateRender: false }, start);
+        // The clip time runs linearly, so wing beats follow the scroll speed
+        timeline.fromTo(pose, { time: fromTime }, { time: toTime, ease: 'none', duration, immediateRender: false }, start);
+      });
+      // Pad to the full scroll range so timeline time matches scroll progress
+      timeline.set({}, {}, 1);
+      timeline.progress(timeline.scrollTrigger?.progress ?? 0);
+    };
+
+    buildTimeline();
+    // Section positions and the breakpoint change with layout and registrations
+    ScrollTrigger.addEventListener('refresh', buildTimeline);
+    const unsubscribe = sectionRegistry.subscribe(buildTimeline);
+
+    return () => {
+      ScrollTrigger.removeEventListener('refresh', buildTimeline);
+      unsubscribe();
+    };
+  }, []);
+
+  return poseRef;
+};
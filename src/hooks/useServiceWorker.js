@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+import { applyServiceWorkerUpdate, registerServiceWorker } from '../utils/serviceWorkerRegistration';
+
+export const useServiceWorker = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker({ onUpdateAvailable: setWaitingWorker });
+  }, []);
+
+  const applyUpdate = () => {
+    if (waitingWorker) applyServiceWorkerUpdate(waitingWorker);
+  };
+
+  const dismissUpdate = () => setWaitingWorker(null);
+
+  return {
+    updateAvailable: Boolean(waitingWorker),
+    applyUpdate,
+    dismissUpdate
+  };
+};
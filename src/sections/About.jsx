@@ -3,8 +3,14 @@ import AnimatedHeaderSection from "../components/AnimatedHeaderSection";
 import { AnimatedTextLines } from "../components/AnimatedTextLines";
 import { useGSAP } from "@gsap/react";
 import gsap from "gsap";
+import { useSectionRegistration } from "../utils/sectionRegistry";
 
 const About = () => {
+  const sectionProps = useSectionRegistration({
+    key: "about",
+    label: "about",
+    order: 4,
+  });
   const text = `Passionate about clean architecture
     I build scalable, high-performance solutions
     from prototype to production`;
@@ -39,7 +45,7 @@ const About = () => {
     });
   });
   return (
-    <section id="about" className="min-h-screen bg-black rounded-b-4xl">
+    <section {...sectionProps} className="min-h-screen bg-black rounded-b-4xl">
       <AnimatedHeaderSection
         subTitle={"Cod with purpose, Built to scale"}
         title={"About"}
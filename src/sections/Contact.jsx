@@ -3,8 +3,14 @@ import AnimatedHeaderSection from "../components/AnimatedHeaderSection";
 import Marquee from "../components/Marquee";
 import { socials } from "../constants";
 import gsap from "gsap";
+import { useSectionRegistration } from "../utils/sectionRegistry";
 
 const Contact = () => {
+  const sectionProps = useSectionRegistration({
+    key: "contact",
+    label: "contact",
+    order: 7,
+  });
   const text = `Got a question about our communication and marketing solutions?
     We'd love to hear from you and discuss your project further!`;
   const items = [
@@ -29,7 +35,7 @@ const Contact = () => {
   }, []);
   return (
     <section
-      id="contact"
+      {...sectionProps}
       className="flex flex-col justify-between min-h-screen bg-black"
     >
       <div>
@@ -64,6 +70,7 @@ const Contact = () => {
                   <a
                     key={index}
                     href={social.href}
+                    data-interaction="contact-social"
                     className="text-xs leading-loose tracking-wides uppercase md:text-sm hover:text-white/80 transition-colors duration-200"
                   >
                     {"{ "}
@@ -2,8 +2,16 @@ import { useRef } from 'react';
 import Marquee from '../components/Marquee';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
+import { useSectionRegistration } from '../utils/sectionRegistry';
 
 const ContactSummary = () => {
+  const sectionProps = useSectionRegistration({
+    key: 'contactSummary',
+    id: 'contact-summary',
+    label: 'contact summary',
+    order: 6,
+    nav: false,
+  });
   const containerRef = useRef(null);
   const items = [
     'Innovation',
@@ -35,6 +43,7 @@ const ContactSummary = () => {
   }, []);
   return (
     <section
+      {...sectionProps}
       ref={containerRef}
       className="flex flex-col items-center justify-between min-h-screen gap-12 mt-16"
     >
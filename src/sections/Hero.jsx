@@ -1,10 +1,12 @@
 import { useMediaQuery } from 'react-responsive';
 import AnimatedHeaderSection from '../components/AnimatedHeaderSection';
+import { useSectionRegistration } from '../utils/sectionRegistry';
 const Hero = () => {
+  const sectionProps = useSectionRegistration({ key: 'hero', id: 'home', label: 'home', order: 1 });
   const isMobile = useMediaQuery({ maxWidth: 853 });
   const text = `We help growing brands and organizations achieve their marketing and communication goals through integrated solutions that combine creativity, innovation, and expertise`;
   return (
-    <section id="home" className="flex flex-col justify-end min-h-screen">
+    <section {...sectionProps} className="flex flex-col justify-end min-h-screen">
       <AnimatedHeaderSection
         subTitle={'Effective Communication Makes a Difference'}
         title={'YNZ'}
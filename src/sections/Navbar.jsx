@@ -2,7 +2,8 @@ import React, { useEffect, useRef, useState } from "react";
 import { socials } from "../constants";
 import { useGSAP } from "@gsap/react";
 import gsap from "gsap";
-import { Link } from "react-scroll";
+import { useSections } from "../utils/sectionRegistry";
+import { getSectionRouter } from "../utils/sectionRouter";
 
 const Navbar = () => {
   const navRef = useRef(null);
@@ -14,6 +15,9 @@ const Navbar = () => {
   const iconTl = useRef(null);
   const [isOpen, setIsOpen] = useState(false);
   const [showBurger, setShowBurger] = useState(true);
+  const sections = useSections();
+  const navSections = sections.filter((section) => section.nav);
+  // Rebuilt as sections register, so every link is part of the menu timeline
   useGSAP(() => {
     gsap.set(navRef.current, { xPercent: 100 });
     gsap.set([linksRef.current, contactRef.current], {
@@ -68,7 +72,7 @@ const Navbar = () => {
         },
         "<"
       );
-  }, []);
+  }, { dependencies: [sections], revertOnUpdate: true });
 
   useEffect(() => {
     let lastScrollY = window.scrollY;
@@ -102,21 +106,21 @@ const Navbar = () => {
         className="fixed z-50 flex flex-col justify-between w-full h-full px-10 uppercase bg-black text-white/80 py-28 gap-y-10 md:w-1/2 md:left-1/2"
       >
         <div className="flex flex-col text-5xl gap-y-2 md:text-6xl lg:text-8xl">
-          {["home", "services", "about", "work", "contact"].map(
-            (section, index) => (
-              <div key={index} ref={(el) => (linksRef.current[index] = el)}>
-                <Link
-                  className="transition-all duration-300 cursor-pointer hover:text-white"
-                  to={`${section}`}
-                  smooth
-                  offset={0}
-                  duration={2000}
-                >
-                  {section}
-                </Link>
-              </div>
-            )
-          )}
+          {navSections.map((section, index) => (
+            <div key={section.key} ref={(el) => (linksRef.current[index] = el)}>
+              <a
+                data-interaction="navbar-link"
+                className="transition-all duration-300 cursor-pointer hover:text-white"
+                href={getSectionRouter().getHref(section.key)}
+                onClick={(event) => {
+                  event.preventDefault();
+                  getSectionRouter().navigate(section.key);
+                }}
+              >
+                {section.label}
+              </a>
+            </div>
+          ))}
         </div>
         <div
           ref={contactRef}
@@ -135,6 +139,7 @@ const Navbar = () => {
                 <a
                   key={index}
                   href={social.href}
+                  data-interaction="navbar-social"
                   className="text-sm leading-loose tracking-widest uppercase hover:text-white transition-colors duration-300"
                 >
                   {"{ "}
@@ -147,6 +152,7 @@ const Navbar = () => {
         </div>
       </nav>
       <div
+        data-interaction="navbar-burger"
         className="fixed z-50 flex flex-col items-center justify-center gap-1 transition-all duration-300 bg-black rounded-full cursor-pointer w-14 h-14 md:w-20 md:h-20 top-4 right-10"
         onClick={toggleMenu}
         style={
@@ -1,8 +1,16 @@
 import { useGSAP } from "@gsap/react";
 import gsap from "gsap";
 import { ScrollTrigger } from "gsap/all";
+import { useSectionRegistration } from "../utils/sectionRegistry";
 gsap.registerPlugin(ScrollTrigger);
 const ServiceSummary = () => {
+  const sectionProps = useSectionRegistration({
+    key: "serviceSummary",
+    id: "service-summary",
+    label: "service summary",
+    order: 2,
+    nav: false,
+  });
   useGSAP(() => {
     gsap.to("#title-service-1", {
       xPercent: 20,
@@ -35,7 +43,7 @@ const ServiceSummary = () => {
   });
   return (
     <section 
-      id="service-summary" 
+      {...sectionProps}
       className="mt-20 overflow-hidden font-light leading-snug text-center mb-42 contact-text-responsive relative"
       style={{ zIndex: 15 }} // Higher than Phoenix z-index (5) for text overlay
     >
@@ -4,7 +4,13 @@ import { servicesData } from "../constants";
 import { useMediaQuery } from "react-responsive";
 import { useGSAP } from "@gsap/react";
 import gsap from "gsap";
+import { useSectionRegistration } from "../utils/sectionRegistry";
 const Services = () => {
+  const sectionProps = useSectionRegistration({
+    key: "services",
+    label: "services",
+    order: 3,
+  });
   const text = `We provide integrated solutions that combine creativity, innovation, and expertise to help our clients achieve their marketing and communication goals.`;
   const serviceRefs = useRef([]);
   const isDesktop = useMediaQuery({ minWidth: "48rem" }); //768px
@@ -25,7 +31,7 @@ const Services = () => {
   }, []);
   return (
     <section 
-      id="services" 
+      {...sectionProps}
       className="min-h-screen bg-black rounded-t-4xl relative"
       style={{ zIndex: 15 }} // Higher than Phoenix z-index (5) for text overlay
     >
@@ -4,8 +4,14 @@ import { projects } from "../constants";
 import { useRef, useState } from "react";
 import gsap from "gsap";
 import { useGSAP } from "@gsap/react";
+import { useSectionRegistration } from "../utils/sectionRegistry";
 
 const Works = () => {
+  const sectionProps = useSectionRegistration({
+    key: "work",
+    label: "work",
+    order: 5,
+  });
   const overlayRefs = useRef([]);
   const previewRef = useRef(null);
 
@@ -100,7 +106,7 @@ const Works = () => {
   };
 
   return (
-    <section id="work" className="flex flex-col min-h-screen">
+    <section {...sectionProps} className="flex flex-col min-h-screen">
       <AnimatedHeaderSection
         subTitle={"Logic meets Aesthetics, Seamlessly"}
         title={"Works"}
@@ -116,6 +122,7 @@ const Works = () => {
           <div
             key={project.id}
             id="project"
+            data-interaction="works-row"
             className="relative flex flex-col gap-1 py-5 cursor-pointer group md:gap-0"
             onMouseEnter={() => handleMouseEnter(index)}
             onMouseLeave={() => handleMouseLeave(index)}
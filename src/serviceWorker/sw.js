@@ -0,0 +1,167 @@
+/**
+ * Service Worker
+ * Precaches the app shell and fonts, caches the device's model tier on request,
+ * serves other assets stale-while-revalidate from a capped runtime cache and
+ * falls back to an offline page.
+ * scripts/vite-plugin-service-worker.js fills in the placeholders at build time.
+ */
+
+const PRECACHE_URLS = self.__PRECACHE_URLS__;
+const CACHE_VERSION = self.__CACHE_VERSION__;
+
+const CACHE_PREFIX = 'ynz3d-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE_PREFIX = `${CACHE_PREFIX}runtime`;
+const RUNTIME_CACHE = `${RUNTIME_CACHE_PREFIX}-${CACHE_VERSION}`;
+const RUNTIME_CACHE_MAX_ENTRIES = 60;
+const MODEL_CACHE_PREFIX = `${CACHE_PREFIX}models-`;
+const OFFLINE_URL = '/offline.html';
+// Model bytes belong to the model caches and IndexedDB (modelPersistentCache.js)
+const MODEL_PATH_PREFIX = '/models/';
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+  // The page decides when to activate (see SKIP_WAITING) so a running session is never swapped mid-use
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const cacheNames = await caches.keys();
+
+    // Shell and runtime caches of older builds
+    await Promise.all(cacheNames
+      .filter(name => (name.startsWith(`${CACHE_PREFIX}shell-`) && name !== SHELL_CACHE) ||
+        (name.startsWith(RUNTIME_CACHE_PREFIX) && name !== RUNTIME_CACHE))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  const { type, urls = [], version } = event.data || {};
+
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'PRECACHE_MODELS') {
+    event.waitUntil(precacheModels(urls, version));
+  }
+});
+
+// Name of the current manifest's model cache ('' when there is none); looked
+// up once per worker start, then kept in step by precacheModels
+let modelCacheName = null;
+
+async function getModelCacheName() {
+  if (modelCacheName === null) {
+    const cacheNames = await caches.keys();
+    modelCacheName = cacheNames.find(name => name.startsWith(MODEL_CACHE_PREFIX)) ?? '';
+  }
+  return modelCacheName;
+}
+
+/**
+ * Cache the model tiers the page asked for, dropping caches of older manifests
+ */
+async function precacheModels(urls, version) {
+  const modelCache = `${MODEL_CACHE_PREFIX}${version}`;
+  modelCacheName = modelCache;
+  const cacheNames = await caches.keys();
+
+  await Promise.all(cacheNames
+    .filter(name => name.startsWith(MODEL_CACHE_PREFIX) && name !== modelCache)
+    .map(name => caches.delete(name)));
+
+  const cache = await caches.open(modelCache);
+  const missing = [];
+
+  for (const url of urls) {
+    if (!(await cache.match(url))) missing.push(url);
+  }
+
+  await cache.addAll(missing);
+}
+
+/**
+ * Find a response in the shell or model caches
+ */
+async function matchPrecache(request) {
+  const shellResponse = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true });
+  if (shellResponse) return shellResponse;
+
+  const modelCache = await getModelCacheName();
+  if (!modelCache) return null;
+
+  return (await caches.match(request, { cacheName: modelCache, ignoreSearch: true })) || null;
+}
+
+/**
+ * Network first for page loads. Offline, the site itself is served from the
+ * cached shell and any other page gets the offline fallback.
+ */
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    const { pathname } = new URL(request.url);
+    const shell = pathname === '/' || pathname === '/index.html' ? await cache.match('/') : null;
+
+    return shell || (await cache.match(OFFLINE_URL)) || Response.error();
+  }
+}
+
+/**
+ * Drop the oldest runtime entries beyond the cap (keys() lists them in the
+ * order they were last put)
+ */
+async function trimRuntimeCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(keys.length - RUNTIME_CACHE_MAX_ENTRIES, 0));
+  await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+/**
+ * Serve from cache immediately and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(event.request);
+
+  const network = fetch(event.request).then(response => {
+    // Opaque responses count against the quota at a padded size of several MB each
+    if (response.ok) {
+      event.waitUntil(cache.put(event.request, response.clone()).then(() => trimRuntimeCache(cache)));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+
+  // Range requests (media) and non-GET requests always go to the network
+  if (request.method !== 'GET' || request.headers.has('range') || !request.url.startsWith('http')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  const isModel = new URL(request.url).pathname.startsWith(MODEL_PATH_PREFIX);
+
+  event.respondWith((async () => {
+    const precached = await matchPrecache(request);
+    if (precached) return precached;
+    return isModel ? fetch(request) : staleWhileRevalidate(event);
+  })());
+});
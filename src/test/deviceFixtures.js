@@ -0,0 +1,171 @@
+/**
+ * Device Fixtures
+ * Deterministic devices for unit tests: react-device-detect values, navigator
+ * properties, devicePixelRatio and the WebGL context, each pinned to the
+ * quality tier, model path and settings device detection should produce.
+ */
+
+import { createWebGLContext } from './webglStub';
+
+const DESKTOP_DEVICE_DETECT = {
+  isMobile: false,
+  isTablet: false,
+  browserName: 'Chrome',
+  browserVersion: '126.0.0.0',
+  osName: 'Windows',
+  deviceType: 'browser'
+};
+
+export const DEVICE_FIXTURES = [
+  {
+    name: 'iPhone 12 (Apple A14)',
+    deviceDetect: { isMobile: true, browserName: 'Mobile Safari', browserVersion: '17.5', osName: 'iOS', deviceType: 'mobile' },
+    // Safari exposes neither deviceMemory nor the Network Information API
+    navigator: {},
+    devicePixelRatio: 3,
+    gpu: {
+      renderer: 'Apple A14 GPU',
+      vendor: 'Apple Inc.',
+      maxTextureSize: 16384,
+      extensions: ['WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc', 'WEBGL_compressed_texture_pvrtc']
+    },
+    expected: {
+      gpuTier: 'MEDIUM',
+      quality: 'low',
+      modelPath: '/models/optimized/phoenix-low.glb',
+      settings: { antialias: false, shadows: false, pixelRatio: 1.5, maxFPS: 30 },
+      maxCacheSize: 50
+    }
+  },
+  {
+    name: 'Pixel 4 (Adreno 640)',
+    deviceDetect: { isMobile: true, browserName: 'Chrome', browserVersion: '126.0.0.0', osName: 'Android', deviceType: 'mobile' },
+    navigator: { deviceMemory: 6, connection: { effectiveType: '4g', downlink: 12 } },
+    devicePixelRatio: 2.75,
+    gpu: {
+      renderer: 'Adreno (TM) 640',
+      vendor: 'Qualcomm',
+      maxTextureSize: 16384,
+      extensions: ['WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc']
+    },
+    expected: {
+      gpuTier: 'MEDIUM',
+      quality: 'low',
+      modelPath: '/models/optimized/phoenix-low.glb',
+      settings: { antialias: false, shadows: false, pixelRatio: 1.5, maxFPS: 30 },
+      maxCacheSize: 50
+    }
+  },
+  {
+    name: 'Budget Android (Mali-G52, 1GB)',
+    deviceDetect: { isMobile: true, browserName: 'Chrome', browserVersion: '126.0.0.0', osName: 'Android', deviceType: 'mobile' },
+    navigator: { deviceMemory: 1, connection: { effectiveType: '4g', downlink: 5 } },
+    devicePixelRatio: 2,
+    gpu: {
+      renderer: 'Mali-G52 MC2',
+      vendor: 'ARM',
+      webgl2: true,
+      maxTextureSize: 8192,
+      extensions: ['WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc']
+    },
+    expected: {
+      gpuTier: 'LOW',
+      quality: 'ultra-low',
+      modelPath: '/models/optimized/phoenix-ultra-low.glb',
+      settings: { antialias: false, shadows: false, pixelRatio: 1, maxFPS: 30 },
+      maxCacheSize: 50
+    }
+  },
+  {
+    name: 'Desktop without WEBGL_debug_renderer_info',
+    deviceDetect: { browserName: 'Firefox', browserVersion: '128.0', osName: 'Windows' },
+    navigator: {},
+    devicePixelRatio: 1,
+    gpu: { debugRendererInfo: false, webgl2: true, maxTextureSize: 16384 },
+    // No renderer string: the tier comes from the shader benchmark
+    benchmark: { score: 45, draws: 16, duration: 9.3 },
+    expected: {
+      gpuTier: 'HIGH',
+      quality: 'high',
+      modelPath: '/models/optimized/phoenix-high.glb',
+      settings: { antialias: true, shadows: true, pixelRatio: 1, maxFPS: 60 },
+      maxCacheSize: 200
+    }
+  },
+  {
+    name: 'Desktop on a 2G connection',
+    deviceDetect: {},
+    navigator: { deviceMemory: 8, connection: { effectiveType: '2g', downlink: 0.2 } },
+    devicePixelRatio: 2,
+    gpu: {},
+    expected: {
+      // A high-end GPU, stepped down one tier for the slow network
+      gpuTier: 'HIGH',
+      quality: 'medium',
+      modelPath: '/models/optimized/phoenix-medium.glb',
+      settings: { antialias: true, shadows: false, pixelRatio: 2, maxFPS: 60 },
+      maxCacheSize: 200
+    }
+  },
+  {
+    name: 'Legacy desktop (no WebGL 2, 2048px textures)',
+    deviceDetect: {},
+    navigator: { deviceMemory: 4 },
+    devicePixelRatio: 1,
+    gpu: { renderer: 'Intel(R) HD Graphics 3000', vendor: 'Intel', webgl2: false, maxTextureSize: 2048, extensions: [] },
+    expected: {
+      gpuTier: 'LOW',
+      quality: 'low',
+      modelPath: '/models/optimized/phoenix-low.glb',
+      settings: { antialias: false, shadows: false, pixelRatio: 1, maxFPS: 30 },
+      maxCacheSize: 100
+    }
+  },
+  {
+    name: 'iPad Air (Safari, renderer reported as "Apple GPU")',
+    deviceDetect: { isMobile: true, isTablet: true, browserName: 'Mobile Safari', browserVersion: '17.5', osName: 'iOS', deviceType: 'tablet' },
+    navigator: {},
+    devicePixelRatio: 2,
+    gpu: { renderer: 'Apple GPU', vendor: 'Apple Inc.', maxTextureSize: 16384, extensions: ['WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_pvrtc'] },
+    benchmark: { score: 8, draws: 8, duration: 10.5 },
+    expected: {
+      gpuTier: 'MEDIUM',
+      quality: 'low',
+      modelPath: '/models/optimized/phoenix-low.glb',
+      settings: { antialias: false, shadows: false, pixelRatio: 1.5, maxFPS: 30 },
+      maxCacheSize: 50
+    }
+  }
+];
+
+/**
+ * Probes for DeviceCapabilityService that report the fixture's device.
+ * Every context created is kept in `contexts`; `benchmarkRuns` counts
+ * shader benchmark runs, which return the fixture's `benchmark` result.
+ */
+export function createDeviceProbes(fixture, { search = '' } = {}) {
+  const contexts = [];
+  const { gpu } = fixture;
+
+  const probes = {
+    contexts,
+    benchmarkRuns: 0,
+    device: () => ({ ...DESKTOP_DEVICE_DETECT, ...fixture.deviceDetect }),
+    navigator: () => fixture.navigator,
+    pixelRatio: () => fixture.devicePixelRatio,
+    createContext: (type) => {
+      if (!gpu || (type === 'webgl2' && gpu.webgl2 === false)) return null;
+
+      const gl = createWebGLContext(gpu, type === 'webgl2' ? 2 : 1);
+      contexts.push(gl);
+      return gl;
+    },
+    search: () => search,
+    benchmark: () => {
+      probes.benchmarkRuns++;
+      return fixture.benchmark ?? null;
+    }
+  };
+
+  return probes;
+}
@@ -0,0 +1,53 @@
+/**
+ * Headless Environment
+ * Browser globals from jsdom for running the app's utilities under Node, with
+ * the WebGL stub standing in for a GPU. Install before importing modules that
+ * read the user agent at import time (react-device-detect).
+ */
+
+import { JSDOM, ResourceLoader } from 'jsdom';
+import { installWebGLStub } from './webglStub';
+
+// Globals copied from the jsdom window; Node's own performance and fetch are kept.
+// requestAnimationFrame is left out: nothing renders, so its frame rate would be made up.
+const WINDOW_GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'localStorage', 'sessionStorage',
+  'HTMLElement', 'HTMLCanvasElement', 'Node', 'Event', 'CustomEvent', 'getComputedStyle'
+];
+
+export const DESKTOP_USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+/**
+ * Install jsdom globals. `gpu` is passed to the WebGL stub (null disables
+ * WebGL). Returns a function that removes them again.
+ */
+export function installHeadlessEnvironment({ url = 'http://localhost/', userAgent = DESKTOP_USER_AGENT, gpu = {} } = {}) {
+  const dom = new JSDOM('<!doctype html><html><body></body></html>', {
+    url,
+    resources: new ResourceLoader({ userAgent }),
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  const previous = new Map();
+
+  WINDOW_GLOBALS.forEach(name => {
+    previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    const value = name === 'window' ? window : window[name];
+    Object.defineProperty(globalThis, name, {
+      value,
+      configurable: true,
+      writable: true
+    });
+  });
+
+  const removeWebGLStub = installWebGLStub(window, gpu);
+
+  return () => {
+    removeWebGLStub();
+    previous.forEach((descriptor, name) => {
+      if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+      else delete globalThis[name];
+    });
+    window.close();
+  };
+}
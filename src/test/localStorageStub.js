@@ -0,0 +1,15 @@
+/**
+ * localStorage Stub
+ * In-memory Storage for code that takes a `storage` option, optionally
+ * seeded with items. Values are stored as strings, as localStorage does.
+ */
+
+export function createLocalStorage(items = {}) {
+  const store = new Map(Object.entries(items));
+
+  return {
+    getItem: key => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  };
+}
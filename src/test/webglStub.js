@@ -0,0 +1,81 @@
+/**
+ * WebGL Stub
+ * Minimal WebGL context for Node/jsdom: enough of getParameter and
+ * getExtension for device detection and the performance suite. The GPU it
+ * reports is configurable so tests can pin a device.
+ */
+
+// WebGL enum values device detection reads
+const GL = {
+  MAX_TEXTURE_SIZE: 0x0D33,
+  MAX_VERTEX_UNIFORM_VECTORS: 0x8DFB,
+  MAX_FRAGMENT_UNIFORM_VECTORS: 0x8DFD,
+  UNMASKED_VENDOR_WEBGL: 0x9245,
+  UNMASKED_RENDERER_WEBGL: 0x9246
+};
+
+export const DEFAULT_GPU = {
+  renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)',
+  vendor: 'Google Inc. (NVIDIA)',
+  webgl2: true,
+  maxTextureSize: 16384,
+  maxVertexUniforms: 4096,
+  maxFragmentUniforms: 1024,
+  // false hides WEBGL_debug_renderer_info, as Firefox and privacy modes do
+  debugRendererInfo: true,
+  extensions: ['EXT_texture_compression_bptc', 'WEBGL_compressed_texture_s3tc']
+};
+
+/**
+ * Create a context for the given GPU description (merged over DEFAULT_GPU)
+ */
+export function createWebGLContext(gpu = {}, version = 1) {
+  const config = { ...DEFAULT_GPU, ...gpu };
+  const parameters = {
+    [GL.MAX_TEXTURE_SIZE]: config.maxTextureSize,
+    [GL.MAX_VERTEX_UNIFORM_VECTORS]: config.maxVertexUniforms,
+    [GL.MAX_FRAGMENT_UNIFORM_VECTORS]: config.maxFragmentUniforms,
+    [GL.UNMASKED_VENDOR_WEBGL]: config.vendor,
+    [GL.UNMASKED_RENDERER_WEBGL]: config.renderer
+  };
+
+  let contextLost = false;
+
+  return {
+    ...GL,
+    version,
+    getParameter: name => parameters[name] ?? null,
+    isContextLost: () => contextLost,
+    getExtension: (name) => {
+      if (name === 'WEBGL_lose_context') {
+        return { loseContext: () => { contextLost = true; }, restoreContext: () => { contextLost = false; } };
+      }
+      if (name === 'WEBGL_debug_renderer_info') {
+        return config.debugRendererInfo ? { UNMASKED_VENDOR_WEBGL: GL.UNMASKED_VENDOR_WEBGL, UNMASKED_RENDERER_WEBGL: GL.UNMASKED_RENDERER_WEBGL } : null;
+      }
+      return config.extensions.includes(name) ? {} : null;
+    },
+    getSupportedExtensions: () => [...config.extensions]
+  };
+}
+
+/**
+ * Make canvas.getContext return stub contexts; `null` for gpu disables WebGL.
+ * Returns a function that restores the original getContext.
+ */
+export function installWebGLStub(window, gpu = {}) {
+  const prototype = window.HTMLCanvasElement.prototype;
+  const originalGetContext = prototype.getContext;
+  const config = gpu && { ...DEFAULT_GPU, ...gpu };
+
+  prototype.getContext = function (type) {
+    if (!config) return null;
+    if (type === 'webgl' || type === 'experimental-webgl') return createWebGLContext(config, 1);
+    if (type === 'webgl2') return config.webgl2 ? createWebGLContext(config, 2) : null;
+    return null;
+  };
+
+  return () => {
+    prototype.getContext = originalGetContext;
+  };
+}
@@ -6,6 +6,7 @@
 import gsap from 'gsap';
 import { isMobile } from 'react-device-detect';
 import assessDeviceCapabilities from './deviceDetection';
+import { getQualityController } from './qualityController';
 
 // Animation performance presets
 const ANIMATION_PRESETS = {
@@ -80,7 +81,9 @@ const ANIMATION_PRESETS = {
 class AnimationOptimizer {
   constructor() {
     this.deviceAssessment = assessDeviceCapabilities();
-    this.currentPreset = ANIMATION_PRESETS[this.deviceAssessment.recommendedQuality] || ANIMATION_PRESETS.low;
+    this.qualityController = getQualityController();
+    this.currentQuality = this.qualityController.getQuality();
+    this.currentPreset = ANIMATION_PRESETS[this.currentQuality] || ANIMATION_PRESETS.low;
     this.performanceMonitor = new PerformanceMonitor();
     this.activeAnimations = new Set();
     this.animationStats = {
@@ -92,6 +95,9 @@ class AnimationOptimizer {
     
     this.setupGSAPDefaults();
     this.startPerformanceMonitoring();
+    
+    // Presets follow the quality controller's tier
+    this.qualityController.subscribe(change => this.applyQuality(change));
   }
   
   /**
@@ -186,7 +192,7 @@ class AnimationOptimizer {
     // Optimize material for animation
     if (object.material) {
       // Disable expensive material features on low-end devices
-      if (this.deviceAssessment.recommendedQuality === 'ultra-low') {
+      if (this.currentQuality === 'ultra-low') {
         object.material.transparent = false;
         if (object.material.map) {
           object.material.map.generateMipmaps = false;
@@ -275,7 +281,8 @@ class AnimationOptimizer {
   }
   
   /**
-   * Start performance monitoring
+   * Start collecting animation statistics (quality decisions are left to the
+   * quality controller)
    */
   startPerformanceMonitoring() {
     setInterval(() => {
@@ -283,33 +290,22 @@ class AnimationOptimizer {
       this.animationStats.averageFPS = stats.fps;
       this.animationStats.droppedFrames = stats.droppedFrames;
       this.animationStats.activeAnimations = this.activeAnimations.size;
-      
-      // Automatic quality downgrade if performance is poor
-      if (stats.fps < this.currentPreset.frameRate * 0.6 && stats.sampleCount > 60) {
-        this.handlePoorPerformance();
-      }
-    }, 2000); // Check every 2 seconds
+    }, 2000); // Update every 2 seconds
   }
   
   /**
-   * Handle poor performance by downgrading settings
+   * Switch to the preset of a new quality tier
    */
-  handlePoorPerformance() {
-    const qualityLevels = ['high', 'medium', 'low', 'ultra-low'];
-    const currentIndex = qualityLevels.indexOf(this.deviceAssessment.recommendedQuality);
+  applyQuality({ quality, previousQuality }) {
+    this.currentQuality = quality;
+    this.currentPreset = ANIMATION_PRESETS[quality] || ANIMATION_PRESETS.low;
+    this.setupGSAPDefaults();
     
-    if (currentIndex < qualityLevels.length - 1) {
-      const newQuality = qualityLevels[currentIndex + 1];
-      console.warn(`Performance degraded, downgrading animations to ${newQuality}`);
-      
-      this.deviceAssessment.recommendedQuality = newQuality;
-      this.currentPreset = ANIMATION_PRESETS[newQuality];
-      this.setupGSAPDefaults();
-      
-      // Pause complex animations
-      if (newQuality === 'ultra-low') {
-        this.pauseComplexAnimations();
-      }
+    // Complex animations only run above ultra-low
+    if (quality === 'ultra-low') {
+      this.pauseComplexAnimations();
+    } else if (previousQuality === 'ultra-low') {
+      this.resumeComplexAnimations();
     }
   }
   
@@ -324,13 +320,24 @@ class AnimationOptimizer {
     });
   }
   
+  /**
+   * Resume complex animations paused at ultra-low
+   */
+  resumeComplexAnimations() {
+    this.activeAnimations.forEach(animation => {
+      if (animation.userData?.isComplex) {
+        animation.resume();
+      }
+    });
+  }
+  
   /**
    * Get current animation statistics
    */
   getStats() {
     return {
       ...this.animationStats,
-      currentQuality: this.deviceAssessment.recommendedQuality,
+      currentQuality: this.currentQuality,
       preset: this.currentPreset,
       performanceStats: this.performanceMonitor.getStats()
     };
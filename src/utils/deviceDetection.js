@@ -1,42 +1,75 @@
 /**
  * Device Detection and Performance Assessment Utility
- * Determines the appropriate 3D model quality level based on device capabilities
+ * Determines the appropriate 3D model quality level based on device capabilities.
+ * The device is probed once by a shared capability service; probes can be
+ * injected for tests, and ?quality= / ?gpu= overrides (or the same keys saved
+ * in localStorage) let QA force a tier or GPU.
  */
 
 import { isMobile, isTablet, browserName, browserVersion, osName } from 'react-device-detect';
+import { GPU_TABLE_VERSION, findGPU, getBenchmarkTier, getTableTier, runShaderBenchmark } from './gpuBenchmark';
+import { QUALITY_TIERS, resolveModelUrl } from './modelRegistry';
 
-// GPU performance tiers based on common mobile GPUs
-const GPU_PERFORMANCE_TIERS = {
-  // High-end mobile GPUs (can handle medium quality)
-  HIGH: [
-    'Apple A15', 'Apple A16', 'Apple A17', 'Apple M1', 'Apple M2',
-    'Adreno 730', 'Adreno 740', 'Adreno 750',
-    'Mali-G78', 'Mali-G710', 'Mali-G715',
-    'PowerVR GT7600', 'PowerVR GT7800'
-  ],
-  
-  // Mid-range mobile GPUs (low quality recommended)
-  MEDIUM: [
-    'Apple A12', 'Apple A13', 'Apple A14',
-    'Adreno 640', 'Adreno 650', 'Adreno 660',
-    'Mali-G76', 'Mali-G77', 'Mali-G68',
-    'PowerVR GE8320', 'PowerVR GM9446'
-  ],
-  
-  // Low-end mobile GPUs (ultra-low quality only)
-  LOW: [
-    'Adreno 530', 'Adreno 540', 'Adreno 618', 'Adreno 619',
-    'Mali-G52', 'Mali-G57', 'Mali-G51',
-    'PowerVR GE8300', 'PowerVR GE8100'
-  ]
-};
+// Compressed texture formats KTX2/Basis textures can be transcoded to
+const COMPRESSED_TEXTURE_EXTENSIONS = [
+  'WEBGL_compressed_texture_astc',
+  'WEBGL_compressed_texture_etc',
+  'WEBGL_compressed_texture_etc1',
+  'WEBGL_compressed_texture_s3tc',
+  'EXT_texture_compression_bptc',
+  'WEBGL_compressed_texture_pvrtc',
+  'WEBKIT_WEBGL_compressed_texture_pvrtc'
+];
+
+const OVERRIDE_STORAGE_KEY = 'ynz3d-device-overrides';
+const OVERRIDE_KEYS = ['quality', 'gpu'];
+const QUALITY_LEVELS = ['none', ...QUALITY_TIERS];
+
+/**
+ * localStorage when it is usable (it throws in some private modes)
+ */
+function getDefaultStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Probes reading the real browser. Tests inject their own (see src/test/deviceFixtures.js).
+ */
+function createBrowserProbes() {
+  return {
+    device: () => ({ isMobile, isTablet, browserName, browserVersion, osName }),
+    navigator: () => (typeof navigator === 'undefined' ? {} : navigator),
+    pixelRatio: () => (typeof window === 'undefined' ? 1 : window.devicePixelRatio || 1),
+    createContext: (type) => {
+      try {
+        return document.createElement('canvas').getContext(type);
+      } catch {
+        return null;
+      }
+    },
+    search: () => (typeof location === 'undefined' ? '' : location.search),
+    // Only run for renderers missing from the benchmark table
+    benchmark: () => runShaderBenchmark()
+  };
+}
+
+/**
+ * Free a probe context now rather than when it is garbage collected;
+ * browsers cap the number of live WebGL contexts
+ */
+function releaseContext(gl) {
+  gl?.getExtension('WEBGL_lose_context')?.loseContext();
+}
 
 /**
  * Detect WebGL capabilities and performance characteristics
  */
-function getWebGLCapabilities() {
-  const canvas = document.createElement('canvas');
-  const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+function getWebGLCapabilities(createContext, benchmark) {
+  const gl = createContext('webgl') || createContext('experimental-webgl');
   
   if (!gl) {
     return { supported: false, tier: 'NONE' };
@@ -52,7 +85,17 @@ function getWebGLCapabilities() {
   const maxFragmentUniforms = gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS);
   
   // WebGL 2.0 support check
-  const webgl2 = !!(document.createElement('canvas').getContext('webgl2'));
+  const gl2 = createContext('webgl2');
+  const webgl2 = !!gl2;
+  
+  // three.js renders with WebGL 2, so prefer its extension list
+  const compressedTextureExtensions = COMPRESSED_TEXTURE_EXTENSIONS
+    .filter(name => (gl2 || gl).getExtension(name));
+  
+  releaseContext(gl2);
+  releaseContext(gl);
+  
+  const gpu = rateGPU(renderer, { maxTextureSize, webgl2Support: webgl2, benchmark });
   
   return {
     supported: true,
@@ -62,59 +105,58 @@ function getWebGLCapabilities() {
     maxVertexUniforms,
     maxFragmentUniforms,
     webgl2Support: webgl2,
-    tier: assessGPUTier(renderer, maxTextureSize, webgl2)
+    compressedTextureExtensions,
+    gpu,
+    tier: gpu.tier
   };
 }
 
 /**
- * Assess GPU performance tier based on renderer string and capabilities
+ * Rate a GPU: from the benchmark table when the renderer is listed, else from
+ * the shader benchmark (if one is given and succeeds), else from its limits.
+ * Returns { tier, source, name, score, tableVersion }.
  */
-function assessGPUTier(renderer, maxTextureSize, webgl2Support) {
-  const rendererLower = renderer.toLowerCase();
-  
-  // Check for high-end GPUs
-  for (const gpu of GPU_PERFORMANCE_TIERS.HIGH) {
-    if (rendererLower.includes(gpu.toLowerCase())) {
-      return 'HIGH';
-    }
+export function rateGPU(renderer, { maxTextureSize, webgl2Support, benchmark = null }) {
+  const match = findGPU(renderer);
+  if (match) {
+    return { tier: getTableTier(match.score), source: 'table', name: match.name, score: match.score, tableVersion: GPU_TABLE_VERSION };
   }
   
-  // Check for medium-end GPUs
-  for (const gpu of GPU_PERFORMANCE_TIERS.MEDIUM) {
-    if (rendererLower.includes(gpu.toLowerCase())) {
-      return 'MEDIUM';
-    }
-  }
-  
-  // Check for low-end GPUs
-  for (const gpu of GPU_PERFORMANCE_TIERS.LOW) {
-    if (rendererLower.includes(gpu.toLowerCase())) {
-      return 'LOW';
-    }
+  const result = benchmark?.();
+  if (result) {
+    return { tier: getBenchmarkTier(result.score), source: 'benchmark', name: null, score: result.score, tableVersion: GPU_TABLE_VERSION };
   }
   
   // Fallback assessment based on capabilities
+  let tier = 'LOW';
   if (maxTextureSize >= 4096 && webgl2Support) {
-    return 'HIGH';
+    tier = 'HIGH';
   } else if (maxTextureSize >= 2048) {
-    return 'MEDIUM';
-  } else {
-    return 'LOW';
+    tier = 'MEDIUM';
   }
+  
+  return { tier, source: 'heuristic', name: null, score: null, tableVersion: GPU_TABLE_VERSION };
+}
+
+/**
+ * Assess GPU performance tier based on renderer string and capabilities
+ */
+export function assessGPUTier(renderer, maxTextureSize, webgl2Support, benchmark = null) {
+  return rateGPU(renderer, { maxTextureSize, webgl2Support, benchmark }).tier;
 }
 
 /**
  * Estimate available memory (rough approximation)
  */
-function estimateAvailableMemory() {
+function estimateAvailableMemory(nav, device) {
   // Use navigator.deviceMemory if available (Chrome only)
-  if ('deviceMemory' in navigator) {
-    return navigator.deviceMemory * 1024; // Convert GB to MB
+  if ('deviceMemory' in nav) {
+    return nav.deviceMemory * 1024; // Convert GB to MB
   }
   
   // Fallback estimates based on device type
-  if (isMobile) {
-    return isTablet ? 3072 : 2048; // 3GB tablets, 2GB phones
+  if (device.isMobile) {
+    return device.isTablet ? 3072 : 2048; // 3GB tablets, 2GB phones
   }
   return 8192; // 8GB desktop default
 }
@@ -122,10 +164,10 @@ function estimateAvailableMemory() {
 /**
  * Assess network quality for progressive loading decisions
  */
-function getNetworkQuality() {
+function getNetworkQuality(nav) {
   // Use Network Information API if available
-  if ('connection' in navigator) {
-    const connection = navigator.connection;
+  if ('connection' in nav) {
+    const connection = nav.connection;
     const effectiveType = connection.effectiveType;
     const downlink = connection.downlink;
     
@@ -141,32 +183,14 @@ function getNetworkQuality() {
 }
 
 /**
- * Main device assessment function
- * Returns recommended model quality and loading strategy
+ * Pick the model quality for a device
  */
-export function assessDeviceCapabilities() {
-  const webglInfo = getWebGLCapabilities();
-  const memoryEstimate = estimateAvailableMemory();
-  const networkInfo = getNetworkQuality();
-  
-  // Device classification
-  const deviceInfo = {
-    isMobile,
-    isTablet,
-    browserName,
-    browserVersion,
-    osName,
-    webgl: webglInfo,
-    estimatedMemory: memoryEstimate,
-    network: networkInfo
-  };
-  
-  // Determine recommended model quality
+function recommendQuality(webglInfo, device, memoryEstimate, networkInfo) {
   let recommendedQuality = 'high';
   
   if (!webglInfo.supported) {
     recommendedQuality = 'none'; // No 3D support
-  } else if (isMobile) {
+  } else if (device.isMobile) {
     // Mobile device - be conservative
     if (webglInfo.tier === 'HIGH' && memoryEstimate > 3000) {
       recommendedQuality = 'medium'; // Even high-end mobile gets medium
@@ -188,36 +212,220 @@ export function assessDeviceCapabilities() {
   
   // Adjust for slow network
   if (networkInfo.quality === 'SLOW') {
-    const qualityLevels = ['none', 'ultra-low', 'low', 'medium', 'high'];
-    const currentIndex = qualityLevels.indexOf(recommendedQuality);
+    const currentIndex = QUALITY_LEVELS.indexOf(recommendedQuality);
     if (currentIndex > 1) {
-      recommendedQuality = qualityLevels[currentIndex - 1]; // Downgrade one level
+      recommendedQuality = QUALITY_LEVELS[currentIndex - 1]; // Downgrade one level
     }
   }
   
-  return {
-    deviceInfo,
-    recommendedQuality,
-    modelPath: getModelPath(recommendedQuality),
-    loadingStrategy: getLoadingStrategy(recommendedQuality, networkInfo.quality),
-    performanceSettings: getPerformanceSettings(recommendedQuality)
-  };
+  return recommendedQuality;
 }
 
 /**
- * Get the appropriate model file path based on quality level
+ * Keep the override keys we understand; unknown quality names are dropped
  */
-function getModelPath(quality) {
-  const modelPaths = {
-    'none': null,
-    'ultra-low': '/models/optimized/ynz-ultra-low.glb',
-    'low': '/models/optimized/ynz-low.glb',
-    'medium': '/models/optimized/ynz-medium.glb',
-    'high': '/models/optimized/ynz-high.glb',
-    'original': '/models/ynz.glb' // Fallback to original if needed
-  };
+function sanitizeOverrides(overrides = {}) {
+  const sanitized = {};
+  
+  if (overrides.quality) {
+    if (QUALITY_LEVELS.includes(overrides.quality)) {
+      sanitized.quality = overrides.quality;
+    } else {
+      console.warn(`Ignoring quality override "${overrides.quality}", expected one of: ${QUALITY_LEVELS.join(', ')}`);
+    }
+  }
+  
+  if (overrides.gpu) {
+    sanitized.gpu = String(overrides.gpu);
+  }
   
-  return modelPaths[quality] || modelPaths['low'];
+  return sanitized;
+}
+
+/**
+ * Device Capability Service
+ * Probes the device once, memoizes the assessment and applies overrides.
+ */
+export class DeviceCapabilityService {
+  constructor({ probes = {}, storage = getDefaultStorage() } = {}) {
+    this.probes = { ...createBrowserProbes(), ...probes };
+    this.storage = storage;
+    this.webgl = null;
+    this.assessment = null;
+    this.overrides = this.loadOverrides();
+  }
+  
+  /**
+   * Overrides saved in storage, with URL parameters taking precedence
+   */
+  loadOverrides() {
+    let stored = {};
+    try {
+      stored = JSON.parse(this.storage?.getItem(OVERRIDE_STORAGE_KEY) || '{}');
+    } catch {
+      stored = {};
+    }
+    
+    const params = new URLSearchParams(this.probes.search());
+    const fromUrl = {};
+    OVERRIDE_KEYS.forEach(key => {
+      if (params.has(key)) fromUrl[key] = params.get(key);
+    });
+    
+    return sanitizeOverrides({ ...stored, ...fromUrl });
+  }
+  
+  /**
+   * Save overrides for later visits and reassess. Subsystems that already
+   * read the assessment keep it until the page reloads.
+   */
+  setOverrides(overrides) {
+    this.overrides = sanitizeOverrides(overrides);
+    this.assessment = null;
+    
+    try {
+      if (Object.keys(this.overrides).length > 0) {
+        this.storage?.setItem(OVERRIDE_STORAGE_KEY, JSON.stringify(this.overrides));
+      } else {
+        this.storage?.removeItem(OVERRIDE_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not save device overrides:', error);
+    }
+    
+    return this.overrides;
+  }
+  
+  /**
+   * Remove saved overrides (URL parameters still apply on the next load)
+   */
+  clearOverrides() {
+    return this.setOverrides({});
+  }
+  
+  /**
+   * Overrides currently applied to the assessment
+   */
+  getOverrides() {
+    return { ...this.overrides };
+  }
+  
+  /**
+   * react-device-detect values and the current pixel ratio
+   */
+  getDevice() {
+    return { ...this.probes.device(), pixelRatio: this.probes.pixelRatio() };
+  }
+  
+  /**
+   * WebGL capabilities, probed with a throwaway context on first use only
+   */
+  getWebGL() {
+    if (!this.webgl) {
+      this.webgl = getWebGLCapabilities(this.probes.createContext, this.probes.benchmark);
+    }
+    return this.webgl;
+  }
+  
+  /**
+   * The device assessment, computed once
+   */
+  getCapabilities() {
+    if (!this.assessment) {
+      this.assessment = this.assess();
+    }
+    return this.assessment;
+  }
+  
+  /**
+   * Assess the device, applying overrides
+   */
+  assess() {
+    const device = this.getDevice();
+    const nav = this.probes.navigator();
+    const { gpu, quality } = this.overrides;
+    
+    let webglInfo = this.getWebGL();
+    if (gpu && webglInfo.supported) {
+      // Pretend to be the named GPU, keeping the real limits
+      const rating = rateGPU(gpu, webglInfo);
+      webglInfo = { ...webglInfo, renderer: gpu, gpu: rating, tier: rating.tier };
+    }
+    
+    const memoryEstimate = estimateAvailableMemory(nav, device);
+    const networkInfo = getNetworkQuality(nav);
+    
+    // Device classification
+    const deviceInfo = {
+      isMobile: device.isMobile,
+      isTablet: device.isTablet,
+      browserName: device.browserName,
+      browserVersion: device.browserVersion,
+      osName: device.osName,
+      webgl: webglInfo,
+      estimatedMemory: memoryEstimate,
+      network: networkInfo
+    };
+    
+    const recommendedQuality = quality || recommendQuality(webglInfo, device, memoryEstimate, networkInfo);
+    
+    return {
+      deviceInfo,
+      recommendedQuality,
+      modelPath: getModelPath(recommendedQuality),
+      loadingStrategy: getLoadingStrategy(recommendedQuality, networkInfo.quality),
+      performanceSettings: getPerformanceSettings(recommendedQuality, device),
+      overrides: { ...this.overrides }
+    };
+  }
+}
+
+// Global instance
+let globalDeviceCapabilityService = null;
+
+/**
+ * Get or create the shared capability service
+ */
+export function getDeviceCapabilityService() {
+  if (!globalDeviceCapabilityService) {
+    globalDeviceCapabilityService = new DeviceCapabilityService();
+  }
+  return globalDeviceCapabilityService;
+}
+
+/**
+ * Replace the shared service, e.g. with one using injected probes.
+ * Pass null to probe the real device again on next use.
+ */
+export function setDeviceCapabilityService(service) {
+  globalDeviceCapabilityService = service;
+}
+
+/**
+ * Main device assessment function
+ * Returns recommended model quality and loading strategy
+ */
+export function assessDeviceCapabilities() {
+  return getDeviceCapabilityService().getCapabilities();
+}
+
+/**
+ * Save QA overrides, e.g. { quality: 'low' } or { gpu: 'mali-g52' }; they
+ * apply from the next page load
+ */
+export function setDeviceOverrides(overrides) {
+  return getDeviceCapabilityService().setOverrides(overrides);
+}
+
+export function clearDeviceOverrides() {
+  return getDeviceCapabilityService().clearOverrides();
+}
+
+/**
+ * Get the appropriate model file path based on quality level
+ */
+function getModelPath(quality, modelId = 'phoenix') {
+  return resolveModelUrl(modelId, quality);
 }
 
 /**
@@ -234,15 +442,18 @@ function getLoadingStrategy(quality, networkQuality) {
 }
 
 /**
- * Get performance settings for Three.js based on quality
+ * Get performance settings for Three.js based on quality, for the probed
+ * device unless another one ({ isMobile, pixelRatio }) is given
  */
-function getPerformanceSettings(quality) {
+export function getPerformanceSettings(quality, device = getDeviceCapabilityService().getDevice()) {
+  const { pixelRatio } = device;
+  
   const settings = {
     'none': null,
     'ultra-low': {
       antialias: false,
       shadows: false,
-      pixelRatio: Math.min(window.devicePixelRatio, 1),
+      pixelRatio: Math.min(pixelRatio, 1),
       maxFPS: 30,
       frustumCulling: true,
       matrixAutoUpdate: false
@@ -250,23 +461,23 @@ function getPerformanceSettings(quality) {
     'low': {
       antialias: false,
       shadows: false,
-      pixelRatio: Math.min(window.devicePixelRatio, 1.5),
+      pixelRatio: Math.min(pixelRatio, 1.5),
       maxFPS: 30,
       frustumCulling: true,
       matrixAutoUpdate: false
     },
     'medium': {
-      antialias: isMobile ? false : true,
+      antialias: device.isMobile ? false : true,
       shadows: false,
-      pixelRatio: Math.min(window.devicePixelRatio, 2),
-      maxFPS: isMobile ? 30 : 60,
+      pixelRatio: Math.min(pixelRatio, 2),
+      maxFPS: device.isMobile ? 30 : 60,
       frustumCulling: true,
       matrixAutoUpdate: false
     },
     'high': {
       antialias: true,
       shadows: true,
-      pixelRatio: Math.min(window.devicePixelRatio, 2),
+      pixelRatio: Math.min(pixelRatio, 2),
       maxFPS: 60,
       frustumCulling: true,
       matrixAutoUpdate: true
@@ -285,6 +496,9 @@ export function logDeviceAssessment() {
   console.log('📱 Device Info:', assessment.deviceInfo);
   console.log('🎯 Recommended Quality:', assessment.recommendedQuality);
   console.log('📂 Model Path:', assessment.modelPath);
+  if (Object.keys(assessment.overrides).length > 0) {
+    console.log('🧪 Overrides:', assessment.overrides);
+  }
   console.log('⚡ Loading Strategy:', assessment.loadingStrategy);
   console.log('⚙️ Performance Settings:', assessment.performanceSettings);
   console.groupEnd();
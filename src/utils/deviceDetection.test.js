@@ -0,0 +1,206 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEVICE_FIXTURES, createDeviceProbes } from '../test/deviceFixtures';
+import { createLocalStorage } from '../test/localStorageStub';
+import { DeviceCapabilityService, assessGPUTier, getPerformanceSettings, rateGPU } from './deviceDetection';
+
+const [IPHONE, PIXEL, , DESKTOP_NO_DEBUG_INFO, DESKTOP_2G, , IPAD_SAFARI] = DEVICE_FIXTURES;
+
+function createService(fixture, { search, storage = createLocalStorage() } = {}) {
+  const probes = createDeviceProbes(fixture, { search });
+  return { probes, service: new DeviceCapabilityService({ probes, storage }) };
+}
+
+describe('assessGPUTier', () => {
+  it.each([
+    ['Apple A16 GPU', 'HIGH'],
+    ['Adreno (TM) 740', 'HIGH'],
+    ['Apple A14 GPU', 'MEDIUM'],
+    ['Adreno (TM) 640', 'MEDIUM'],
+    ['Mali-G52 MC2', 'LOW'],
+    ['PowerVR GE8300', 'LOW']
+  ])('matches %s to %s', (renderer, tier) => {
+    expect(assessGPUTier(renderer, 4096, true)).toBe(tier);
+  });
+
+  it('ignores case and trademark marks in renderer names', () => {
+    expect(assessGPUTier('ADRENO (TM) 650', 1024, false)).toBe('MEDIUM');
+    expect(assessGPUTier('Mali(R)-G52', 16384, true)).toBe('LOW');
+  });
+
+  it('prefers the named GPU over its capabilities', () => {
+    expect(assessGPUTier('Mali-G57', 16384, true)).toBe('LOW');
+  });
+
+  it('rates desktop GPUs from the benchmark table', () => {
+    expect(assessGPUTier('ANGLE (Intel, Intel(R) HD Graphics 4000 Direct3D11 vs_5_0 ps_5_0, D3D11)', 16384, true)).toBe('LOW');
+    expect(assessGPUTier('ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)', 16384, true)).toBe('HIGH');
+  });
+
+  it.each([
+    [4096, true, 'HIGH'],
+    [4096, false, 'MEDIUM'],
+    [2048, true, 'MEDIUM'],
+    [1024, true, 'LOW']
+  ])('falls back to capabilities for unknown GPUs (%ipx, WebGL 2: %s)', (maxTextureSize, webgl2, tier) => {
+    expect(assessGPUTier('', maxTextureSize, webgl2)).toBe(tier);
+  });
+});
+
+describe('rateGPU', () => {
+  const limits = { maxTextureSize: 16384, webgl2Support: true };
+
+  it('reports the table entry and version', () => {
+    expect(rateGPU('Adreno (TM) 640', limits)).toEqual({ tier: 'MEDIUM', source: 'table', name: 'Adreno 640', score: 900, tableVersion: 1 });
+  });
+
+  it('benchmarks only renderers missing from the table', () => {
+    const benchmark = vi.fn(() => ({ score: 2 }));
+
+    expect(rateGPU('Adreno (TM) 640', { ...limits, benchmark }).source).toBe('table');
+    expect(benchmark).not.toHaveBeenCalled();
+
+    expect(rateGPU('Apple GPU', { ...limits, benchmark })).toMatchObject({ tier: 'LOW', source: 'benchmark', score: 2 });
+    expect(benchmark).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the limits heuristic when the benchmark fails', () => {
+    expect(rateGPU('Apple GPU', { ...limits, benchmark: () => null })).toMatchObject({ tier: 'HIGH', source: 'heuristic' });
+  });
+});
+
+describe('getPerformanceSettings', () => {
+  const desktop = { isMobile: false, pixelRatio: 3 };
+
+  it('caps the pixel ratio per tier', () => {
+    expect(getPerformanceSettings('ultra-low', desktop).pixelRatio).toBe(1);
+    expect(getPerformanceSettings('low', desktop).pixelRatio).toBe(1.5);
+    expect(getPerformanceSettings('medium', desktop).pixelRatio).toBe(2);
+    expect(getPerformanceSettings('high', desktop).pixelRatio).toBe(2);
+  });
+
+  it('limits medium quality to 30fps without antialiasing on mobile', () => {
+    expect(getPerformanceSettings('medium', { isMobile: true, pixelRatio: 3 })).toMatchObject({ antialias: false, maxFPS: 30 });
+  });
+
+  it('only enables shadows and matrix auto-updates at high quality', () => {
+    expect(getPerformanceSettings('medium', desktop)).toMatchObject({ shadows: false, matrixAutoUpdate: false });
+    expect(getPerformanceSettings('high', desktop)).toMatchObject({ shadows: true, matrixAutoUpdate: true });
+  });
+
+  it('uses low settings for unknown qualities', () => {
+    expect(getPerformanceSettings('ultra', desktop)).toEqual(getPerformanceSettings('low', desktop));
+  });
+});
+
+describe('DeviceCapabilityService', () => {
+  describe.each(DEVICE_FIXTURES)('$name', (fixture) => {
+    it('recommends the pinned tier, model and settings', () => {
+      const assessment = createService(fixture).service.getCapabilities();
+
+      expect(assessment.deviceInfo.webgl.tier).toBe(fixture.expected.gpuTier);
+      expect(assessment.recommendedQuality).toBe(fixture.expected.quality);
+      expect(assessment.modelPath).toBe(fixture.expected.modelPath);
+      expect(assessment.performanceSettings).toMatchObject(fixture.expected.settings);
+    });
+  });
+
+  it('reports the GPU strings and compressed texture support', () => {
+    const { webgl } = createService(PIXEL).service.getCapabilities().deviceInfo;
+
+    expect(webgl).toMatchObject({
+      supported: true,
+      renderer: 'Adreno (TM) 640',
+      vendor: 'Qualcomm',
+      compressedTextureExtensions: ['WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc']
+    });
+  });
+
+  it('recommends no model without WebGL', () => {
+    const assessment = createService({ ...DESKTOP_NO_DEBUG_INFO, gpu: null }).service.getCapabilities();
+
+    expect(assessment.deviceInfo.webgl.supported).toBe(false);
+    expect(assessment.recommendedQuality).toBe('none');
+    expect(assessment.modelPath).toBeNull();
+  });
+
+  it('runs the shader benchmark once, only for unlisted renderers', () => {
+    const listed = createService(PIXEL);
+    listed.service.getCapabilities();
+    expect(listed.probes.benchmarkRuns).toBe(0);
+
+    const unlisted = createService(IPAD_SAFARI);
+    expect(unlisted.service.getCapabilities().deviceInfo.webgl.gpu).toMatchObject({ source: 'benchmark', score: 8 });
+    unlisted.service.setOverrides({ quality: 'medium' });
+    unlisted.service.getCapabilities();
+    expect(unlisted.probes.benchmarkRuns).toBe(1);
+  });
+
+  it('retries fewer times with a longer timeout on slow networks', () => {
+    expect(createService(DESKTOP_2G).service.getCapabilities().loadingStrategy).toMatchObject({ timeout: 30000, retryAttempts: 1 });
+  });
+
+  it('probes WebGL once and releases the probe contexts', () => {
+    const { probes, service } = createService(IPHONE);
+
+    const assessment = service.getCapabilities();
+    expect(service.getCapabilities()).toBe(assessment);
+
+    // One WebGL 1 and one WebGL 2 context, both lost after probing
+    expect(probes.contexts).toHaveLength(2);
+    expect(probes.contexts.every(gl => gl.isContextLost())).toBe(true);
+  });
+
+  describe('overrides', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => vi.restoreAllMocks());
+
+    it('forces the quality from ?quality=', () => {
+      const assessment = createService(DESKTOP_NO_DEBUG_INFO, { search: '?quality=low' }).service.getCapabilities();
+
+      expect(assessment.recommendedQuality).toBe('low');
+      expect(assessment.modelPath).toBe('/models/optimized/phoenix-low.glb');
+      expect(assessment.overrides).toEqual({ quality: 'low' });
+    });
+
+    it('assesses the GPU named by ?gpu= with the real limits', () => {
+      const { webgl } = createService(DESKTOP_NO_DEBUG_INFO, { search: '?gpu=mali-g52' }).service.getCapabilities().deviceInfo;
+
+      expect(webgl).toMatchObject({ renderer: 'mali-g52', tier: 'LOW', maxTextureSize: 16384, gpu: { name: 'Mali-G52' } });
+    });
+
+    it('reads saved overrides, with URL parameters taking precedence', () => {
+      const storage = createLocalStorage({ 'ynz3d-device-overrides': JSON.stringify({ quality: 'ultra-low', gpu: 'Apple A14' }) });
+      const { service } = createService(DESKTOP_NO_DEBUG_INFO, { search: '?quality=medium', storage });
+
+      expect(service.getOverrides()).toEqual({ quality: 'medium', gpu: 'Apple A14' });
+    });
+
+    it('saves overrides and reassesses without probing again', () => {
+      const storage = createLocalStorage();
+      const { probes, service } = createService(PIXEL, { storage });
+      expect(service.getCapabilities().recommendedQuality).toBe('low');
+
+      service.setOverrides({ quality: 'high' });
+
+      expect(service.getCapabilities().recommendedQuality).toBe('high');
+      expect(JSON.parse(storage.getItem('ynz3d-device-overrides'))).toEqual({ quality: 'high' });
+      expect(probes.contexts).toHaveLength(2);
+
+      service.clearOverrides();
+
+      expect(service.getCapabilities().recommendedQuality).toBe('low');
+      expect(storage.getItem('ynz3d-device-overrides')).toBeNull();
+    });
+
+    it('ignores unknown quality names', () => {
+      const { service } = createService(PIXEL, { search: '?quality=ultra' });
+
+      expect(service.getOverrides()).toEqual({});
+      expect(service.getCapabilities().recommendedQuality).toBe('low');
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * GPU Benchmark
+ * Places a GPU in a performance tier: by its entry in the versioned benchmark
+ * table (src/constants/gpuBenchmarks.json) when the renderer string matches,
+ * otherwise by a short shader micro-benchmark on an offscreen canvas.
+ */
+
+import gpuBenchmarks from '../constants/gpuBenchmarks.json';
+
+export const GPU_TABLE_VERSION = gpuBenchmarks.version;
+
+// Words that name the graphics API or translation layer rather than the GPU
+const RENDERER_NOISE = /\b(angle|direct3d\d*|d3d\d+|vs_\d_\d|ps_\d_\d|opengl|vulkan|metal|renderer|engine|unspecified|version)\b/g;
+
+const BENCHMARK_SIZE = 256;
+const BENCHMARK_ITERATIONS = 64;
+
+const VERTEX_SHADER = `
+attribute vec2 position;
+void main() {
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+// Dependent transcendental math, so the work cannot be hoisted or skipped
+const FRAGMENT_SHADER = `
+precision highp float;
+uniform float seed;
+void main() {
+  vec2 p = gl_FragCoord.xy * 0.01 + seed;
+  float v = 0.0;
+  for (int i = 0; i < ${BENCHMARK_ITERATIONS}; i++) {
+    p = vec2(sin(p.x * 1.1 + v), cos(p.y * 0.9 - v));
+    v += p.x * p.y;
+  }
+  gl_FragColor = vec4(fract(v), p, 1.0);
+}`;
+
+/**
+ * Reduce a WebGL renderer string to lowercase GPU name tokens:
+ * "ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 (0x00002503) Direct3D11 vs_5_0 ps_5_0, D3D11)"
+ * becomes "nvidia geforce rtx 3060", "Adreno (TM) 640" becomes "adreno 640"
+ */
+export function normalizeRenderer(renderer = '') {
+  let name = renderer.toLowerCase();
+
+  // ANGLE wraps the driver's renderer: "ANGLE (vendor, renderer, backend)"
+  const angle = name.match(/^angle \((.*)\)$/);
+  if (angle) {
+    const parts = angle[1].split(',');
+    name = parts[1] ?? parts[0];
+  }
+
+  return name
+    .replace(/\((tm|r)\)/g, ' ')
+    .replace(/\(0x[0-9a-f]+\)/g, ' ')
+    .replace(RENDERER_NOISE, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const GPU_ENTRIES = gpuBenchmarks.gpus.map(gpu => ({ ...gpu, tokens: normalizeRenderer(gpu.name).split(' ') }));
+
+/**
+ * Whether `tokens` contains all of `sequence`, in order
+ */
+function containsInOrder(tokens, sequence) {
+  let index = 0;
+  for (const token of tokens) {
+    if (token === sequence[index]) index++;
+    if (index === sequence.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Benchmark table entry for a renderer string. The most specific match wins,
+ * so "GeForce GTX 1050 Ti" is not rated as a "GeForce GTX 1050".
+ */
+export function findGPU(renderer) {
+  const tokens = normalizeRenderer(renderer).split(' ');
+  let best = null;
+
+  GPU_ENTRIES.forEach(entry => {
+    if (containsInOrder(tokens, entry.tokens) && (!best || entry.tokens.length > best.tokens.length)) {
+      best = entry;
+    }
+  });
+
+  return best && { name: best.name, score: best.score };
+}
+
+function scoreToTier(score, tiers) {
+  if (score >= tiers.HIGH) return 'HIGH';
+  if (score >= tiers.MEDIUM) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Tier for a benchmark table score
+ */
+export function getTableTier(score) {
+  return scoreToTier(score, gpuBenchmarks.tiers);
+}
+
+/**
+ * Tier for a shader micro-benchmark score
+ */
+export function getBenchmarkTier(score) {
+  return scoreToTier(score, gpuBenchmarks.benchmark.tiers);
+}
+
+function createBenchmarkCanvas() {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(BENCHMARK_SIZE, BENCHMARK_SIZE);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = BENCHMARK_SIZE;
+  canvas.height = BENCHMARK_SIZE;
+  return canvas;
+}
+
+function compileProgram(gl) {
+  const program = gl.createProgram();
+
+  [[gl.VERTEX_SHADER, VERTEX_SHADER], [gl.FRAGMENT_SHADER, FRAGMENT_SHADER]].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+    gl.deleteShader(shader);
+  });
+
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Benchmark shader failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  return program;
+}
+
+/**
+ * Time a fixed-cost fragment shader over a 256px offscreen canvas. Draw
+ * batches double until one takes at least `minDuration` ms (or `maxDuration`
+ * is spent); readPixels waits for the GPU to finish each batch.
+ * Returns { score, draws, duration }, score in billions of shader loop
+ * iterations per second, or null when WebGL is unavailable.
+ */
+export function runShaderBenchmark({ createCanvas = createBenchmarkCanvas, minDuration = 8, maxDuration = 60 } = {}) {
+  let gl = null;
+
+  try {
+    gl = createCanvas().getContext('webgl', { antialias: false, depth: false, stencil: false, preserveDrawingBuffer: false });
+    if (!gl) return null;
+
+    const program = compileProgram(gl);
+    gl.useProgram(program);
+
+    // One triangle covering the viewport
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    gl.viewport(0, 0, BENCHMARK_SIZE, BENCHMARK_SIZE);
+
+    const seed = gl.getUniformLocation(program, 'seed');
+    const pixel = new Uint8Array(4);
+    const drawBatch = (draws) => {
+      const start = performance.now();
+      for (let i = 0; i < draws; i++) {
+        gl.uniform1f(seed, i * 0.001);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+      }
+      gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return performance.now() - start;
+    };
+
+    // Warm-up: shader compilation and driver setup are not measured
+    drawBatch(1);
+
+    const benchmarkStart = performance.now();
+    let draws = 1;
+    let duration = drawBatch(draws);
+    while (duration < minDuration && performance.now() - benchmarkStart < maxDuration) {
+      draws *= 2;
+      duration = drawBatch(draws);
+    }
+
+    gl.deleteBuffer(buffer);
+    gl.deleteProgram(program);
+
+    const iterations = BENCHMARK_SIZE * BENCHMARK_SIZE * BENCHMARK_ITERATIONS * draws;
+    return {
+      score: iterations / Math.max(duration, 0.001) / 1e6,
+      draws,
+      duration
+    };
+  } catch (error) {
+    console.warn('GPU benchmark failed:', error);
+    return null;
+  } finally {
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+}
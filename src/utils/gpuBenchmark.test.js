@@ -0,0 +1,147 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { findGPU, getBenchmarkTier, getTableTier, normalizeRenderer, runShaderBenchmark } from './gpuBenchmark';
+
+describe('normalizeRenderer', () => {
+  it.each([
+    ['ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 (0x00002503) Direct3D11 vs_5_0 ps_5_0, D3D11)', 'nvidia geforce rtx 3060'],
+    ['ANGLE (Apple, ANGLE Metal Renderer: Apple M1 Pro, Unspecified Version)', 'apple m1 pro'],
+    ['ANGLE (Intel, Intel(R) UHD Graphics 620 Direct3D11 vs_5_0 ps_5_0, D3D11)', 'intel uhd graphics 620'],
+    ['Mesa Intel(R) Iris(R) Xe Graphics (TGL GT2)', 'mesa intel iris xe graphics tgl gt2'],
+    ['NVIDIA GeForce GTX 1050 Ti/PCIe/SSE2', 'nvidia geforce gtx 1050 ti pcie sse2'],
+    ['Adreno (TM) 640', 'adreno 640'],
+    ['Mali-G52 MC2', 'mali g52 mc2']
+  ])('normalizes %s', (renderer, normalized) => {
+    expect(normalizeRenderer(renderer)).toBe(normalized);
+  });
+});
+
+describe('findGPU', () => {
+  it.each([
+    ['ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 (0x00002503) Direct3D11 vs_5_0 ps_5_0, D3D11)', 'GeForce RTX 3060'],
+    ['ANGLE (Apple, ANGLE Metal Renderer: Apple M1 Pro, Unspecified Version)', 'Apple M1 Pro'],
+    ['AMD Radeon RX 580 Series (polaris10, LLVM 15.0.7, DRM 3.49, 6.1.0)', 'Radeon RX 580'],
+    ['Mesa Intel(R) UHD Graphics 620 (KBL GT2)', 'Intel UHD Graphics 620'],
+    ['Intel(R) HD Graphics 620', 'Intel HD Graphics 620'],
+    ['Intel(R) Arc(TM) A770 Graphics', 'Intel Arc A770'],
+    ['PowerVR Rogue GE8320', 'PowerVR GE8320'],
+    ['Immortalis-G715 MC11', 'Immortalis-G715'],
+    ['Apple A14 GPU', 'Apple A14']
+  ])('matches %s to %s', (renderer, name) => {
+    expect(findGPU(renderer).name).toBe(name);
+  });
+
+  it('prefers the most specific entry', () => {
+    expect(findGPU('NVIDIA GeForce GTX 1050 Ti/PCIe/SSE2').name).toBe('GeForce GTX 1050 Ti');
+    expect(findGPU('AMD Radeon RX 5700 XT').name).toBe('Radeon RX 5700 XT');
+  });
+
+  it('does not match model numbers by prefix', () => {
+    expect(findGPU('Adreno (TM) 6400')).toBeNull();
+  });
+
+  it.each(['Apple GPU', 'AMD Radeon(TM) Graphics', '', 'llvmpipe (LLVM 15.0.7, 256 bits)'])('has no entry for %j', (renderer) => {
+    expect(findGPU(renderer)).toBeNull();
+  });
+});
+
+describe('tiers', () => {
+  it('rates desktop GPUs by their benchmark score', () => {
+    expect(getTableTier(findGPU('NVIDIA GeForce RTX 3060').score)).toBe('HIGH');
+    expect(getTableTier(findGPU('Intel(R) UHD Graphics 770').score)).toBe('MEDIUM');
+    expect(getTableTier(findGPU('Intel(R) HD Graphics 4000').score)).toBe('LOW');
+  });
+
+  it('rates shader benchmark scores', () => {
+    expect(getBenchmarkTier(45)).toBe('HIGH');
+    expect(getBenchmarkTier(8)).toBe('MEDIUM');
+    expect(getBenchmarkTier(0.5)).toBe('LOW');
+  });
+});
+
+/**
+ * WebGL context recording draw calls; `drawCost` ms pass per draw
+ */
+function createBenchmarkContext({ clock, drawCost, linked = true }) {
+  const gl = {
+    draws: 0,
+    lost: false,
+    VERTEX_SHADER: 1,
+    FRAGMENT_SHADER: 2,
+    LINK_STATUS: 3,
+    createProgram: () => ({}),
+    createShader: () => ({}),
+    shaderSource: () => {},
+    compileShader: () => {},
+    attachShader: () => {},
+    deleteShader: () => {},
+    linkProgram: () => {},
+    getProgramParameter: () => linked,
+    getProgramInfoLog: () => 'ERROR: 0:1: syntax error',
+    useProgram: () => {},
+    createBuffer: () => ({}),
+    bindBuffer: () => {},
+    bufferData: () => {},
+    getAttribLocation: () => 0,
+    enableVertexAttribArray: () => {},
+    vertexAttribPointer: () => {},
+    viewport: () => {},
+    getUniformLocation: () => ({}),
+    uniform1f: () => {},
+    drawArrays: () => {
+      gl.draws++;
+      clock.now += drawCost;
+    },
+    readPixels: () => {},
+    deleteBuffer: () => {},
+    deleteProgram: () => {},
+    getExtension: name => (name === 'WEBGL_lose_context' ? { loseContext: () => { gl.lost = true; } } : null)
+  };
+  return gl;
+}
+
+describe('runShaderBenchmark', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  const useClock = () => {
+    const clock = { now: 0 };
+    vi.spyOn(performance, 'now').mockImplementation(() => clock.now);
+    return clock;
+  };
+
+  it('doubles draw batches until one is long enough to time', () => {
+    const clock = useClock();
+    const gl = createBenchmarkContext({ clock, drawCost: 1 });
+
+    const result = runShaderBenchmark({ createCanvas: () => ({ getContext: () => gl }), minDuration: 8 });
+
+    // Warm-up draw, then batches of 1, 2, 4 and 8 draws
+    expect(gl.draws).toBe(16);
+    expect(result).toMatchObject({ draws: 8, duration: 8 });
+    // 256 x 256 pixels x 64 iterations x 8 draws in 8ms
+    expect(result.score).toBeCloseTo((256 * 256 * 64) / 1e6);
+    expect(gl.lost).toBe(true);
+  });
+
+  it('stops doubling after maxDuration', () => {
+    const clock = useClock();
+    const gl = createBenchmarkContext({ clock, drawCost: 0.01 });
+
+    const result = runShaderBenchmark({ createCanvas: () => ({ getContext: () => gl }), minDuration: 1000, maxDuration: 20 });
+
+    expect(result.duration).toBeLessThan(1000);
+    expect(clock.now).toBeLessThan(60);
+  });
+
+  it('returns null without WebGL', () => {
+    expect(runShaderBenchmark({ createCanvas: () => ({ getContext: () => null }) })).toBeNull();
+  });
+
+  it('returns null and releases the context when the shader fails to link', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const gl = createBenchmarkContext({ clock: useClock(), drawCost: 1, linked: false });
+
+    expect(runShaderBenchmark({ createCanvas: () => ({ getContext: () => gl }) })).toBeNull();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(gl.lost).toBe(true);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Interaction Timing
+ * Interaction latency from the Event Timing API: INP, plus input delay,
+ * processing time and presentation delay broken down by interaction target.
+ * Targets are named by the closest `data-interaction` attribute.
+ */
+
+// Event Timing only reports events at least this long (the API minimum is 16ms)
+const DEFAULT_DURATION_THRESHOLD = 16;
+// Enough of the longest interactions to estimate the 98th percentile of ~500
+const MAX_LONGEST_INTERACTIONS = 10;
+// Samples per target used for percentiles
+const MAX_TARGET_SAMPLES = 50;
+
+/**
+ * Readable name for an event target: its `data-interaction` label, id, or
+ * tag and first class. Entries whose target left the DOM have none.
+ */
+export function getInteractionTargetLabel(element) {
+  if (!element) return 'unknown';
+
+  const labelled = element.closest?.('[data-interaction]');
+  if (labelled) return labelled.dataset.interaction;
+  if (element.id) return `#${element.id}`;
+
+  const tag = element.tagName?.toLowerCase() || 'unknown';
+  const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+  return className ? `${tag}.${className}` : tag;
+}
+
+/**
+ * Value below which the given share of the values fall
+ */
+function getPercentile(values, percentile) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * percentile))];
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Split an Event Timing entry into the phases of its latency
+ */
+function toEventTiming(entry) {
+  return {
+    interactionId: entry.interactionId || null,
+    name: entry.name,
+    target: getInteractionTargetLabel(entry.target),
+    startTime: entry.startTime,
+    duration: entry.duration,
+    inputDelay: entry.processingStart - entry.startTime,
+    processingTime: entry.processingEnd - entry.processingStart,
+    presentationDelay: Math.max(0, entry.startTime + entry.duration - entry.processingEnd)
+  };
+}
+
+/**
+ * Interaction Tracker Class
+ */
+export class InteractionTracker {
+  /**
+   * Event Timing needs PerformanceObserver with the 'event' entry type
+   */
+  static isSupported() {
+    return typeof PerformanceObserver !== 'undefined' &&
+      Boolean(PerformanceObserver.supportedEntryTypes?.includes('event'));
+  }
+
+  constructor({ durationThreshold = DEFAULT_DURATION_THRESHOLD } = {}) {
+    this.durationThreshold = durationThreshold;
+    this.observer = null;
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  /**
+   * Start observing, including events buffered before the call
+   */
+  start() {
+    if (this.observer || !InteractionTracker.isSupported()) return;
+
+    this.observer = new PerformanceObserver(list => this.handleEntries(list.getEntries()));
+    this.observer.observe({ type: 'event', buffered: true, durationThreshold: this.durationThreshold });
+  }
+
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+  }
+
+  reset() {
+    this.interactionIds = new Set();
+    this.longestInteractions = [];
+    this.targets = new Map();
+  }
+
+  /**
+   * Record a batch of entries. An interaction (pointerdown, pointerup and click
+   * of one tap) shares an interactionId and is as slow as its longest event.
+   * Listeners receive the interactions that changed in the batch.
+   */
+  handleEntries(entries) {
+    const updated = new Map();
+
+    entries.forEach(entry => {
+      const timing = toEventTiming(entry);
+      this.recordTargetTiming(timing);
+
+      if (!timing.interactionId) return;
+
+      this.interactionIds.add(timing.interactionId);
+      const current = updated.get(timing.interactionId);
+      if (!current || timing.duration > current.duration) {
+        updated.set(timing.interactionId, timing);
+      }
+    });
+
+    updated.forEach(timing => this.recordInteraction(timing));
+
+    if (updated.size > 0) {
+      const interactions = [...updated.values()];
+      this.listeners.forEach(listener => listener(interactions));
+    }
+  }
+
+  /**
+   * Keep the longest interactions, one entry per interactionId
+   */
+  recordInteraction(timing) {
+    const existing = this.longestInteractions.find(interaction => interaction.interactionId === timing.interactionId);
+
+    if (existing) {
+      if (timing.duration > existing.duration) Object.assign(existing, timing);
+    } else {
+      this.longestInteractions.push(timing);
+    }
+
+    this.longestInteractions.sort((a, b) => b.duration - a.duration);
+    this.longestInteractions.length = Math.min(this.longestInteractions.length, MAX_LONGEST_INTERACTIONS);
+  }
+
+  /**
+   * Per-target latency, including events outside interactions (hover)
+   */
+  recordTargetTiming(timing) {
+    let target = this.targets.get(timing.target);
+    if (!target) {
+      target = { target: timing.target, count: 0, eventTypes: new Set(), samples: [] };
+      this.targets.set(timing.target, target);
+    }
+
+    target.count++;
+    target.eventTypes.add(timing.name);
+    target.samples.push(timing);
+    if (target.samples.length > MAX_TARGET_SAMPLES) {
+      target.samples.shift();
+    }
+  }
+
+  /**
+   * All interactions on the page where the browser counts them, otherwise
+   * only those with an event over the duration threshold
+   */
+  get interactionCount() {
+    return performance.interactionCount ?? this.interactionIds.size;
+  }
+
+  /**
+   * Interaction to Next Paint: the longest interaction, skipping one for
+   * every 50 interactions so a single outlier does not define it
+   */
+  getINP() {
+    if (this.longestInteractions.length === 0) return null;
+
+    const index = Math.min(this.longestInteractions.length - 1, Math.floor(this.interactionCount / 50));
+    return this.longestInteractions[index];
+  }
+
+  /**
+   * Latency by target, slowest (75th percentile duration) first
+   */
+  getTargetBreakdown() {
+    return [...this.targets.values()]
+      .map(({ target, count, eventTypes, samples }) => ({
+        target,
+        count,
+        eventTypes: [...eventTypes],
+        p75Duration: getPercentile(samples.map(sample => sample.duration), 0.75),
+        maxDuration: Math.max(...samples.map(sample => sample.duration)),
+        avgInputDelay: average(samples.map(sample => sample.inputDelay)),
+        avgProcessingTime: average(samples.map(sample => sample.processingTime)),
+        avgPresentationDelay: average(samples.map(sample => sample.presentationDelay))
+      }))
+      .sort((a, b) => b.p75Duration - a.p75Duration);
+  }
+
+  /**
+   * Subscribe to interactions as they are reported. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getReport() {
+    const inp = this.getINP();
+
+    return {
+      supported: InteractionTracker.isSupported(),
+      inp: inp?.duration ?? null,
+      inpAttribution: inp,
+      interactionCount: this.interactionCount,
+      slowestInteractions: this.longestInteractions.slice(0, 5),
+      targets: this.getTargetBreakdown()
+    };
+  }
+}
+
+export default InteractionTracker;
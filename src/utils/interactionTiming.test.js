@@ -0,0 +1,147 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import InteractionTracker from './interactionTiming';
+
+/**
+ * PerformanceObserver stand-in for the 'event' entry type; deliver() plays
+ * the browser reporting a batch of entries
+ */
+class FakePerformanceObserver {
+  static supportedEntryTypes = ['event'];
+  static instance = null;
+
+  constructor(callback) {
+    this.callback = callback;
+    FakePerformanceObserver.instance = this;
+  }
+
+  observe() {}
+
+  disconnect() {}
+
+  static deliver(entries) {
+    FakePerformanceObserver.instance.callback({ getEntries: () => entries });
+  }
+}
+
+/**
+ * PerformanceEventTiming-shaped entry: `inputDelay` ms before handlers ran,
+ * `processing` ms in handlers, the rest of `duration` until the next paint
+ */
+function createEntry({ interactionId = 0, name = 'click', target = null, startTime = 0, duration, inputDelay = 4, processing = 10 }) {
+  return {
+    entryType: 'event',
+    interactionId,
+    name,
+    target,
+    startTime,
+    duration,
+    processingStart: startTime + inputDelay,
+    processingEnd: startTime + inputDelay + processing
+  };
+}
+
+describe('InteractionTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    vi.stubGlobal('PerformanceObserver', FakePerformanceObserver);
+    tracker = new InteractionTracker();
+    tracker.start();
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    vi.unstubAllGlobals();
+  });
+
+  it('counts an interaction once, as long as its slowest event', () => {
+    const listener = vi.fn();
+    tracker.subscribe(listener);
+
+    FakePerformanceObserver.deliver([
+      createEntry({ interactionId: 1, name: 'pointerdown', duration: 40 }),
+      createEntry({ interactionId: 1, name: 'pointerup', duration: 120 }),
+      createEntry({ interactionId: 1, name: 'click', duration: 80 }),
+      createEntry({ interactionId: 2, name: 'keydown', duration: 60 }),
+      // Hovers have no interactionId and never count towards INP
+      createEntry({ name: 'pointerover', duration: 300 })
+    ]);
+
+    expect(tracker.getINP()).toMatchObject({ interactionId: 1, name: 'pointerup', duration: 120 });
+    expect(tracker.getReport()).toMatchObject({ supported: true, inp: 120, interactionCount: 2 });
+    expect(listener).toHaveBeenCalledWith([
+      expect.objectContaining({ interactionId: 1, duration: 120 }),
+      expect.objectContaining({ interactionId: 2, duration: 60 })
+    ]);
+
+    // Later entries of the same interaction update it rather than adding another
+    FakePerformanceObserver.deliver([createEntry({ interactionId: 2, name: 'keyup', duration: 150 })]);
+
+    expect(tracker.getINP()).toMatchObject({ interactionId: 2, name: 'keyup', duration: 150 });
+    expect(tracker.longestInteractions.map(({ interactionId }) => interactionId)).toEqual([2, 1]);
+  });
+
+  it('skips the longest interaction for every 50 on the page', () => {
+    const interactions = count => Array.from({ length: count }, (_, index) => createEntry({
+      interactionId: index + 1,
+      startTime: index * 1000,
+      duration: 16 + index
+    }));
+
+    FakePerformanceObserver.deliver(interactions(49));
+    expect(tracker.getINP().duration).toBe(64);
+
+    tracker.reset();
+    FakePerformanceObserver.deliver(interactions(120));
+    // Two skipped: the third longest of 16..135ms
+    expect(tracker.getINP().duration).toBe(133);
+    expect(tracker.getReport()).toMatchObject({ inp: 133, interactionCount: 120 });
+  });
+
+  it('breaks latency down by target, slowest 75th percentile first', () => {
+    document.body.innerHTML = `
+      <button data-interaction="menu-toggle"><span class="icon"></span></button>
+      <a id="contact" class="link primary"></a>
+    `;
+    const icon = document.querySelector('.icon');
+    const contact = document.querySelector('#contact');
+
+    FakePerformanceObserver.deliver([
+      // Past the 50 samples kept per target, so the oldest ten (1..10ms) drop out
+      ...Array.from({ length: 60 }, (_, index) => createEntry({
+        interactionId: index + 1,
+        target: icon,
+        duration: index + 1,
+        inputDelay: 0,
+        processing: 0
+      })),
+      createEntry({ interactionId: 61, name: 'pointerdown', target: contact, duration: 200, inputDelay: 20, processing: 100 }),
+      createEntry({ interactionId: 62, target: contact, duration: 40, inputDelay: 10, processing: 10 }),
+      createEntry({ interactionId: 63, target: contact, duration: 60, inputDelay: 30, processing: 20 })
+    ]);
+
+    expect(tracker.getReport().targets).toEqual([
+      {
+        target: '#contact',
+        count: 3,
+        eventTypes: ['pointerdown', 'click'],
+        p75Duration: 200,
+        maxDuration: 200,
+        avgInputDelay: 20,
+        avgProcessingTime: 130 / 3,
+        avgPresentationDelay: 110 / 3
+      },
+      {
+        target: 'menu-toggle',
+        count: 60,
+        eventTypes: ['click'],
+        p75Duration: 48,
+        maxDuration: 60,
+        avgInputDelay: 0,
+        avgProcessingTime: 0,
+        avgPresentationDelay: 35.5
+      }
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Model Loader Pipeline
+ * GLTFLoader setup (Draco, Meshopt, KTX2) and streamed fetching shared by the
+ * memory manager and the model loader worker
+ */
+
+import { DRACOLoader, GLTFLoader, KTX2Loader, MeshoptDecoder } from 'three-stdlib';
+
+export const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/';
+// Same transcoder drei's useKTX2 uses
+export const BASIS_TRANSCODER_PATH = 'https://cdn.jsdelivr.net/gh/pmndrs/drei-assets/basis/';
+
+/**
+ * Stand-in for a renderer in KTX2Loader.detectSupport, built from a plain
+ * { isWebGL2, extensions } description so it can be sent to a worker
+ */
+export function createRendererProbe({ isWebGL2 = false, extensions = [] } = {}) {
+  return {
+    capabilities: { isWebGL2 },
+    extensions: { has: name => extensions.includes(name) }
+  };
+}
+
+/**
+ * Create a GLTFLoader with Draco, Meshopt and KTX2 decoding.
+ * Returns the KTX2Loader too so its transcode targets can be updated later.
+ */
+export function createGLTFLoader(rendererDescription) {
+  const dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+
+  const ktx2Loader = new KTX2Loader();
+  ktx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+  ktx2Loader.detectSupport(createRendererProbe(rendererDescription));
+
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(dracoLoader);
+  loader.setKTX2Loader(ktx2Loader);
+  loader.setMeshoptDecoder(typeof MeshoptDecoder === 'function' ? MeshoptDecoder() : MeshoptDecoder);
+
+  return { loader, ktx2Loader };
+}
+
+/**
+ * Parse GLB/glTF bytes with external resources resolved relative to the model
+ */
+export function parseModelBytes(loader, buffer, modelPath) {
+  const resourcePath = modelPath.slice(0, modelPath.lastIndexOf('/') + 1);
+  return loader.parseAsync(buffer, resourcePath);
+}
+
+/**
+ * Fetch model bytes, reporting (percentage, { url, loaded, total }) as they arrive
+ */
+export async function fetchModelBytes(modelPath, { signal, onProgress, expectedBytes = 0 } = {}) {
+  const response = await fetch(modelPath, { signal });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} while loading ${modelPath}`);
+  }
+
+  // Content-Length is missing for compressed responses; fall back to the manifest size
+  const total = Number(response.headers.get('Content-Length')) || expectedBytes;
+
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    onProgress?.(100, { url: modelPath, loaded: buffer.byteLength, total: buffer.byteLength });
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    chunks.push(value);
+    loaded += value.byteLength;
+
+    const percentage = total > 0 ? Math.min(99, (loaded / total) * 100) : 0;
+    onProgress?.(percentage, { url: modelPath, loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+
+  return bytes.buffer;
+}
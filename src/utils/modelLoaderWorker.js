@@ -0,0 +1,112 @@
+/**
+ * Model Loader Worker Client
+ * Promise API over src/workers/modelLoader.worker.js matching the memory
+ * manager's fetchModelBuffer/parseModelBuffer, so fetching, Draco/Meshopt/KTX2
+ * decoding and image decoding never block the main thread
+ */
+
+import { deserializeGLTF } from './modelTransfer';
+
+/**
+ * Error for loads the worker cannot handle; `fallback` asks the caller to
+ * use the main thread, with the original bytes in `buffer` when they survived
+ */
+function createWorkerError({ name, message, fallback = false }, buffer = null) {
+  const error = name === 'AbortError' ? new DOMException(message, 'AbortError') : new Error(message);
+  if (name !== 'AbortError') error.name = name;
+  error.fallback = fallback;
+  error.buffer = buffer;
+  return error;
+}
+
+export class ModelLoaderWorker {
+  /**
+   * Workers need module support plus createImageBitmap to decode textures
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined';
+  }
+
+  constructor({ renderer = {} } = {}) {
+    this.requests = new Map();
+    this.nextId = 0;
+
+    this.worker = new Worker(new URL('../workers/modelLoader.worker.js', import.meta.url), { type: 'module' });
+    this.worker.addEventListener('message', event => this.handleMessage(event.data));
+    this.worker.addEventListener('error', event => this.handleCrash(event));
+    this.worker.postMessage({ type: 'configure', renderer });
+  }
+
+  handleMessage({ type, id, percentage, detail, buffer, payload, error }) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    if (type === 'progress') {
+      request.onProgress?.(percentage, detail);
+      return;
+    }
+
+    this.requests.delete(id);
+
+    if (type === 'error') {
+      request.reject(createWorkerError(error, buffer));
+    } else {
+      request.resolve(payload ? deserializeGLTF(payload) : buffer);
+    }
+  }
+
+  /**
+   * The worker script failed to load or threw outside a request; every
+   * pending request falls back to the main thread
+   */
+  handleCrash(event) {
+    event.preventDefault?.();
+    this.crashed = true;
+
+    this.requests.forEach(request => {
+      request.reject(createWorkerError({ name: 'Error', message: `Model loader worker failed: ${event.message}`, fallback: true }));
+    });
+    this.requests.clear();
+  }
+
+  request(message, { signal = null, onProgress = null, transfer = [] } = {}) {
+    if (this.crashed) {
+      return Promise.reject(createWorkerError({ name: 'Error', message: 'Model loader worker is unavailable', fallback: true }));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject, onProgress });
+      this.worker.postMessage({ ...message, id }, transfer);
+
+      signal?.addEventListener('abort', () => {
+        if (!this.requests.delete(id)) return;
+        this.worker.postMessage({ type: 'abort', id });
+        reject(new DOMException(`Model loading aborted: ${message.url}`, 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Fetch model bytes in the worker, reporting byte-level progress
+   */
+  fetchModelBuffer(modelPath, { signal, onProgress, expectedBytes = 0 } = {}) {
+    return this.request({ type: 'fetch', url: modelPath, expectedBytes }, { signal, onProgress });
+  }
+
+  /**
+   * Parse model bytes in the worker. The buffer is transferred and no longer
+   * usable by the caller. Resolves with the object GLTFLoader.parseAsync returns.
+   */
+  parseModelBuffer(buffer, modelPath) {
+    return this.request({ type: 'parse', url: modelPath, buffer }, { transfer: [buffer] });
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.requests.clear();
+  }
+}
+
+export default ModelLoaderWorker;
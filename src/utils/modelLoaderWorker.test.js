@@ -0,0 +1,111 @@
+// @vitest-environment jsdom
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEVICE_FIXTURES, createDeviceProbes } from '../test/deviceFixtures';
+import { DeviceCapabilityService, setDeviceCapabilityService } from './deviceDetection';
+import { ModelLoaderWorker } from './modelLoaderWorker';
+import ModelMemoryManager from './modelMemoryManager';
+
+/**
+ * Bytes of a glTF holding a single empty node
+ */
+function createModelBytes(nodeName) {
+  const json = { asset: { version: '2.0' }, scene: 0, scenes: [{ nodes: [0] }], nodes: [{ name: nodeName }] };
+  const text = new TextEncoder().encode(JSON.stringify(json));
+  // Copied so the buffer belongs to this realm, as GLTFLoader checks instanceof ArrayBuffer
+  const buffer = new ArrayBuffer(text.byteLength);
+  new Uint8Array(buffer).set(text);
+  return buffer;
+}
+
+/**
+ * Worker stand-in that records posted messages and lets the test answer them
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(data) {
+    this.listeners.message({ data });
+  }
+
+  terminate() {}
+}
+
+describe('Model loading without a worker', () => {
+  let modelMemoryManager;
+
+  beforeAll(() => {
+    const desktop = DEVICE_FIXTURES.find(fixture => fixture.name === 'Desktop on a 2G connection');
+    setDeviceCapabilityService(new DeviceCapabilityService({ probes: createDeviceProbes(desktop), storage: null }));
+    // jsdom has no Worker, so the manager starts without one
+    modelMemoryManager = new ModelMemoryManager();
+  });
+
+  afterAll(() => {
+    setDeviceCapabilityService(null);
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    modelMemoryManager.setLoaderWorker(null);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('parses on the main thread when Worker is missing', async () => {
+    vi.stubGlobal('Worker', undefined);
+
+    expect(ModelLoaderWorker.isSupported()).toBe(false);
+    expect(modelMemoryManager.loaderWorker).toBeNull();
+    expect(modelMemoryManager.createLoaderWorker()).toBeNull();
+
+    const model = await modelMemoryManager.parseModelBuffer(createModelBytes('Phoenix'), '/models/phoenix.gltf');
+
+    expect(model.nodes.Phoenix).toBeDefined();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('parses on the main thread when the worker hands the bytes back', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const loaderWorker = new ModelLoaderWorker();
+    modelMemoryManager.setLoaderWorker(loaderWorker);
+    const bytes = createModelBytes('Phoenix');
+
+    const parsing = modelMemoryManager.parseModelBuffer(bytes, '/models/phoenix.gltf');
+    const request = loaderWorker.worker.messages.find(message => message.type === 'parse');
+    loaderWorker.worker.reply({
+      type: 'error',
+      id: request.id,
+      error: { name: 'ModelTransferError', message: 'Sprite "Flare" cannot be transferred', fallback: true },
+      buffer: bytes
+    });
+    const model = await parsing;
+
+    expect(model.nodes.Phoenix).toBeDefined();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Parsing /models/phoenix.gltf on the main thread'));
+  });
+
+  it('fails pending requests over to the main thread when the worker crashes', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const loaderWorker = new ModelLoaderWorker();
+
+    const fetching = loaderWorker.fetchModelBuffer('/models/phoenix.glb');
+    loaderWorker.worker.listeners.error({ message: 'Script error' });
+
+    await expect(fetching).rejects.toMatchObject({ fallback: true });
+    await expect(loaderWorker.fetchModelBuffer('/models/phoenix.glb')).rejects.toMatchObject({ fallback: true });
+  });
+});
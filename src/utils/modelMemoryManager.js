@@ -3,8 +3,193 @@
  * Advanced memory management for 3D models with progressive loading, caching, and cleanup
  */
 
+import { useEffect, useRef, useState } from 'react';
+import { DefaultLoadingManager, LinearFilter, NearestFilter, TextureUtils } from 'three';
+import { GLTFLoader } from 'three-stdlib';
+import { buildGraph, useThree } from '@react-three/fiber';
 import { useGLTF } from '@react-three/drei';
+import { clear as clearLoaderCache, peek as peekLoaderCache, preload as preloadLoaderCache } from 'suspend-react';
 import assessDeviceCapabilities from './deviceDetection';
+import { QUALITY_TIERS, getModelTier, getModelTiers, resolveModelUrl } from './modelRegistry';
+import { getPersistentModelCache } from './modelPersistentCache';
+import { createGLTFLoader, fetchModelBytes, parseModelBytes } from './modelLoaderPipeline';
+import ModelLoaderWorker from './modelLoaderWorker';
+
+const BYTES_PER_MB = 1024 * 1024;
+const IS_DEV = import.meta.env.DEV;
+
+/**
+ * Create the error used to reject cancelled loads
+ */
+function createAbortError(modelPath) {
+  return new DOMException(`Model loading aborted: ${modelPath}`, 'AbortError');
+}
+
+/**
+ * Key of a model in drei's useGLTF cache (useLoader keys by loader class and URL)
+ */
+function getLoaderCacheKey(modelPath) {
+  return [GLTFLoader, modelPath];
+}
+
+/**
+ * Describe the renderer's texture support (for KTX2 transcoding) from the
+ * compressed texture extensions found during device detection
+ */
+function getRendererDescription({ deviceInfo }) {
+  return {
+    isWebGL2: Boolean(deviceInfo.webgl.webgl2Support),
+    extensions: deviceInfo.webgl.compressedTextureExtensions || []
+  };
+}
+
+/**
+ * List every [slot, texture] pair on a material, including custom shader uniforms
+ */
+function getMaterialTextures(material) {
+  const textures = Object.entries(material).filter(([, value]) => value?.isTexture);
+
+  Object.entries(material.uniforms || {}).forEach(([name, uniform]) => {
+    if (uniform?.value?.isTexture) textures.push([`uniforms.${name}`, uniform.value]);
+  });
+
+  return textures;
+}
+
+/**
+ * Byte size of a geometry's vertex, morph and index buffers. Interleaved
+ * attributes share one array, which is only counted once.
+ */
+function getGeometryBytes(geometry) {
+  const countedArrays = new Set();
+
+  const countAttribute = (attribute) => {
+    const array = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+    if (!array || countedArrays.has(array)) return 0;
+
+    countedArrays.add(array);
+    return array.byteLength;
+  };
+
+  let bytes = 0;
+  Object.values(geometry.attributes).forEach(attribute => { bytes += countAttribute(attribute); });
+  Object.values(geometry.morphAttributes).flat().forEach(attribute => { bytes += countAttribute(attribute); });
+  if (geometry.index) bytes += countAttribute(geometry.index);
+
+  return bytes;
+}
+
+/**
+ * GPU byte size of a texture. Compressed textures (KTX2, DDS) are measured
+ * from their uploaded mip chain; everything else from dimensions, format and type.
+ */
+function getTextureBytes(texture) {
+  if (texture.isCompressedTexture) {
+    const levels = texture.mipmaps?.length ? texture.mipmaps : [texture.image];
+    return levels.flat().reduce((total, level) => total + (level?.data?.byteLength || 0), 0);
+  }
+
+  // Cube textures hold one image per face; 3D and array textures have a depth
+  const images = Array.isArray(texture.image) ? texture.image : [texture.image];
+  const bytes = images.reduce((total, image) => {
+    if (!image?.width || !image?.height) return total;
+
+    let layerBytes;
+    try {
+      layerBytes = TextureUtils.getByteLength(image.width, image.height, texture.format, texture.type);
+    } catch {
+      layerBytes = image.width * image.height * 4;
+    }
+    return total + layerBytes * (image.depth || 1);
+  }, 0);
+
+  const hasMipmaps = texture.generateMipmaps &&
+    texture.minFilter !== NearestFilter &&
+    texture.minFilter !== LinearFilter;
+
+  // A full mip chain adds a third on top of the base level
+  return hasMipmaps ? Math.round((bytes * 4) / 3) : bytes;
+}
+
+/**
+ * Collect the unique geometries, materials and textures referenced by a scene graph,
+ * keyed by uuid, with their byte sizes
+ */
+function collectSceneResources(root) {
+  const resources = new Map();
+
+  const addTexture = (texture, slot) => {
+    const existing = resources.get(texture.uuid);
+    if (existing) {
+      if (!existing.slots.includes(slot)) existing.slots.push(slot);
+      return;
+    }
+
+    resources.set(texture.uuid, {
+      uuid: texture.uuid,
+      type: 'texture',
+      name: texture.name,
+      object: texture,
+      bytes: getTextureBytes(texture),
+      slots: [slot],
+      compressed: Boolean(texture.isCompressedTexture)
+    });
+  };
+
+  root?.traverse(object => {
+    const { geometry, skeleton } = object;
+
+    if (geometry?.isBufferGeometry && !resources.has(geometry.uuid)) {
+      resources.set(geometry.uuid, {
+        uuid: geometry.uuid,
+        type: 'geometry',
+        name: geometry.name,
+        object: geometry,
+        bytes: getGeometryBytes(geometry)
+      });
+    }
+
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      if (!material?.isMaterial || resources.has(material.uuid)) return;
+
+      resources.set(material.uuid, {
+        uuid: material.uuid,
+        type: 'material',
+        name: material.name,
+        object: material,
+        bytes: 0
+      });
+      getMaterialTextures(material).forEach(([slot, texture]) => addTexture(texture, slot));
+    });
+
+    // Skinned meshes upload their bone matrices as a float texture
+    if (skeleton?.boneTexture) addTexture(skeleton.boneTexture, 'boneTexture');
+  });
+
+  return resources;
+}
+
+/**
+ * Make objects that still render a disposed geometry, material or texture
+ * throw instead of silently re-uploading it (development only)
+ */
+function guardDisposedResources(root, disposedResources, modelPath) {
+  const disposed = new Set(disposedResources.map(resource => resource.object));
+
+  root?.traverse(object => {
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    const usesDisposed = disposed.has(object.geometry) || materials.some(material =>
+      material && (disposed.has(material) || getMaterialTextures(material).some(([, texture]) => disposed.has(texture)))
+    );
+
+    if (usesDisposed) {
+      object.onBeforeRender = () => {
+        throw new Error(`Rendering "${object.name || object.type}" from evicted model ${modelPath}; hold a reference with acquire()`);
+      };
+    }
+  });
+}
 
 /**
  * Model Memory Manager Class
@@ -20,12 +205,78 @@ class ModelMemoryManager {
       totalTextures: 0,
       estimatedMemoryMB: 0
     };
+    // GPU resources by uuid, with the set of cached model paths referencing them
+    this.resourceOwners = new Map();
+    this.renderer = null;
     this.cleanupCallbacks = new Set();
+    this.progressiveControllers = new Set();
     this.deviceCapabilities = assessDeviceCapabilities();
     this.maxCacheSize = this.getMaxCacheSize();
     this.compressionSettings = this.getCompressionSettings();
+    this.gltfLoader = this.createGLTFLoader();
+    this.loaderWorker = this.createLoaderWorker();
+    this.persistentCache = getPersistentModelCache();
+    // Byte progress of in-flight loads, by path, for loading screens
+    this.loadProgress = new Map();
+    this.loadProgressListeners = new Set();
     
     this.startMemoryMonitoring();
+    
+    // Stop background tier upgrades when the user leaves the page
+    window.addEventListener('pagehide', () => this.cancelProgressiveLoads());
+  }
+  
+  /**
+   * Create the main-thread GLTF loader, used when the loader worker is unavailable
+   */
+  createGLTFLoader() {
+    // Transcode targets come from device detection until a renderer is attached
+    const { loader, ktx2Loader } = createGLTFLoader(getRendererDescription(this.deviceCapabilities));
+    this.ktx2Loader = ktx2Loader;
+    
+    return loader;
+  }
+  
+  /**
+   * Start the worker that fetches and parses models off the main thread
+   */
+  createLoaderWorker() {
+    if (!ModelLoaderWorker.isSupported()) return null;
+    
+    try {
+      return new ModelLoaderWorker({ renderer: getRendererDescription(this.deviceCapabilities) });
+    } catch (error) {
+      console.warn('Model loader worker unavailable, parsing on the main thread:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Replace the loader worker; null parses on the main thread
+   */
+  setLoaderWorker(loaderWorker) {
+    this.loaderWorker?.terminate();
+    this.loaderWorker = loaderWorker;
+  }
+  
+  /**
+   * Replace the persistent byte cache (e.g. with an in-memory backend in tests)
+   */
+  setPersistentCache(persistentCache) {
+    this.persistentCache = persistentCache;
+  }
+  
+  /**
+   * Attach the WebGL renderer whose gl.info is reported alongside the
+   * scene-graph accounting. Returns a detach function.
+   */
+  attachRenderer(renderer) {
+    this.renderer = renderer;
+    this.ktx2Loader.detectSupport(renderer);
+    
+    return () => {
+      if (this.renderer === renderer) this.renderer = null;
+    };
   }
   
   /**
@@ -50,7 +301,7 @@ class ModelMemoryManager {
   getCompressionSettings() {
     const quality = this.deviceCapabilities.recommendedQuality;
     
-    return {
+    const settings = {
       'ultra-low': {
         textureCompressionRatio: 0.25,
         geometryOptimization: true,
@@ -75,92 +326,470 @@ class ModelMemoryManager {
         materialSimplification: false,
         enableDraco: true
       }
-    }[quality] || this.getCompressionSettings()['low'];
+    };
+    
+    // Devices without WebGL ('none') get the low settings
+    return settings[quality] || settings.low;
   }
   
   /**
-   * Progressive model loading with memory management
+   * Texture variant to load: KTX2 (transcoded by KTX2Loader to the GPU's
+   * compressed format) whenever textures should be compressed and the device
+   * supports a compressed format, otherwise the default WebP/PNG files
    */
-  async loadModelProgressive(modelPath, priority = 'normal', onProgress = null) {
+  getTextureVariant() {
+    const { textureCompressionRatio } = this.getCompressionSettings();
+    const extensions = this.deviceCapabilities.deviceInfo.webgl.compressedTextureExtensions || [];
+    
+    return textureCompressionRatio < 1 && extensions.length > 0 ? 'ktx2' : null;
+  }
+  
+  /**
+   * Resolve the URL of a model tier in this device's texture variant
+   */
+  resolveTierUrl(modelId, quality) {
+    return resolveModelUrl(modelId, quality, this.getTextureVariant());
+  }
+  
+  /**
+   * Resolve the tiers to load for a model: the lightest tier first, then the
+   * highest tier allowed by the device (or an explicit maxQuality)
+   */
+  getProgressiveTiers(modelId, maxQuality = this.deviceCapabilities.recommendedQuality) {
+    if (maxQuality === 'none') return [];
+    
+    const ceilingIndex = QUALITY_TIERS.includes(maxQuality)
+      ? QUALITY_TIERS.indexOf(maxQuality)
+      : QUALITY_TIERS.indexOf('low');
+    const availableTiers = getModelTiers(modelId)
+      .filter(quality => QUALITY_TIERS.indexOf(quality) <= ceilingIndex);
+    
+    // Models registered without generated tiers only have their source file
+    if (availableTiers.length === 0) return ['original'];
+    
+    const lightest = availableTiers[0];
+    const ceiling = availableTiers[availableTiers.length - 1];
+    return lightest === ceiling ? [lightest] : [lightest, ceiling];
+  }
+  
+  /**
+   * Get the highest tier of a model that is already cached, up to maxQuality
+   */
+  getBestLoadedTier(modelId, maxQuality = this.deviceCapabilities.recommendedQuality) {
+    const qualities = [...this.getProgressiveTiers(modelId, maxQuality)].reverse();
+    
+    for (const quality of qualities) {
+      const url = this.resolveTierUrl(modelId, quality);
+      const cachedModel = url && this.loadedModels.get(url);
+      
+      if (cachedModel) {
+        cachedModel.lastAccessed = Date.now();
+        return this.createTierEntry(modelId, quality, url);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Describe a cached model tier ({ modelId, quality, url, data }). `acquire()`
+   * takes a reference that protects the model from eviction and returns its
+   * release function. In development, reading `data` after the model has been
+   * disposed throws.
+   */
+  createTierEntry(modelId, quality, url) {
+    const cacheEntry = this.loadedModels.get(url);
+    
+    return {
+      modelId,
+      quality,
+      url,
+      get data() {
+        if (IS_DEV && cacheEntry.disposed) {
+          throw new Error(`Model ${url} was used after it was evicted; hold a reference with acquire()`);
+        }
+        return cacheEntry.data;
+      },
+      acquire: () => this.acquireModel(url)
+    };
+  }
+  
+  /**
+   * Tier entry that already holds a reference, released with `release()`
+   */
+  createModelHandle(modelId, quality, url) {
+    const handle = this.createTierEntry(modelId, quality, url);
+    handle.release = this.acquireModel(url);
+    
+    return handle;
+  }
+  
+  /**
+   * Take a reference on a cached model so cleanup cannot evict it.
+   * Returns an idempotent release function.
+   */
+  acquireModel(modelPath) {
+    const cacheEntry = this.loadedModels.get(modelPath);
+    
+    if (!cacheEntry) {
+      throw new Error(`Cannot acquire ${modelPath}: the model is not loaded`);
+    }
+    
+    cacheEntry.refCount++;
+    cacheEntry.lastAccessed = Date.now();
+    
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      cacheEntry.refCount--;
+      cacheEntry.lastAccessed = Date.now();
+    };
+  }
+  
+  /**
+   * Progressive model loading: resolves with a handle for the ultra-low tier
+   * as soon as it is ready, then upgrades to higher tiers in the background.
+   * Every tier that finishes (including the first) is reported to onTierLoaded
+   * as its own handle. Each handle holds a reference until `release()` is called.
+   */
+  async loadModelProgressive(modelId, {
+    priority = 'normal',
+    maxQuality = this.deviceCapabilities.recommendedQuality,
+    onProgress = null,
+    onTierLoaded = null,
+    signal = null
+  } = {}) {
+    const tiers = this.getProgressiveTiers(modelId, maxQuality);
+    if (tiers.length === 0) return null;
+    
+    // Cancelled by the caller or by cancelProgressiveLoads()
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    this.progressiveControllers.add(controller);
+    
+    const loadTier = async (quality) => {
+      const tier = getModelTier(modelId, quality, this.getTextureVariant());
+      await this.loadModel(tier.url, {
+        priority,
+        expectedBytes: tier.bytes,
+        signal: controller.signal,
+        onProgress: (percentage, detail) => onProgress?.(percentage, { ...detail, modelId, quality })
+      });
+      if (onTierLoaded) onTierLoaded(this.createModelHandle(modelId, quality, tier.url));
+      return { modelId, quality, url: tier.url };
+    };
+    
+    const finish = () => {
+      signal?.removeEventListener('abort', abort);
+      this.progressiveControllers.delete(controller);
+    };
+    
+    try {
+      const firstTier = await loadTier(tiers[0]);
+      const firstHandle = this.createModelHandle(modelId, firstTier.quality, firstTier.url);
+      
+      // Upgrade in the background; keep showing the lower tier on failure
+      (async () => {
+        let previousTier = firstTier;
+        
+        for (const quality of tiers.slice(1)) {
+          if (controller.signal.aborted) break;
+          
+          try {
+            const upgradedTier = await loadTier(quality);
+            
+            // Lower tiers are superseded and should be evicted first
+            const previousEntry = this.loadedModels.get(previousTier.url);
+            if (previousEntry) previousEntry.priority = 'low';
+            previousTier = upgradedTier;
+          } catch (error) {
+            if (error.name !== 'AbortError') {
+              console.warn(`Tier upgrade failed for ${modelId} (${quality}):`, error);
+            }
+            break;
+          }
+        }
+      })().finally(finish);
+      
+      return firstHandle;
+    } catch (error) {
+      finish();
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancel every in-flight progressive load and background upgrade
+   */
+  cancelProgressiveLoads() {
+    this.progressiveControllers.forEach(controller => controller.abort());
+    this.progressiveControllers.clear();
+  }
+  
+  /**
+   * Load a single model file with caching and request de-duplication.
+   * onProgress receives (percentage, { url, loaded, total }) as bytes arrive.
+   */
+  async loadModel(modelPath, { priority = 'normal', onProgress = null, signal = null, expectedBytes = 0 } = {}) {
     // Check if already loaded
     if (this.loadedModels.has(modelPath)) {
       const cachedModel = this.loadedModels.get(modelPath);
       cachedModel.lastAccessed = Date.now();
+      onProgress?.(100, { url: modelPath, loaded: 1, total: 1 });
       return cachedModel.data;
     }
     
-    // Check if already loading
-    if (this.loadingPromises.has(modelPath)) {
-      return this.loadingPromises.get(modelPath);
+    if (signal?.aborted) throw createAbortError(modelPath);
+    
+    // useGLTF loaded it on its own first; adopt that result instead of loading again
+    const [dreiModel] = peekLoaderCache(getLoaderCacheKey(modelPath)) || [];
+    if (dreiModel) {
+      this.cacheModel(modelPath, dreiModel, { priority, loadTime: 0 });
+      onProgress?.(100, { url: modelPath, loaded: 1, total: 1 });
+      return dreiModel;
     }
     
-    // Start loading
-    const loadingPromise = this.loadModelInternal(modelPath, priority, onProgress);
-    this.loadingPromises.set(modelPath, loadingPromise);
+    // Share one request between every caller of the same path; it is only
+    // aborted once all of its callers have cancelled
+    let pending = this.loadingPromises.get(modelPath);
+    if (!pending) {
+      const controller = new AbortController();
+      const listeners = new Set();
+      
+      pending = {
+        controller,
+        listeners,
+        waiters: 0,
+        promise: this.loadModelInternal(modelPath, priority, {
+          signal: controller.signal,
+          expectedBytes,
+          onProgress: (percentage, detail) => listeners.forEach(listener => listener(percentage, detail))
+        }).finally(() => {
+          this.loadingPromises.delete(modelPath);
+        })
+      };
+      this.loadingPromises.set(modelPath, pending);
+      
+      // Seed drei's cache so useGLTF(modelPath) suspends on this request instead
+      // of starting its own; cancelled loads are dropped so useGLTF can retry
+      const cacheKey = getLoaderCacheKey(modelPath);
+      preloadLoaderCache(pending.promise.then(data => [data]), cacheKey);
+      pending.promise.catch(error => {
+        if (error.name === 'AbortError') clearLoaderCache(cacheKey);
+      });
+    }
     
-    try {
-      const modelData = await loadingPromise;
-      this.loadingPromises.delete(modelPath);
-      return modelData;
-    } catch (error) {
-      this.loadingPromises.delete(modelPath);
-      throw error;
+    pending.waiters++;
+    if (onProgress) pending.listeners.add(onProgress);
+    
+    const release = () => {
+      pending.listeners.delete(onProgress);
+      pending.waiters--;
+    };
+    
+    if (!signal) {
+      return pending.promise.finally(release);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        release();
+        if (pending.waiters === 0) pending.controller.abort();
+        reject(createAbortError(modelPath));
+      };
+      
+      signal.addEventListener('abort', handleAbort, { once: true });
+      pending.promise.then(resolve, reject).finally(() => {
+        if (!signal.aborted) {
+          signal.removeEventListener('abort', handleAbort);
+          release();
+        }
+      });
+    });
+  }
+  
+  /**
+   * Fetch model bytes, reporting byte-level progress. Runs in the loader
+   * worker when there is one.
+   */
+  async fetchModelBuffer(modelPath, { signal, onProgress, expectedBytes = 0 }) {
+    if (this.loaderWorker) {
+      try {
+        return await this.loaderWorker.fetchModelBuffer(modelPath, { signal, onProgress, expectedBytes });
+      } catch (error) {
+        if (!error.fallback) throw error;
+      }
+    }
+    
+    return fetchModelBytes(modelPath, { signal, onProgress, expectedBytes });
+  }
+  
+  /**
+   * Get model bytes from the persistent cache, fetching and persisting them on a miss
+   */
+  async getModelBuffer(modelPath, { signal, onProgress, expectedBytes = 0 }) {
+    const cachedBuffer = await this.persistentCache.get(modelPath);
+    
+    if (cachedBuffer) {
+      const bytes = cachedBuffer.byteLength;
+      onProgress?.(100, { url: modelPath, loaded: bytes, total: bytes, fromCache: true });
+      return cachedBuffer;
+    }
+    
+    const buffer = await this.fetchModelBuffer(modelPath, { signal, onProgress, expectedBytes });
+    
+    // Persist a copy; parsing transfers the original to the loader worker
+    this.persistentCache.put(modelPath, buffer.slice(0)).catch(error => {
+      console.warn(`Failed to persist model ${modelPath}:`, error);
+    });
+    
+    return buffer;
+  }
+  
+  /**
+   * Parse fetched bytes into the same { scene, animations, nodes, materials } shape useGLTF returns.
+   * The loader worker decodes and builds the geometry, so only the final
+   * scene graph is assembled here; the buffer is transferred to it.
+   */
+  async parseModelBuffer(buffer, modelPath) {
+    let gltf = null;
+    
+    if (this.loaderWorker) {
+      try {
+        gltf = await this.loaderWorker.parseModelBuffer(buffer, modelPath);
+      } catch (error) {
+        if (!error.fallback || !error.buffer) throw error;
+        
+        console.warn(`Parsing ${modelPath} on the main thread: ${error.message}`);
+        buffer = error.buffer;
+      }
     }
+    
+    if (!gltf) gltf = await parseModelBytes(this.gltfLoader, buffer, modelPath);
+    
+    return Object.assign(gltf, buildGraph(gltf.scene));
   }
   
   /**
    * Internal model loading with optimization
    */
-  async loadModelInternal(modelPath, priority, onProgress) {
+  async loadModelInternal(modelPath, priority, { signal, onProgress, expectedBytes }) {
+    // Report through the shared three.js loading manager so useProgress sees it
+    DefaultLoadingManager.itemStart(modelPath);
+    
+    const reportProgress = (percentage, detail) => {
+      this.setLoadProgress(modelPath, percentage);
+      onProgress?.(percentage, detail);
+    };
+    
     try {
       // Check memory before loading
       await this.ensureMemoryAvailable();
       
       const startTime = performance.now();
       
-      // Load model with useGLTF
-      const modelData = await new Promise((resolve, reject) => {
-        try {
-          const gltf = useGLTF.preload(modelPath);
-          gltf.then(resolve).catch(reject);
-        } catch (error) {
-          reject(error);
-        }
-      });
+      const buffer = await this.getModelBuffer(modelPath, { signal, onProgress: reportProgress, expectedBytes });
+      if (signal.aborted) throw createAbortError(modelPath);
+      
+      // Parsing transfers the buffer to the loader worker
+      const { byteLength } = buffer;
+      const modelData = await this.parseModelBuffer(buffer, modelPath);
       
       const loadTime = performance.now() - startTime;
       
       // Optimize model based on device capabilities
       const optimizedModel = this.optimizeLoadedModel(modelData, modelPath);
-      
-      // Calculate memory usage
-      const memoryUsage = this.calculateModelMemoryUsage(optimizedModel);
-      
-      // Cache the model
-      const cacheEntry = {
-        data: optimizedModel,
-        path: modelPath,
-        memoryUsage: memoryUsage,
-        loadTime: loadTime,
-        lastAccessed: Date.now(),
-        priority: priority,
-        compressionApplied: this.compressionSettings
-      };
-      
-      this.loadedModels.set(modelPath, cacheEntry);
-      this.updateMemoryUsage();
+      const { memoryUsage } = this.cacheModel(modelPath, optimizedModel, { priority, loadTime });
       
       // Progress callback
-      onProgress?.(100);
+      onProgress?.(100, { url: modelPath, loaded: byteLength, total: byteLength });
       
       console.log(`Model loaded: ${modelPath} (${loadTime.toFixed(2)}ms, ${memoryUsage.toFixed(2)}MB)`);
       
       return optimizedModel;
       
     } catch (error) {
-      console.error(`Failed to load model: ${modelPath}`, error);
+      if (error.name !== 'AbortError') {
+        console.error(`Failed to load model: ${modelPath}`, error);
+        DefaultLoadingManager.itemError(modelPath);
+      }
       throw error;
+    } finally {
+      this.setLoadProgress(modelPath, null);
+      DefaultLoadingManager.itemEnd(modelPath);
+    }
+  }
+  
+  /**
+   * Record the byte progress of an in-flight load (null once it settles)
+   */
+  setLoadProgress(modelPath, percentage) {
+    if (percentage === null) {
+      this.loadProgress.delete(modelPath);
+    } else {
+      this.loadProgress.set(modelPath, percentage);
     }
+    
+    const progress = this.getLoadProgress();
+    this.loadProgressListeners.forEach(listener => listener(progress));
+  }
+  
+  /**
+   * Progress of in-flight loads: how many there are and how many files'
+   * worth of bytes (0..active) have arrived
+   */
+  getLoadProgress() {
+    let fraction = 0;
+    this.loadProgress.forEach(percentage => { fraction += percentage / 100; });
+    
+    return { active: this.loadProgress.size, fraction };
+  }
+  
+  /**
+   * Byte progress (0-100) of one model: 100 once it is loaded, 0 before its
+   * first bytes arrive
+   */
+  getModelLoadProgress(modelPath) {
+    if (this.loadedModels.has(modelPath)) return 100;
+    return this.loadProgress.get(modelPath) ?? 0;
+  }
+  
+  /**
+   * Subscribe to getLoadProgress() changes. Returns an unsubscribe function.
+   */
+  subscribeLoadProgress(listener) {
+    this.loadProgressListeners.add(listener);
+    return () => this.loadProgressListeners.delete(listener);
+  }
+  
+  /**
+   * Add parsed model data to the cache and account for its GPU resources
+   */
+  cacheModel(modelPath, modelData, { priority = 'normal', loadTime = 0 } = {}) {
+    // Measure the GPU resources the model references
+    const resources = collectSceneResources(modelData.scene);
+    
+    const cacheEntry = {
+      data: modelData,
+      path: modelPath,
+      resources: new Set(resources.keys()),
+      memoryUsage: this.calculateModelMemoryUsage(modelData, resources),
+      loadTime: loadTime,
+      lastAccessed: Date.now(),
+      // Mounted components referencing the model; only unreferenced models are evicted
+      refCount: 0,
+      disposed: false,
+      priority: priority,
+      compressionApplied: this.compressionSettings
+    };
+    
+    this.loadedModels.set(modelPath, cacheEntry);
+    this.registerModelResources(modelPath, resources);
+    this.updateMemoryUsage();
+    
+    return cacheEntry;
   }
   
   /**
@@ -267,16 +896,14 @@ class ModelMemoryManager {
   }
   
   /**
-   * Optimize textures based on compression ratio
+   * Optimize textures based on compression ratio. Only uncompressed textures
+   * are touched, i.e. models loaded without a KTX2 variant.
    */
   optimizeTextures(material, compressionRatio) {
     if (!material || compressionRatio >= 1.0) return;
     
-    const textureProperties = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap'];
-    
-    textureProperties.forEach(prop => {
-      const texture = material[prop];
-      if (texture && texture.image) {
+    getMaterialTextures(material).forEach(([prop, texture]) => {
+      if (texture.image && !texture.isCompressedTexture) {
         try {
           // Disable mipmaps on low-end devices to save memory
           if (compressionRatio <= 0.5) {
@@ -299,66 +926,133 @@ class ModelMemoryManager {
   }
   
   /**
-   * Calculate approximate memory usage of a model
+   * Memory usage of a model in MB, summed from the real buffer and texture
+   * sizes of every resource its scene graph references
    */
-  calculateModelMemoryUsage(modelData) {
-    let memoryMB = 0;
+  calculateModelMemoryUsage(modelData, resources = collectSceneResources(modelData.scene)) {
+    let bytes = 0;
+    resources.forEach(resource => { bytes += resource.bytes; });
     
-    try {
-      // Calculate geometry memory
-      if (modelData.nodes) {
-        Object.values(modelData.nodes).forEach(node => {
-          if (node.geometry) {
-            const geo = node.geometry;
-            let geoMemory = 0;
-            
-            // Vertices
-            if (geo.attributes.position) {
-              geoMemory += geo.attributes.position.count * geo.attributes.position.itemSize * 4; // 4 bytes per float
-            }
-            
-            // Normals
-            if (geo.attributes.normal) {
-              geoMemory += geo.attributes.normal.count * geo.attributes.normal.itemSize * 4;
-            }
-            
-            // UVs
-            if (geo.attributes.uv) {
-              geoMemory += geo.attributes.uv.count * geo.attributes.uv.itemSize * 4;
-            }
-            
-            // Indices
-            if (geo.index) {
-              geoMemory += geo.index.count * 2; // 2 bytes per index
-            }
-            
-            memoryMB += geoMemory / (1024 * 1024);
-          }
-        });
-      }
+    return bytes / BYTES_PER_MB;
+  }
+  
+  /**
+   * Record a cached model as an owner of its resources. Resources shared with
+   * models that are already cached are tracked, and counted, only once.
+   */
+  registerModelResources(modelPath, resources) {
+    resources.forEach((resource, uuid) => {
+      const entry = this.resourceOwners.get(uuid) || { ...resource, owners: new Set() };
+      entry.bytes = resource.bytes;
+      entry.owners.add(modelPath);
+      this.resourceOwners.set(uuid, entry);
+    });
+  }
+  
+  /**
+   * Drop a model's claim on its resources, returning the ones no other cached model uses
+   */
+  releaseModelResources(modelPath) {
+    const orphaned = [];
+    
+    this.loadedModels.get(modelPath)?.resources.forEach(uuid => {
+      const entry = this.resourceOwners.get(uuid);
+      if (!entry) return;
       
-      // Calculate texture memory (approximate)
-      if (modelData.materials) {
-        Object.values(modelData.materials).forEach(material => {
-          const textureProps = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap'];
-          textureProps.forEach(prop => {
-            const texture = material[prop];
-            if (texture && texture.image) {
-              // Rough estimate: width * height * 4 bytes (RGBA)
-              const width = texture.image.width || 512;
-              const height = texture.image.height || 512;
-              memoryMB += (width * height * 4) / (1024 * 1024);
-            }
-          });
-        });
+      entry.owners.delete(modelPath);
+      if (entry.owners.size === 0) {
+        this.resourceOwners.delete(uuid);
+        orphaned.push(entry);
       }
-      
-    } catch (error) {
-      console.warn('Memory calculation failed:', error);
-      memoryMB = 5; // Default estimate
-    }
+    });
     
-    return memoryMB;
+    return orphaned;
+  }
+  
+  /**
+   * Bytes that evicting a model would actually free (resources only it references)
+   */
+  getReclaimableBytes(modelPath) {
+    let bytes = 0;
+    
+    this.loadedModels.get(modelPath)?.resources.forEach(uuid => {
+      const entry = this.resourceOwners.get(uuid);
+      if (entry?.owners.size === 1) bytes += entry.bytes;
+    });
+    
+    return bytes;
+  }
+  
+  /**
+   * Per-model memory breakdown: exclusive vs shared bytes, by resource type
+   */
+  getModelMemoryBreakdown(modelPath) {
+    const model = this.loadedModels.get(modelPath);
+    if (!model) return null;
+    
+    const resources = Array.from(model.resources, uuid => this.resourceOwners.get(uuid))
+      .filter(Boolean)
+      .map(({ uuid, type, name, bytes, slots, compressed, owners }) => ({
+        uuid,
+        type,
+        name,
+        bytes,
+        slots,
+        compressed,
+        shared: owners.size > 1
+      }))
+      .sort((a, b) => b.bytes - a.bytes);
+    
+    const sumMB = (filter) => resources.filter(filter).reduce((total, resource) => total + resource.bytes, 0) / BYTES_PER_MB;
+    
+    return {
+      path: modelPath,
+      priority: model.priority,
+      refCount: model.refCount,
+      lastAccessed: model.lastAccessed,
+      totalMB: sumMB(() => true),
+      exclusiveMB: sumMB(resource => !resource.shared),
+      sharedMB: sumMB(resource => resource.shared),
+      geometryMB: sumMB(resource => resource.type === 'geometry'),
+      textureMB: sumMB(resource => resource.type === 'texture'),
+      resources
+    };
+  }
+  
+  /**
+   * Full memory breakdown: every cached model, every unique resource and the renderer's own counters
+   */
+  getMemoryBreakdown() {
+    return {
+      models: Array.from(this.loadedModels.keys(), path => this.getModelMemoryBreakdown(path)),
+      resources: Array.from(this.resourceOwners.values(), ({ uuid, type, name, bytes, slots, compressed, owners }) => ({
+        uuid,
+        type,
+        name,
+        bytes,
+        slots,
+        compressed,
+        owners: Array.from(owners)
+      })).sort((a, b) => b.bytes - a.bytes),
+      renderer: this.getRendererInfo()
+    };
+  }
+  
+  /**
+   * Resource and draw counters from the attached renderer's gl.info
+   */
+  getRendererInfo() {
+    if (!this.renderer?.info) return null;
+    
+    const { memory, render, programs } = this.renderer.info;
+    
+    return {
+      geometries: memory.geometries,
+      textures: memory.textures,
+      programs: programs?.length ?? 0,
+      drawCalls: render.calls,
+      triangles: render.triangles
+    };
   }
   
   /**
@@ -378,36 +1072,35 @@ class ModelMemoryManager {
   async performMemoryCleanup() {
     console.log('Performing memory cleanup...');
     
-    // Sort models by last access time and priority
-    const sortedModels = Array.from(this.loadedModels.entries())
-      .sort((a, b) => {
-        const [, modelA] = a;
-        const [, modelB] = b;
-        
-        // Prioritize by priority first, then by last accessed time
+    // Only models no mounted component references can go; low priority
+    // models first, then the least recently used
+    const priorityOrder = { low: 1, normal: 2, high: 3 };
+    const candidates = Array.from(this.loadedModels.values())
+      .filter(model => model.refCount === 0)
+      .sort((modelA, modelB) => {
         if (modelA.priority !== modelB.priority) {
-          const priorityOrder = { high: 3, normal: 2, low: 1 };
-          return priorityOrder[modelB.priority] - priorityOrder[modelA.priority];
+          return (priorityOrder[modelA.priority] ?? 2) - (priorityOrder[modelB.priority] ?? 2);
         }
         
         return modelA.lastAccessed - modelB.lastAccessed;
       });
     
-    // Remove oldest/lowest priority models until under threshold
+    // Remove models until under threshold
     const targetUsage = this.maxCacheSize * 0.6; // Target 60% usage
-    let currentUsage = this.getCurrentMemoryUsage();
     
-    for (const [modelPath, model] of sortedModels) {
-      if (currentUsage <= targetUsage) break;
+    for (const model of candidates) {
+      if (this.getCurrentMemoryUsage() <= targetUsage) break;
+      
+      // Resources shared with other cached models stay resident, so evicting
+      // a model made only of shared resources frees nothing
+      const reclaimableMB = this.getReclaimableBytes(model.path) / BYTES_PER_MB;
+      if (reclaimableMB === 0) continue;
       
       try {
-        this.disposeModel(model.data);
-        this.loadedModels.delete(modelPath);
-        currentUsage -= model.memoryUsage;
-        
-        console.log(`Cleaned up model: ${modelPath} (${model.memoryUsage.toFixed(2)}MB freed)`);
+        this.evictModel(model.path);
+        console.log(`Cleaned up model: ${model.path} (${reclaimableMB.toFixed(2)}MB freed)`);
       } catch (error) {
-        console.warn(`Failed to cleanup model ${modelPath}:`, error);
+        console.warn(`Failed to cleanup model ${model.path}:`, error);
       }
     }
     
@@ -420,38 +1113,39 @@ class ModelMemoryManager {
   }
   
   /**
-   * Dispose of a model and free its resources
+   * Remove an unreferenced model from the cache, disposing the resources no
+   * other cached model uses. Returns false if the model is still referenced.
    */
-  disposeModel(modelData) {
+  evictModel(modelPath) {
+    const model = this.loadedModels.get(modelPath);
+    if (!model) return false;
+    
+    if (model.refCount > 0) {
+      console.warn(`Not evicting ${modelPath}: still referenced ${model.refCount} time(s)`);
+      return false;
+    }
+    
+    const orphaned = this.releaseModelResources(modelPath);
+    this.loadedModels.delete(modelPath);
+    clearLoaderCache(getLoaderCacheKey(modelPath));
+    model.disposed = true;
+    this.disposeModel(model.data, orphaned);
+    
+    if (IS_DEV) guardDisposedResources(model.data.scene, orphaned, modelPath);
+    
+    return true;
+  }
+  
+  /**
+   * Dispose of a model and free its resources. Pass `resources` to dispose
+   * only part of the model (e.g. the resources it does not share).
+   */
+  disposeModel(modelData, resources = collectSceneResources(modelData?.scene).values()) {
     if (!modelData) return;
     
     try {
-      // Dispose geometries
-      if (modelData.nodes) {
-        Object.values(modelData.nodes).forEach(node => {
-          if (node.geometry && node.geometry.dispose) {
-            node.geometry.dispose();
-          }
-        });
-      }
-      
-      // Dispose materials and textures
-      if (modelData.materials) {
-        Object.values(modelData.materials).forEach(material => {
-          // Dispose textures
-          const textureProps = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap'];
-          textureProps.forEach(prop => {
-            const texture = material[prop];
-            if (texture && texture.dispose) {
-              texture.dispose();
-            }
-          });
-          
-          // Dispose material
-          if (material.dispose) {
-            material.dispose();
-          }
-        });
+      for (const resource of resources) {
+        resource.object.dispose?.();
       }
       
       // Call cleanup callbacks
@@ -469,45 +1163,44 @@ class ModelMemoryManager {
   }
   
   /**
-   * Get current memory usage
+   * Get current memory usage in MB, counting shared resources once
    */
   getCurrentMemoryUsage() {
-    return Array.from(this.loadedModels.values())
-      .reduce((total, model) => total + (model.memoryUsage || 0), 0);
+    let bytes = 0;
+    this.resourceOwners.forEach(resource => { bytes += resource.bytes; });
+    
+    return bytes / BYTES_PER_MB;
   }
   
   /**
-   * Update memory usage statistics
+   * Update memory usage statistics. Models are re-measured because some GPU
+   * resources (skinning bone textures) only appear after the first render.
    */
   updateMemoryUsage() {
-    let totalGeometries = 0;
-    let totalMaterials = 0;
-    let totalTextures = 0;
-    let estimatedMemoryMB = 0;
+    this.loadedModels.forEach((model, modelPath) => {
+      const resources = collectSceneResources(model.data.scene);
+      resources.forEach((resource, uuid) => model.resources.add(uuid));
+      this.registerModelResources(modelPath, resources);
+      model.memoryUsage = this.calculateModelMemoryUsage(model.data, resources);
+    });
     
-    this.loadedModels.forEach(model => {
-      estimatedMemoryMB += model.memoryUsage || 0;
-      
-      if (model.data.nodes) {
-        totalGeometries += Object.keys(model.data.nodes).length;
-      }
-      if (model.data.materials) {
-        totalMaterials += Object.keys(model.data.materials).length;
-        
-        Object.values(model.data.materials).forEach(material => {
-          const textureProps = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap'];
-          textureProps.forEach(prop => {
-            if (material[prop]) totalTextures++;
-          });
-        });
-      }
+    const counts = { geometry: 0, material: 0, texture: 0 };
+    const bytes = { geometry: 0, material: 0, texture: 0 };
+    
+    this.resourceOwners.forEach(resource => {
+      counts[resource.type]++;
+      bytes[resource.type] += resource.bytes;
     });
     
+    const toMB = (value) => Math.round((value / BYTES_PER_MB) * 100) / 100;
+    
     this.memoryUsage = {
-      totalGeometries,
-      totalMaterials,
-      totalTextures,
-      estimatedMemoryMB: Math.round(estimatedMemoryMB * 100) / 100
+      totalGeometries: counts.geometry,
+      totalMaterials: counts.material,
+      totalTextures: counts.texture,
+      geometryMemoryMB: toMB(bytes.geometry),
+      textureMemoryMB: toMB(bytes.texture),
+      estimatedMemoryMB: toMB(bytes.geometry + bytes.texture)
     };
   }
   
@@ -525,12 +1218,23 @@ class ModelMemoryManager {
     }, 10000); // Check every 10 seconds
   }
   
+  /**
+   * Start loading a model unless it is loaded or already on its way. Repeated
+   * calls (render retries while suspended) neither start nor join another request.
+   */
+  preloadModel(modelPath, { priority = 'normal' } = {}) {
+    if (this.loadedModels.has(modelPath) || this.loadingPromises.has(modelPath)) return;
+    
+    // Failures surface through useGLTF's error boundary
+    this.loadModel(modelPath, { priority }).catch(() => {});
+  }
+  
   /**
    * Preload models based on priority
    */
   async preloadModels(modelPaths, priority = 'low') {
     const loadPromises = modelPaths.map(path => 
-      this.loadModelProgressive(path, priority)
+      this.loadModel(path, { priority })
     );
     
     try {
@@ -561,34 +1265,185 @@ class ModelMemoryManager {
       maxCacheSize: this.maxCacheSize,
       cacheUtilization: (this.memoryUsage.estimatedMemoryMB / this.maxCacheSize) * 100,
       loadedModelsCount: this.loadedModels.size,
-      deviceCapabilities: this.deviceCapabilities.recommendedQuality
+      referencedModelsCount: Array.from(this.loadedModels.values()).filter(model => model.refCount > 0).length,
+      persistentCache: this.persistentCache.getStats(),
+      deviceCapabilities: this.deviceCapabilities.recommendedQuality,
+      renderer: this.getRendererInfo()
     };
   }
   
   /**
-   * Clear all cached models
+   * Remove every model persisted across visits
+   */
+  clearPersistentCache() {
+    return this.persistentCache.clear();
+  }
+  
+  /**
+   * Clear all cached models that are not referenced by a mounted component
    */
   clearCache() {
-    this.loadedModels.forEach(model => {
-      this.disposeModel(model.data);
-    });
-    this.loadedModels.clear();
+    Array.from(this.loadedModels.values())
+      .filter(model => model.refCount === 0)
+      .forEach(model => this.evictModel(model.path));
     this.preloadQueue.clear();
+    this.loadingPromises.forEach(pending => pending.controller.abort());
     this.loadingPromises.clear();
+    this.cancelProgressiveLoads();
     this.updateMemoryUsage();
     
     console.log('Model cache cleared');
   }
 }
 
-// Create global instance
-const globalMemoryManager = new ModelMemoryManager();
+// Global memory manager, created on first use so importing this module has no side effects
+let globalMemoryManager = null;
+
+/**
+ * Get or create the global memory manager
+ */
+export function getModelMemoryManager() {
+  if (!globalMemoryManager) {
+    globalMemoryManager = new ModelMemoryManager();
+  }
+  return globalMemoryManager;
+}
 
 /**
  * React hook for using memory manager
  */
 export function useModelMemoryManager() {
-  return globalMemoryManager;
+  return getModelMemoryManager();
+}
+
+/**
+ * useGLTF routed through the memory manager: the load is preloaded by the
+ * manager so drei suspends on the same request, and the model is referenced
+ * while the component is mounted. Must be inside <Suspense>. Read byte
+ * progress with useManagedModelProgress(modelPath).
+ */
+export function useManagedGLTF(modelPath, { priority = 'normal' } = {}) {
+  // Seeds drei's cache like useGLTF.preload; a no-op once the request exists
+  getModelMemoryManager().preloadModel(modelPath, { priority });
+  
+  const gltf = useGLTF(modelPath);
+  
+  useEffect(() => {
+    if (getModelMemoryManager().loadedModels.has(modelPath)) {
+      return getModelMemoryManager().acquireModel(modelPath);
+    }
+  }, [modelPath, gltf]);
+  
+  return gltf;
+}
+
+/**
+ * React hook holding a reference on a tier entry while the component is
+ * mounted, so the model cannot be evicted from under it
+ */
+export function useModelReference(tierEntry) {
+  useEffect(() => tierEntry?.acquire(), [tierEntry]);
+}
+
+/**
+ * Whether the shown tier should stay on screen when another tier finishes
+ * loading. Higher tiers always replace it; a lower tier only does once it is
+ * the ceiling tier after maxQuality dropped below the shown one.
+ */
+function keepsShownTier(shown, loaded, ceilingQuality) {
+  if (!shown) return false;
+  if (shown.url === loaded.url) return true;
+  
+  if (QUALITY_TIERS.indexOf(loaded.quality) > QUALITY_TIERS.indexOf(shown.quality)) return false;
+  
+  return loaded.quality !== ceilingQuality;
+}
+
+/**
+ * React hook returning the best loaded tier of a model ({ quality, url, data }),
+ * re-rendering as background upgrades finish. The shown tier is referenced
+ * while mounted; loading is cancelled on unmount. When maxQuality changes the
+ * current tier stays up until the tier for the new ceiling has loaded.
+ */
+export function useProgressiveModel(modelId, { priority = 'high', maxQuality, onProgress } = {}) {
+  const [model, setModel] = useState(() => getModelMemoryManager().getBestLoadedTier(modelId, maxQuality));
+  // Handles from the loader keep new tiers alive until the mounted reference takes over
+  const pendingHandlesRef = useRef([]);
+  // Latest callback, read by the running load; a new one must not restart loading
+  const onProgressRef = useRef(onProgress);
+  onProgressRef.current = onProgress;
+  
+  useModelReference(model);
+  
+  // Runs after the reference above is taken, so the shown tier is never unreferenced
+  useEffect(() => {
+    pendingHandlesRef.current.splice(0).forEach(handle => handle.release());
+  }, [model]);
+  
+  useEffect(() => {
+    const controller = new AbortController();
+    const pendingHandles = pendingHandlesRef.current;
+    const ceilingQuality = getModelMemoryManager().getProgressiveTiers(modelId, maxQuality).at(-1);
+    
+    getModelMemoryManager().loadModelProgressive(modelId, {
+      priority,
+      maxQuality,
+      onProgress: (percentage, detail) => onProgressRef.current?.(percentage, detail),
+      signal: controller.signal,
+      onTierLoaded: (handle) => {
+        pendingHandles.push(handle);
+        setModel(current => keepsShownTier(current, handle, ceilingQuality) ? current : handle);
+      }
+    }).then(handle => handle?.release()).catch(error => {
+      if (error.name !== 'AbortError') {
+        console.error(`Progressive loading failed for ${modelId}:`, error);
+      }
+    });
+    
+    return () => {
+      controller.abort();
+      pendingHandles.splice(0).forEach(handle => handle.release());
+    };
+  }, [modelId, priority, maxQuality]);
+  
+  return model;
+}
+
+/**
+ * Report the current R3F renderer's gl.info to the memory manager.
+ * Call from a component rendered inside <Canvas>.
+ */
+export function useRendererMemoryTracking() {
+  const gl = useThree(state => state.gl);
+  
+  useEffect(() => getModelMemoryManager().attachRenderer(gl), [gl]);
+}
+
+/**
+ * Byte progress of in-flight model loads ({ active, fraction }), for loading
+ * screens that otherwise only see whole files completing through useProgress
+ */
+export function useModelLoadProgress() {
+  const [progress, setProgress] = useState(() => getModelMemoryManager().getLoadProgress());
+  
+  useEffect(() => getModelMemoryManager().subscribeLoadProgress(setProgress), []);
+  
+  return progress;
+}
+
+/**
+ * Byte progress (0-100) of one model, re-rendering as its bytes arrive
+ */
+export function useManagedModelProgress(modelPath) {
+  const [progress, setProgress] = useState(() => getModelMemoryManager().getModelLoadProgress(modelPath));
+  
+  useEffect(() => {
+    const update = () => setProgress(getModelMemoryManager().getModelLoadProgress(modelPath));
+    update();
+    return getModelMemoryManager().subscribeLoadProgress(update);
+  }, [modelPath]);
+  
+  return progress;
 }
 
 /**
@@ -596,23 +1451,51 @@ export function useModelMemoryManager() {
  */
 export function preloadPhoenixModels() {
   const qualities = ['low', 'medium'];
-  const paths = qualities.map(quality => `/models/optimized/phoenix-${quality}.glb`);
+  const paths = qualities.map(quality => getModelMemoryManager().resolveTierUrl('phoenix', quality));
   
-  return globalMemoryManager.preloadModels(paths, 'normal');
+  return getModelMemoryManager().preloadModels(paths, 'normal');
+}
+
+/**
+ * Start loading a model ahead of the component that renders it
+ */
+export function preloadManagedModel(modelPath, priority = 'normal') {
+  getModelMemoryManager().preloadModel(modelPath, { priority });
+}
+
+/**
+ * Resolve a model URL in the texture variant this device loads
+ */
+export function resolveManagedModelUrl(modelId, quality = 'low') {
+  return getModelMemoryManager().resolveTierUrl(modelId, quality);
 }
 
 /**
  * Load model with memory management
  */
 export function loadModelWithMemoryManagement(modelPath, priority = 'normal', onProgress = null) {
-  return globalMemoryManager.loadModelProgressive(modelPath, priority, onProgress);
+  return getModelMemoryManager().loadModel(modelPath, { priority, onProgress });
 }
 
 /**
  * Get memory statistics
  */
 export function getModelMemoryStats() {
-  return globalMemoryManager.getMemoryStats();
+  return getModelMemoryManager().getMemoryStats();
+}
+
+/**
+ * Remove every model persisted across visits
+ */
+export function clearPersistentModelCache() {
+  return getModelMemoryManager().clearPersistentCache();
+}
+
+/**
+ * Get the per-model and per-resource memory breakdown
+ */
+export function getModelMemoryBreakdown() {
+  return getModelMemoryManager().getMemoryBreakdown();
 }
 
-export default globalMemoryManager;
\ No newline at end of file
+export default ModelMemoryManager;
\ No newline at end of file
@@ -0,0 +1,163 @@
+// @vitest-environment jsdom
+import { BufferAttribute, BufferGeometry, Group, Mesh, MeshBasicMaterial } from 'three';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEVICE_FIXTURES, createDeviceProbes } from '../test/deviceFixtures';
+import { DeviceCapabilityService, setDeviceCapabilityService } from './deviceDetection';
+import ModelMemoryManager from './modelMemoryManager';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Geometry whose position buffer is exactly `megabytes` large
+ */
+function createGeometry(megabytes) {
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new BufferAttribute(new Float32Array((megabytes * BYTES_PER_MB) / 4), 3));
+  return geometry;
+}
+
+function createModel(name, geometry) {
+  const scene = new Group();
+  scene.add(new Mesh(geometry, new MeshBasicMaterial()));
+  return { name, scene };
+}
+
+let modelMemoryManager;
+
+beforeAll(() => {
+  const desktop = DEVICE_FIXTURES.find(fixture => fixture.name === 'Desktop on a 2G connection');
+  setDeviceCapabilityService(new DeviceCapabilityService({ probes: createDeviceProbes(desktop), storage: null }));
+  modelMemoryManager = new ModelMemoryManager();
+});
+
+afterAll(() => {
+  setDeviceCapabilityService(null);
+});
+
+describe('ModelMemoryManager cleanup', () => {
+  let evicted;
+  let unregister;
+  let maxCacheSize;
+
+  // Cache a model of `megabytes`, last used `age` ms ago
+  const cache = (name, megabytes, { priority = 'normal', age = 0, geometry = createGeometry(megabytes) } = {}) => {
+    const entry = modelMemoryManager.cacheModel(name, createModel(name, geometry), { priority });
+    entry.lastAccessed = Date.now() - age;
+    return entry;
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    evicted = [];
+    unregister = modelMemoryManager.registerCleanupCallback(modelData => evicted.push(modelData.name));
+    maxCacheSize = modelMemoryManager.maxCacheSize;
+    // Cleanup stops once usage is at or below 60% of this, i.e. 6MB
+    modelMemoryManager.maxCacheSize = 10;
+  });
+
+  afterEach(() => {
+    unregister();
+    modelMemoryManager.loadedModels.forEach(model => { model.refCount = 0; });
+    modelMemoryManager.clearCache();
+    modelMemoryManager.maxCacheSize = maxCacheSize;
+    vi.restoreAllMocks();
+  });
+
+  it('evicts low priority models first, then the least recently used', async () => {
+    cache('normal-old', 3, { age: 3000 });
+    cache('low-new', 3, { priority: 'low', age: 0 });
+    cache('normal-new', 3, { age: 1000 });
+    cache('high-old', 3, { priority: 'high', age: 5000 });
+
+    await modelMemoryManager.performMemoryCleanup();
+
+    expect(evicted).toEqual(['low-new', 'normal-old']);
+    expect(modelMemoryManager.getCurrentMemoryUsage()).toBe(6);
+  });
+
+  it('stops as soon as usage is at 60% of the cache size', async () => {
+    cache('a', 2, { age: 3000 });
+    cache('b', 2, { age: 2000 });
+    cache('c', 2, { age: 1000 });
+    cache('d', 2);
+
+    await modelMemoryManager.performMemoryCleanup();
+
+    expect(evicted).toEqual(['a']);
+    expect(Array.from(modelMemoryManager.loadedModels.keys())).toEqual(['b', 'c', 'd']);
+  });
+
+  it('never evicts models a mounted component references', async () => {
+    cache('mounted', 6, { priority: 'low', age: 5000 });
+    cache('idle', 3, { priority: 'high' });
+    const release = modelMemoryManager.acquireModel('mounted');
+
+    await modelMemoryManager.performMemoryCleanup();
+
+    expect(evicted).toEqual(['idle']);
+    expect(modelMemoryManager.loadedModels.has('mounted')).toBe(true);
+
+    release();
+  });
+
+  it('skips models whose resources are all shared with other cached models', async () => {
+    const geometry = createGeometry(4);
+    cache('shared', 4, { priority: 'low', age: 5000, geometry });
+    cache('owner', 4, { geometry });
+    cache('exclusive', 4, { age: 1000 });
+    modelMemoryManager.acquireModel('owner');
+
+    // 4MB shared geometry + 4MB exclusive, counted once
+    expect(modelMemoryManager.getCurrentMemoryUsage()).toBe(8);
+
+    await modelMemoryManager.performMemoryCleanup();
+
+    expect(evicted).toEqual(['exclusive']);
+    expect(modelMemoryManager.loadedModels.has('shared')).toBe(true);
+  });
+
+  it('sizes the cache from the device', () => {
+    const { deviceCapabilities } = modelMemoryManager;
+
+    DEVICE_FIXTURES.forEach(fixture => {
+      modelMemoryManager.deviceCapabilities = new DeviceCapabilityService({ probes: createDeviceProbes(fixture) }).getCapabilities();
+      expect(modelMemoryManager.getMaxCacheSize(), fixture.name).toBe(fixture.expected.maxCacheSize);
+    });
+
+    modelMemoryManager.deviceCapabilities = deviceCapabilities;
+  });
+});
+
+describe('ModelMemoryManager preloading', () => {
+  afterEach(() => {
+    modelMemoryManager.clearCache();
+    vi.restoreAllMocks();
+  });
+
+  it('starts one request however often a suspended render preloads', async () => {
+    let finish;
+    const load = vi.spyOn(modelMemoryManager, 'loadModelInternal')
+      .mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+
+    modelMemoryManager.preloadModel('/models/preload.glb');
+    modelMemoryManager.preloadModel('/models/preload.glb');
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(modelMemoryManager.loadingPromises.get('/models/preload.glb').waiters).toBe(1);
+
+    finish(createModel('preload', createGeometry(1)));
+    await modelMemoryManager.loadingPromises.get('/models/preload.glb').promise;
+  });
+
+  it('reports the byte progress of one model until it is loaded', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    modelMemoryManager.setLoadProgress('/models/progress.glb', 40);
+    expect(modelMemoryManager.getModelLoadProgress('/models/progress.glb')).toBe(40);
+
+    modelMemoryManager.cacheModel('/models/progress.glb', createModel('progress', createGeometry(1)));
+    modelMemoryManager.setLoadProgress('/models/progress.glb', null);
+    expect(modelMemoryManager.getModelLoadProgress('/models/progress.glb')).toBe(100);
+    expect(modelMemoryManager.getModelLoadProgress('/models/missing.glb')).toBe(0);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Model Persistent Cache
+ * Keeps fetched GLB bytes in IndexedDB across visits, versioned by the model
+ * manifest hash and limited by a least-recently-used byte quota. Without
+ * IndexedDB the bytes are kept in memory for the session instead.
+ */
+
+import { getManifestHash } from './modelRegistry';
+
+const DB_NAME = 'ynz3d-model-cache';
+const DB_VERSION = 1;
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB storage backend. Buffers and their metadata live in separate
+ * stores so listing entries never reads the model bytes.
+ */
+export function createIndexedDBStorage(dbName = DB_NAME) {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('buffers');
+        request.result.createObjectStore('entries', { keyPath: 'key' });
+      };
+      databasePromise = requestToPromise(request);
+    }
+    return databasePromise;
+  };
+
+  // Run one read or write across both stores; resolves with the last request's result
+  const transact = async (mode, operation) => {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(['buffers', 'entries'], mode);
+      const request = operation(transaction.objectStore('buffers'), transaction.objectStore('entries'));
+
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    persistent: true,
+    getEntries: () => transact('readonly', (buffers, entries) => entries.getAll()),
+    getBuffer: (key) => transact('readonly', buffers => buffers.get(key)),
+    put: (entry, buffer) => transact('readwrite', (buffers, entries) => {
+      buffers.put(buffer, entry.key);
+      return entries.put(entry);
+    }),
+    putEntry: (entry) => transact('readwrite', (buffers, entries) => entries.put(entry)),
+    delete: (key) => transact('readwrite', (buffers, entries) => {
+      buffers.delete(key);
+      return entries.delete(key);
+    }),
+    clear: () => transact('readwrite', (buffers, entries) => {
+      buffers.clear();
+      return entries.clear();
+    })
+  };
+}
+
+/**
+ * In-memory storage backend with the same interface, for tests and browsers
+ * without IndexedDB
+ */
+export function createMemoryStorage() {
+  const entries = new Map();
+  const buffers = new Map();
+
+  return {
+    persistent: false,
+    getEntries: async () => Array.from(entries.values(), entry => ({ ...entry })),
+    // Copies, like IndexedDB reads, so callers may transfer what they get
+    getBuffer: async (key) => buffers.get(key)?.slice(0),
+    put: async (entry, buffer) => {
+      entries.set(entry.key, { ...entry });
+      buffers.set(entry.key, buffer);
+    },
+    putEntry: async (entry) => {
+      entries.set(entry.key, { ...entry });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+      buffers.delete(key);
+    },
+    clear: async () => {
+      entries.clear();
+      buffers.clear();
+    }
+  };
+}
+
+/**
+ * Pick the default backend; memory where IndexedDB is missing
+ */
+function createDefaultStorage() {
+  return typeof indexedDB === 'undefined' ? createMemoryStorage() : createIndexedDBStorage();
+}
+
+/**
+ * Model Persistent Cache Class
+ */
+class ModelPersistentCache {
+  constructor({ storage = createDefaultStorage(), version = getManifestHash(), maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.storage = storage;
+    this.version = version;
+    this.maxBytes = maxBytes;
+    // Entry metadata ({ key, version, bytes, lastAccessed }) mirrored from storage
+    this.entries = new Map();
+    this.readyPromise = null;
+  }
+
+  /**
+   * Load entry metadata and drop entries persisted for another manifest version
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        if (!this.storage) return;
+
+        try {
+          const entries = await this.storage.getEntries();
+
+          for (const entry of entries) {
+            if (entry.version === this.version) {
+              this.entries.set(entry.key, entry);
+            } else {
+              await this.storage.delete(entry.key);
+            }
+          }
+        } catch (error) {
+          // Private browsing and blocked storage end up here; keep bytes for this session only
+          console.warn('Persistent model cache unavailable, caching in memory:', error);
+          this.storage = createMemoryStorage();
+          this.entries.clear();
+        }
+      })();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Get persisted bytes for a model URL, or null on a miss
+   */
+  async get(url) {
+    await this.ready();
+
+    const entry = this.entries.get(url);
+    if (!this.storage || !entry) return null;
+
+    try {
+      const buffer = await this.storage.getBuffer(url);
+
+      if (!buffer) {
+        this.entries.delete(url);
+        await this.storage.delete(url);
+        return null;
+      }
+
+      entry.lastAccessed = Date.now();
+      this.storage.putEntry({ ...entry }).catch(() => {});
+
+      return buffer;
+    } catch (error) {
+      console.warn(`Failed to read persisted model ${url}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist model bytes, evicting least recently used entries to stay within maxBytes
+   */
+  async put(url, buffer) {
+    await this.ready();
+    if (!this.storage || buffer.byteLength > this.maxBytes) return false;
+
+    const entry = { key: url, version: this.version, bytes: buffer.byteLength, lastAccessed: Date.now() };
+
+    try {
+      await this.evictLeastRecentlyUsed(this.maxBytes - entry.bytes, url);
+      await this.storage.put(entry, buffer);
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') throw error;
+
+      // The browser's own quota is smaller than ours; make room and retry once
+      await this.evictLeastRecentlyUsed(0, url);
+      await this.storage.put(entry, buffer);
+    }
+
+    this.entries.set(url, entry);
+    return true;
+  }
+
+  /**
+   * Delete least recently used entries until at most targetBytes remain
+   */
+  async evictLeastRecentlyUsed(targetBytes, keepKey = null) {
+    const entries = Array.from(this.entries.values())
+      .filter(entry => entry.key !== keepKey)
+      .sort((a, b) => a.lastAccessed - b.lastAccessed);
+    let totalBytes = this.getTotalBytes();
+
+    for (const entry of entries) {
+      if (totalBytes <= targetBytes) break;
+
+      await this.storage.delete(entry.key);
+      this.entries.delete(entry.key);
+      totalBytes -= entry.bytes;
+    }
+  }
+
+  /**
+   * Remove one model from the persistent cache
+   */
+  async delete(url) {
+    await this.ready();
+    if (!this.storage) return;
+
+    await this.storage.delete(url);
+    this.entries.delete(url);
+  }
+
+  /**
+   * Remove every persisted model
+   */
+  async clear() {
+    await this.ready();
+    if (!this.storage) return;
+
+    await this.storage.clear();
+    this.entries.clear();
+  }
+
+  /**
+   * Total bytes currently persisted
+   */
+  getTotalBytes() {
+    return Array.from(this.entries.values()).reduce((total, entry) => total + entry.bytes, 0);
+  }
+
+  /**
+   * Get persistent cache statistics
+   */
+  getStats() {
+    return {
+      enabled: Boolean(this.storage),
+      persistent: Boolean(this.storage?.persistent),
+      version: this.version,
+      entries: this.entries.size,
+      totalBytes: this.getTotalBytes(),
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+// Global persistent cache
+let globalPersistentCache = null;
+
+/**
+ * Get or create the global persistent model cache
+ */
+export function getPersistentModelCache() {
+  if (!globalPersistentCache) {
+    globalPersistentCache = new ModelPersistentCache();
+  }
+  return globalPersistentCache;
+}
+
+export default ModelPersistentCache;
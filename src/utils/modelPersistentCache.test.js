@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import ModelPersistentCache, { createMemoryStorage } from './modelPersistentCache';
+
+const MB = 1024 * 1024;
+
+/**
+ * Stand-in for a large ArrayBuffer; the cache only reads its size
+ */
+function createBuffer(bytes) {
+  return { byteLength: bytes, slice() { return this; } };
+}
+
+describe('ModelPersistentCache', () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1000);
+    storage = createMemoryStorage();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('drops entries persisted for another manifest version', async () => {
+    await storage.put({ key: '/old.glb', version: 'v1', bytes: 4, lastAccessed: 0 }, new ArrayBuffer(4));
+    await storage.put({ key: '/current.glb', version: 'v2', bytes: 8, lastAccessed: 0 }, new ArrayBuffer(8));
+
+    const cache = new ModelPersistentCache({ storage, version: 'v2' });
+
+    expect(await cache.get('/old.glb')).toBeNull();
+    expect((await cache.get('/current.glb')).byteLength).toBe(8);
+    expect((await storage.getEntries()).map(({ key }) => key)).toEqual(['/current.glb']);
+  });
+
+  it('evicts the least recently used entries beyond the 100MB quota', async () => {
+    const cache = new ModelPersistentCache({ storage, version: 'v1' });
+
+    await cache.put('/a.glb', createBuffer(40 * MB));
+    vi.setSystemTime(2000);
+    await cache.put('/b.glb', createBuffer(40 * MB));
+    vi.setSystemTime(3000);
+    await cache.get('/a.glb');
+    vi.setSystemTime(4000);
+    await cache.put('/c.glb', createBuffer(40 * MB));
+
+    expect((await storage.getEntries()).map(({ key }) => key)).toEqual(['/a.glb', '/c.glb']);
+    expect(cache.getStats()).toMatchObject({ entries: 2, totalBytes: 80 * MB, maxBytes: 100 * MB });
+  });
+
+  it('makes room and retries once when the browser quota is exceeded', async () => {
+    const put = vi.spyOn(storage, 'put')
+      .mockRejectedValueOnce(Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' }));
+    const cache = new ModelPersistentCache({ storage, version: 'v1' });
+    cache.entries.set('/a.glb', { key: '/a.glb', version: 'v1', bytes: 4, lastAccessed: 0 });
+
+    expect(await cache.put('/b.glb', new ArrayBuffer(8))).toBe(true);
+
+    expect(put).toHaveBeenCalledTimes(2);
+    expect([...cache.entries.keys()]).toEqual(['/b.glb']);
+  });
+
+  it('keeps bytes in memory when IndexedDB is missing', async () => {
+    vi.stubGlobal('indexedDB', undefined);
+    const cache = new ModelPersistentCache({ version: 'v1' });
+
+    await cache.put('/a.glb', new ArrayBuffer(4));
+
+    expect((await cache.get('/a.glb')).byteLength).toBe(4);
+    expect(cache.getStats()).toMatchObject({ enabled: true, persistent: false, entries: 1 });
+  });
+
+  it('keeps bytes in memory when IndexedDB is blocked', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = new ModelPersistentCache({
+      storage: { ...storage, persistent: true, getEntries: () => Promise.reject(new Error('blocked')) },
+      version: 'v1'
+    });
+
+    await cache.put('/a.glb', new ArrayBuffer(4));
+
+    expect((await cache.get('/a.glb')).byteLength).toBe(4);
+    expect(cache.getStats().persistent).toBe(false);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
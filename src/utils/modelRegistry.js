@@ -0,0 +1,116 @@
+/**
+ * Model Registry
+ * Single source of truth for 3D model URLs, quality tiers and default transforms.
+ * Backed by src/constants/modelManifest.json, which `npm run models:build` generates.
+ */
+
+import manifest from '../constants/modelManifest.json';
+
+// Quality ladder from lightest to heaviest tier
+export const QUALITY_TIERS = ['ultra-low', 'low', 'medium', 'high'];
+
+const DEFAULT_TRANSFORM = {
+  scale: 1,
+  position: [0, 0, 0],
+  rotation: [0, 0, 0]
+};
+
+/**
+ * Get a registered model entry by id
+ */
+export function getModel(modelId) {
+  const model = manifest.models[modelId];
+
+  if (!model) {
+    console.warn(`Unknown model id: ${modelId}`);
+    return null;
+  }
+
+  return model;
+}
+
+/**
+ * Get the tier entry ({ url, bytes, triangles, ... }) for a model and quality.
+ * 'original' resolves to the source file; missing tiers fall back to 'low',
+ * then to the source file. A texture variant ('ktx2') overrides the url, bytes
+ * and textureFormat of the tier when it was generated.
+ */
+export function getModelTier(modelId, quality = 'low', variant = null) {
+  const model = getModel(modelId);
+  if (!model || quality === 'none') return null;
+
+  const tier = quality === 'original'
+    ? model.source
+    : model.tiers[quality] || model.tiers.low || model.source;
+  const variantEntry = variant ? tier.variants?.[variant] : null;
+
+  return variantEntry ? { ...tier, ...variantEntry, variant } : tier;
+}
+
+/**
+ * Resolve the URL to load for a model, quality and optional texture variant
+ */
+export function resolveModelUrl(modelId, quality = 'low', variant = null) {
+  return getModelTier(modelId, quality, variant)?.url ?? null;
+}
+
+/**
+ * List the generated tiers of a model in ladder order
+ */
+export function getModelTiers(modelId) {
+  const model = getModel(modelId);
+  if (!model) return [];
+
+  return QUALITY_TIERS.filter(quality => model.tiers[quality]);
+}
+
+/**
+ * Get the animation clip names of a model
+ */
+export function getModelAnimations(modelId) {
+  return getModel(modelId)?.animations ?? [];
+}
+
+/**
+ * Get the default transform of a model, with rotation converted to radians
+ */
+export function getModelTransform(modelId) {
+  const transform = { ...DEFAULT_TRANSFORM, ...getModel(modelId)?.transform };
+
+  return {
+    scale: transform.scale,
+    position: transform.position,
+    rotation: transform.rotation.map(degrees => (degrees * Math.PI) / 180)
+  };
+}
+
+/**
+ * Flat list of every file the registry points at
+ */
+export function listModelEntries() {
+  return Object.entries(manifest.models).flatMap(([modelId, model]) => [
+    { modelId, quality: 'original', ...model.source },
+    ...Object.entries(model.source.variants ?? {}).map(([variant, entry]) => ({ modelId, quality: 'original', variant, ...entry })),
+    ...Object.entries(model.tiers).flatMap(([quality, tier]) => [
+      { modelId, quality, ...tier },
+      ...Object.entries(tier.variants ?? {}).map(([variant, entry]) => ({ modelId, quality, variant, ...entry }))
+    ])
+  ]);
+}
+
+/**
+ * Short hash of the manifest, used to version persisted model bytes.
+ * Any regenerated tier changes its byte size and therefore the hash.
+ */
+export function getManifestHash() {
+  const json = JSON.stringify(manifest);
+  let hash = 0x811c9dc5;
+
+  // FNV-1a
+  for (let index = 0; index < json.length; index++) {
+    hash ^= json.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
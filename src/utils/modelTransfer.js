@@ -0,0 +1,417 @@
+/**
+ * Model Transfer
+ * Serializes a parsed glTF into plain objects, typed arrays and ImageBitmaps so
+ * it can cross the worker boundary without copies, and rebuilds it on the main thread
+ */
+
+import {
+  AnimationClip,
+  Bone,
+  BufferAttribute,
+  BufferGeometry,
+  CompressedTexture,
+  DataTexture,
+  Group,
+  Line,
+  LineLoop,
+  LineSegments,
+  MaterialLoader,
+  Matrix4,
+  Mesh,
+  Object3D,
+  ObjectLoader,
+  Points,
+  Skeleton,
+  SkinnedMesh,
+  Source,
+  Texture
+} from 'three';
+
+// Objects rebuilt from geometry and material references
+const DRAWABLE_TYPES = { Mesh, SkinnedMesh, Points, Line, LineSegments, LineLoop };
+const GROUP_TYPES = { Group, Object3D, Bone };
+
+const TEXTURE_PROPERTIES = [
+  'name', 'mapping', 'channel', 'wrapS', 'wrapT', 'magFilter', 'minFilter', 'anisotropy',
+  'format', 'internalFormat', 'type', 'rotation', 'generateMipmaps', 'premultiplyAlpha',
+  'flipY', 'unpackAlignment', 'colorSpace', 'userData'
+];
+const TEXTURE_VECTORS = ['offset', 'repeat', 'center'];
+
+/**
+ * Thrown for glTF content the transfer format does not cover. The caller
+ * should parse the model on the main thread instead.
+ */
+export class ModelTransferError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelTransferError';
+  }
+}
+
+/**
+ * Collect the typed arrays and bitmaps of a payload into a transfer list
+ */
+function createTransferList() {
+  const transferables = new Set();
+
+  return {
+    addArray: (array) => {
+      transferables.add(array.buffer);
+      return array;
+    },
+    addImage: (image) => {
+      if (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap) transferables.add(image);
+      return image;
+    },
+    toArray: () => Array.from(transferables)
+  };
+}
+
+/**
+ * Copy an attribute into its own array; interleaved data is split per attribute
+ */
+function serializeAttribute(attribute, transfer) {
+  let { array } = attribute;
+
+  if (attribute.isInterleavedBufferAttribute) {
+    const { stride } = attribute.data;
+    array = new attribute.array.constructor(attribute.count * attribute.itemSize);
+
+    for (let index = 0; index < attribute.count; index++) {
+      for (let component = 0; component < attribute.itemSize; component++) {
+        array[index * attribute.itemSize + component] = attribute.data.array[index * stride + attribute.offset + component];
+      }
+    }
+  }
+
+  return {
+    name: attribute.name,
+    array: transfer.addArray(array),
+    itemSize: attribute.itemSize,
+    normalized: attribute.normalized
+  };
+}
+
+function deserializeAttribute({ name, array, itemSize, normalized }) {
+  const attribute = new BufferAttribute(array, itemSize, normalized);
+  attribute.name = name;
+  return attribute;
+}
+
+function serializeGeometry(geometry, transfer) {
+  const serializeAll = attributes => Object.fromEntries(Object.entries(attributes).map(
+    ([name, value]) => [name, Array.isArray(value)
+      ? value.map(attribute => serializeAttribute(attribute, transfer))
+      : serializeAttribute(value, transfer)]
+  ));
+
+  return {
+    name: geometry.name,
+    attributes: serializeAll(geometry.attributes),
+    morphAttributes: serializeAll(geometry.morphAttributes),
+    morphTargetsRelative: geometry.morphTargetsRelative,
+    index: geometry.index ? serializeAttribute(geometry.index, transfer) : null,
+    groups: geometry.groups,
+    drawRange: geometry.drawRange,
+    boundingBox: geometry.boundingBox && [geometry.boundingBox.min.toArray(), geometry.boundingBox.max.toArray()],
+    boundingSphere: geometry.boundingSphere && [geometry.boundingSphere.center.toArray(), geometry.boundingSphere.radius],
+    userData: geometry.userData
+  };
+}
+
+function deserializeGeometry(data) {
+  const geometry = new BufferGeometry();
+  geometry.name = data.name;
+
+  Object.entries(data.attributes).forEach(([name, attribute]) => {
+    geometry.setAttribute(name, deserializeAttribute(attribute));
+  });
+  Object.entries(data.morphAttributes).forEach(([name, attributes]) => {
+    geometry.morphAttributes[name] = attributes.map(deserializeAttribute);
+  });
+  geometry.morphTargetsRelative = data.morphTargetsRelative;
+
+  if (data.index) geometry.setIndex(deserializeAttribute(data.index));
+  data.groups.forEach(({ start, count, materialIndex }) => geometry.addGroup(start, count, materialIndex));
+  geometry.setDrawRange(data.drawRange.start, data.drawRange.count);
+
+  if (data.boundingBox) {
+    geometry.computeBoundingBox();
+    geometry.boundingBox.min.fromArray(data.boundingBox[0]);
+    geometry.boundingBox.max.fromArray(data.boundingBox[1]);
+  }
+  if (data.boundingSphere) {
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.center.fromArray(data.boundingSphere[0]);
+    geometry.boundingSphere.radius = data.boundingSphere[1];
+  }
+
+  geometry.userData = data.userData;
+  return geometry;
+}
+
+function serializeTexture(texture, sources, transfer) {
+  const data = { uuid: texture.uuid };
+
+  TEXTURE_PROPERTIES.forEach(key => { data[key] = texture[key]; });
+  TEXTURE_VECTORS.forEach(key => { data[key] = texture[key].toArray(); });
+
+  if (texture.isCompressedTexture || texture.isDataTexture) {
+    if (texture.isCompressedArrayTexture || texture.isDataArrayTexture) {
+      throw new ModelTransferError(`Array texture "${texture.name}" cannot be transferred`);
+    }
+
+    data.kind = texture.isCompressedTexture ? 'compressed' : 'data';
+    data.width = texture.image.width;
+    data.height = texture.image.height;
+    data.data = texture.image.data ? transfer.addArray(texture.image.data) : null;
+    data.mipmaps = texture.mipmaps.map(({ data: mipmap, width, height }) => ({
+      data: transfer.addArray(mipmap),
+      width,
+      height
+    }));
+  } else {
+    // Textures sharing an image (different samplers) keep sharing one Source
+    if (!sources.has(texture.source.uuid)) {
+      sources.set(texture.source.uuid, transfer.addImage(texture.source.data));
+    }
+    data.kind = 'image';
+    data.source = texture.source.uuid;
+  }
+
+  return data;
+}
+
+function deserializeTexture(data, sources, images) {
+  let texture;
+
+  if (data.kind === 'compressed') {
+    texture = new CompressedTexture(data.mipmaps, data.width, data.height, data.format, data.type);
+  } else if (data.kind === 'data') {
+    texture = new DataTexture(data.data, data.width, data.height, data.format, data.type);
+    texture.mipmaps = data.mipmaps;
+  } else {
+    if (!sources.has(data.source)) sources.set(data.source, new Source(images[data.source]));
+    texture = new Texture();
+    texture.source = sources.get(data.source);
+  }
+
+  TEXTURE_PROPERTIES.forEach(key => { texture[key] = data[key]; });
+  TEXTURE_VECTORS.forEach(key => texture[key].fromArray(data[key]));
+  texture.needsUpdate = true;
+
+  return texture;
+}
+
+function serializeClip(clip, transfer) {
+  return {
+    uuid: clip.uuid,
+    name: clip.name,
+    duration: clip.duration,
+    blendMode: clip.blendMode,
+    tracks: clip.tracks.map(track => {
+      // GLTFLoader's CUBICSPLINE interpolant is private to the loader
+      if (track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline) {
+        throw new ModelTransferError(`Cubic spline track "${track.name}" cannot be transferred`);
+      }
+
+      return {
+        name: track.name,
+        type: track.ValueTypeName,
+        times: transfer.addArray(track.times),
+        values: transfer.addArray(track.values),
+        interpolation: track.getInterpolation()
+      };
+    })
+  };
+}
+
+/**
+ * Serialize a parsed glTF ({ scene, scenes, animations, asset, userData }).
+ * Returns the payload and the list of buffers and bitmaps to transfer with it.
+ */
+export function serializeGLTF(gltf) {
+  const transfer = createTransferList();
+  const geometries = new Map();
+  const materials = new Map();
+  const textures = new Map();
+  const sources = new Map();
+  const nodes = [];
+  const nodeIndices = new Map();
+
+  const materialMeta = { textures: {}, images: {} };
+
+  const addTexture = (texture) => {
+    if (!textures.has(texture.uuid)) {
+      textures.set(texture.uuid, serializeTexture(texture, sources, transfer));
+      // Material.toJSON then references the texture by uuid only
+      materialMeta.textures[texture.uuid] = { uuid: texture.uuid };
+    }
+  };
+
+  const addMaterial = (material) => {
+    if (!materials.has(material.uuid)) {
+      Object.values(material).forEach(value => {
+        if (value?.isTexture) addTexture(value);
+      });
+      materials.set(material.uuid, material.toJSON(materialMeta));
+    }
+    return material.uuid;
+  };
+
+  const addGeometry = (geometry) => {
+    if (!geometries.has(geometry.uuid)) {
+      geometries.set(geometry.uuid, serializeGeometry(geometry, transfer));
+    }
+    return geometry.uuid;
+  };
+
+  const addNode = (object, parent) => {
+    const node = {
+      type: object.type,
+      parent,
+      name: object.name,
+      position: object.position.toArray(),
+      quaternion: object.quaternion.toArray(),
+      scale: object.scale.toArray(),
+      visible: object.visible,
+      castShadow: object.castShadow,
+      receiveShadow: object.receiveShadow,
+      frustumCulled: object.frustumCulled,
+      renderOrder: object.renderOrder,
+      layers: object.layers.mask,
+      userData: object.userData
+    };
+
+    if (DRAWABLE_TYPES[object.type]) {
+      node.geometry = addGeometry(object.geometry);
+      node.material = Array.isArray(object.material)
+        ? object.material.map(addMaterial)
+        : addMaterial(object.material);
+      node.morphTargetInfluences = object.morphTargetInfluences;
+      node.morphTargetDictionary = object.morphTargetDictionary;
+    } else if (object.isCamera || object.isLight) {
+      // No heavy data; the stock JSON format is enough
+      node.json = object.clone(false).toJSON();
+    } else if (!GROUP_TYPES[object.type]) {
+      throw new ModelTransferError(`${object.type} "${object.name}" cannot be transferred`);
+    }
+
+    const index = nodes.push(node) - 1;
+    nodeIndices.set(object, index);
+    object.children.forEach(child => addNode(child, index));
+
+    return index;
+  };
+
+  const scenes = gltf.scenes.map(scene => addNode(scene, -1));
+
+  // Skeletons refer to bones by node index, so resolve them once every node is known
+  gltf.scenes.forEach(scene => scene.traverse(object => {
+    if (!object.isSkinnedMesh) return;
+
+    nodes[nodeIndices.get(object)].skin = {
+      bones: object.skeleton.bones.map(bone => nodeIndices.get(bone)),
+      boneInverses: object.skeleton.boneInverses.map(matrix => matrix.toArray()),
+      bindMatrix: object.bindMatrix.toArray(),
+      bindMode: object.bindMode
+    };
+  }));
+
+  const payload = {
+    nodes,
+    scenes,
+    scene: gltf.scenes.indexOf(gltf.scene),
+    geometries: Object.fromEntries(geometries),
+    materials: Object.fromEntries(materials),
+    textures: Object.fromEntries(textures),
+    images: Object.fromEntries(sources),
+    animations: gltf.animations.map(clip => serializeClip(clip, transfer)),
+    asset: gltf.asset,
+    userData: gltf.userData
+  };
+
+  return { payload, transfer: transfer.toArray() };
+}
+
+/**
+ * Rebuild the { scene, scenes, animations, asset, userData } shape GLTFLoader returns
+ */
+export function deserializeGLTF(payload) {
+  const sources = new Map();
+  const textures = {};
+  Object.values(payload.textures).forEach(data => {
+    textures[data.uuid] = deserializeTexture(data, sources, payload.images);
+  });
+
+  const materialLoader = new MaterialLoader().setTextures(textures);
+  const materials = Object.fromEntries(Object.entries(payload.materials).map(
+    ([uuid, json]) => [uuid, materialLoader.parse(json)]
+  ));
+  const geometries = Object.fromEntries(Object.entries(payload.geometries).map(
+    ([uuid, data]) => [uuid, deserializeGeometry(data)]
+  ));
+
+  const objectLoader = new ObjectLoader();
+  const objects = payload.nodes.map(node => {
+    let object;
+
+    if (node.json) {
+      object = objectLoader.parse(node.json);
+    } else if (DRAWABLE_TYPES[node.type]) {
+      const material = Array.isArray(node.material)
+        ? node.material.map(uuid => materials[uuid])
+        : materials[node.material];
+      object = new DRAWABLE_TYPES[node.type](geometries[node.geometry], material);
+
+      if (node.morphTargetInfluences) object.morphTargetInfluences = node.morphTargetInfluences;
+      if (node.morphTargetDictionary) object.morphTargetDictionary = node.morphTargetDictionary;
+    } else {
+      object = new GROUP_TYPES[node.type]();
+    }
+
+    object.name = node.name;
+    object.position.fromArray(node.position);
+    object.quaternion.fromArray(node.quaternion);
+    object.scale.fromArray(node.scale);
+    object.visible = node.visible;
+    object.castShadow = node.castShadow;
+    object.receiveShadow = node.receiveShadow;
+    object.frustumCulled = node.frustumCulled;
+    object.renderOrder = node.renderOrder;
+    object.layers.mask = node.layers;
+    object.userData = node.userData;
+
+    return object;
+  });
+
+  payload.nodes.forEach((node, index) => {
+    if (node.parent >= 0) objects[node.parent].add(objects[index]);
+  });
+
+  payload.nodes.forEach((node, index) => {
+    if (!node.skin) return;
+
+    const { bones, boneInverses, bindMatrix, bindMode } = node.skin;
+    const mesh = objects[index];
+    const skeleton = new Skeleton(
+      bones.map(bone => objects[bone]),
+      boneInverses.map(matrix => new Matrix4().fromArray(matrix))
+    );
+
+    mesh.bindMode = bindMode;
+    mesh.bind(skeleton, mesh.bindMatrix.clone().fromArray(bindMatrix));
+  });
+
+  const scenes = payload.scenes.map(index => objects[index]);
+
+  return {
+    scene: scenes[payload.scene],
+    scenes,
+    animations: payload.animations.map(clip => AnimationClip.parse(clip)),
+    asset: payload.asset,
+    userData: payload.userData,
+    parser: null
+  };
+}
@@ -0,0 +1,135 @@
+// @vitest-environment jsdom
+import {
+  AnimationClip,
+  Bone,
+  BufferAttribute,
+  BufferGeometry,
+  DataTexture,
+  Group,
+  Mesh,
+  MeshStandardMaterial,
+  QuaternionKeyframeTrack,
+  Skeleton,
+  SkinnedMesh,
+  Sprite,
+  VectorKeyframeTrack
+} from 'three';
+import { describe, expect, it } from 'vitest';
+import { ModelTransferError, deserializeGLTF, serializeGLTF } from './modelTransfer';
+
+/**
+ * A GLTFLoader-shaped result: two meshes sharing one geometry and one
+ * textured material, a skinned mesh on a two-bone skeleton, and a clip
+ */
+function createGLTF() {
+  const scene = new Group();
+  scene.name = 'Scene';
+
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new BufferAttribute(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), 3));
+  geometry.setIndex(new BufferAttribute(new Uint16Array([0, 1, 2]), 1));
+
+  const texture = new DataTexture(new Uint8Array([255, 128, 0, 255]), 1, 1);
+  const material = new MeshStandardMaterial({ name: 'Feathers', map: texture });
+
+  const left = new Mesh(geometry, material);
+  left.name = 'LeftWing';
+  const right = new Mesh(geometry, material);
+  right.name = 'RightWing';
+  right.position.set(2, 0, 0);
+
+  const root = new Bone();
+  root.name = 'Root';
+  const tail = new Bone();
+  tail.name = 'Tail';
+  tail.position.set(0, 1, 0);
+  root.add(tail);
+
+  const skinGeometry = geometry.clone();
+  skinGeometry.setAttribute('skinIndex', new BufferAttribute(new Uint16Array([0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]), 4));
+  skinGeometry.setAttribute('skinWeight', new BufferAttribute(new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]), 4));
+  const body = new SkinnedMesh(skinGeometry, material);
+  body.name = 'Body';
+  body.add(root);
+  body.bind(new Skeleton([root, tail]));
+
+  scene.add(left, right, body);
+
+  const clip = new AnimationClip('Fly', 1, [
+    new VectorKeyframeTrack('Tail.position', [0, 1], [0, 1, 0, 0, 2, 0]),
+    new QuaternionKeyframeTrack('Root.quaternion', [0, 1], [0, 0, 0, 1, 0, 0.7071, 0, 0.7071])
+  ]);
+
+  return { scene, scenes: [scene], animations: [clip], asset: { version: '2.0' }, userData: {} };
+}
+
+describe('modelTransfer', () => {
+  it('rebuilds the scene graph, shared resources, skeleton and clips after a transfer', () => {
+    const gltf = createGLTF();
+    const positions = gltf.scene.getObjectByName('LeftWing').geometry.attributes.position.array;
+
+    const { payload, transfer } = serializeGLTF(gltf);
+    // Stands in for postMessage; transferred buffers are detached, not copied
+    const { scene, scenes, animations, asset } = deserializeGLTF(structuredClone(payload, { transfer }));
+
+    expect(positions.byteLength).toBe(0);
+    expect(scenes).toEqual([scene]);
+    expect(asset).toEqual({ version: '2.0' });
+    expect(scene.children.map(child => child.name)).toEqual(['LeftWing', 'RightWing', 'Body']);
+
+    const left = scene.getObjectByName('LeftWing');
+    const right = scene.getObjectByName('RightWing');
+    expect(right.position.toArray()).toEqual([2, 0, 0]);
+    expect(right.geometry).toBe(left.geometry);
+    expect(right.material).toBe(left.material);
+    expect(left.material).toBeInstanceOf(MeshStandardMaterial);
+    expect(Array.from(left.geometry.attributes.position.array)).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    expect(Array.from(left.geometry.index.array)).toEqual([0, 1, 2]);
+    expect(Array.from(left.material.map.image.data)).toEqual([255, 128, 0, 255]);
+
+    const body = scene.getObjectByName('Body');
+    expect(body.isSkinnedMesh).toBe(true);
+    expect(body.material).toBe(left.material);
+    expect(body.skeleton.bones).toEqual([scene.getObjectByName('Root'), scene.getObjectByName('Tail')]);
+    expect(body.skeleton.bones[1].parent).toBe(body.skeleton.bones[0]);
+    expect(body.skeleton.boneInverses[1].elements[13]).toBe(-1);
+
+    expect(animations).toHaveLength(1);
+    expect(animations[0]).toMatchObject({ name: 'Fly', duration: 1 });
+    expect(animations[0].tracks.map(track => [track.name, track.ValueTypeName])).toEqual([
+      ['Tail.position', 'vector'],
+      ['Root.quaternion', 'quaternion']
+    ]);
+    expect(Array.from(animations[0].tracks[0].values)).toEqual([0, 1, 0, 0, 2, 0]);
+  });
+
+  it('lists each buffer once and rebuilds views over the same buffers', () => {
+    const gltf = createGLTF();
+    const left = gltf.scene.getObjectByName('LeftWing');
+    const body = gltf.scene.getObjectByName('Body');
+
+    const { payload, transfer } = serializeGLTF(gltf);
+    const { scene, animations } = deserializeGLTF(payload);
+
+    expect(new Set(transfer).size).toBe(transfer.length);
+    expect(transfer).toContain(left.geometry.attributes.position.array.buffer);
+    expect(transfer).toContain(left.material.map.image.data.buffer);
+    expect(transfer).toContain(gltf.animations[0].tracks[1].values.buffer);
+    expect(Object.keys(payload.geometries)).toHaveLength(2);
+    expect(Object.keys(payload.materials)).toHaveLength(1);
+
+    const rebuilt = scene.getObjectByName('LeftWing');
+    expect(rebuilt.geometry.attributes.position.array.buffer).toBe(left.geometry.attributes.position.array.buffer);
+    expect(rebuilt.geometry.index.array.buffer).toBe(left.geometry.index.array.buffer);
+    expect(scene.getObjectByName('Body').geometry.attributes.skinWeight.array.buffer)
+      .toBe(body.geometry.attributes.skinWeight.array.buffer);
+    expect(animations[0].tracks[1].values.buffer).toBe(gltf.animations[0].tracks[1].values.buffer);
+  });
+
+  it('rejects objects the format does not cover', () => {
+    const gltf = createGLTF();
+    gltf.scene.add(new Sprite());
+
+    expect(() => serializeGLTF(gltf)).toThrow(ModelTransferError);
+  });
+});
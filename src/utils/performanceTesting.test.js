@@ -0,0 +1,78 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import PerformanceTestSuite, { formatJUnitReport } from './performanceTesting';
+
+/**
+ * PerformanceObserver stand-in that, like the browser, hands every observer
+ * the buffered entries of its type
+ */
+function createObserverClass(buffer) {
+  return class FakePerformanceObserver {
+    static supportedEntryTypes = ['layout-shift'];
+
+    constructor(callback) {
+      this.callback = callback;
+    }
+
+    observe({ type, buffered }) {
+      const entries = buffered ? buffer.filter(entry => entry.entryType === type) : [];
+      if (entries.length) this.callback({ getEntries: () => entries });
+    }
+
+    disconnect() {}
+  };
+}
+
+describe('PerformanceMetrics Web Vitals', () => {
+  let metrics;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubGlobal('PerformanceObserver', createObserverClass([
+      { entryType: 'layout-shift', value: 0.04, startTime: 100, hadRecentInput: false },
+      { entryType: 'layout-shift', value: 0.02, startTime: 300, hadRecentInput: false }
+    ]));
+    metrics = new PerformanceTestSuite().metrics;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('does not count buffered layout shifts twice after a restart', () => {
+    metrics.startWebVitalsMonitoring();
+    expect(metrics.getWebVitals().CLS).toMatchObject({ value: 0.06, rating: 'good' });
+
+    metrics.stopMonitoring();
+    metrics.startWebVitalsMonitoring();
+
+    expect(metrics.metrics.webVitals.layoutShifts).toHaveLength(2);
+    expect(metrics.getWebVitals().CLS).toMatchObject({ value: 0.06, rating: 'good' });
+  });
+});
+
+describe('PerformanceTestSuite report', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('counts tests without samples as skipped, not passed', async () => {
+    const suite = new PerformanceTestSuite();
+    suite.testResults = [
+      { name: 'Model Loading', passed: true, details: {}, duration: 40 },
+      await suite.testMemoryUsage(),
+      await suite.testWebVitals()
+    ];
+
+    const report = suite.generateReport();
+
+    expect(report.summary).toMatchObject({ testsRun: 3, testsPassed: 1, testsFailed: 0, testsSkipped: 2, successRate: 100 });
+    expect(formatJUnitReport(report)).toContain('tests="3" failures="0" errors="0" skipped="2"');
+    expect(formatJUnitReport(report)).toContain('<skipped message="performance.memory is unavailable"/>');
+  });
+});
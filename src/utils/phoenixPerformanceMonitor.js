@@ -7,6 +7,19 @@
 import { getPerformanceTestSuite } from './performanceTesting';
 import { getModelMemoryStats } from './modelMemoryManager';
 import assessDeviceCapabilities from './deviceDetection';
+import { getQualityController } from './qualityController';
+import { getRenderTimingCollector } from './renderTiming';
+import InteractionTracker from './interactionTiming';
+import { registerReportSource } from './telemetry';
+
+const RENDER_PASSES = ['r3f', 'galaxy'];
+
+/**
+ * Average of a list of numbers (0 when empty)
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
 
 /**
  * Phoenix Performance Monitor Class
@@ -17,6 +30,7 @@ class PhoenixPerformanceMonitor {
     this.metrics = {
       phoenix: {
         renderTime: [],
+        frameCallbackTime: [],
         animationFrames: [],
         interactionLatency: [],
         memoryUsage: [],
@@ -43,45 +57,54 @@ class PhoenixPerformanceMonitor {
     this.warningCallbacks = new Set();
     this.optimizationHistory = [];
     this.baselineTestSuite = getPerformanceTestSuite();
-    
-    // Performance thresholds based on device type
-    this.thresholds = this.calculateThresholds();
+    this.qualityController = getQualityController();
+    this.unsubscribeQuality = null;
+    this.unsubscribeRenderTiming = null;
+    this.interactionTracker = null;
+    this.unsubscribeInteractions = null;
+    this.unregisterTelemetry = null;
+    
+    // Performance thresholds follow the current quality tier
+    this.thresholds = this.calculateThresholds(this.qualityController.getQuality());
   }
   
   /**
-   * Calculate performance thresholds based on device capabilities
+   * Calculate performance thresholds for a quality tier. Render times are the
+   * GPU time of all passes in a frame and must leave room in the frame budget.
    */
-  calculateThresholds() {
-    const { recommendedQuality, deviceInfo } = this.metrics.device;
-    
+  calculateThresholds(quality) {
     const baseThresholds = {
       'ultra-low': {
         minFPS: 20,
-        maxRenderTime: 50, // ms
+        maxRenderTime: 25, // ms, all passes
+        maxFrameCallbackTime: 8, // ms, useFrame callbacks
         maxMemoryMB: 50,
-        maxInteractionLatency: 200 // ms
+        maxInteractionLatency: 500 // ms, INP (200ms is "good", over 500ms "poor")
       },
       'low': {
         minFPS: 25,
-        maxRenderTime: 40,
+        maxRenderTime: 20,
+        maxFrameCallbackTime: 6,
         maxMemoryMB: 100,
-        maxInteractionLatency: 150
+        maxInteractionLatency: 300
       },
       'medium': {
         minFPS: 35,
-        maxRenderTime: 28,
+        maxRenderTime: 12,
+        maxFrameCallbackTime: 4,
         maxMemoryMB: 150,
-        maxInteractionLatency: 100
+        maxInteractionLatency: 200
       },
       'high': {
         minFPS: 50,
-        maxRenderTime: 20,
+        maxRenderTime: 10,
+        maxFrameCallbackTime: 3,
         maxMemoryMB: 200,
-        maxInteractionLatency: 50
+        maxInteractionLatency: 200
       }
     };
     
-    return baseThresholds[recommendedQuality] || baseThresholds.low;
+    return baseThresholds[quality] || baseThresholds.low;
   }
   
   /**
@@ -103,6 +126,9 @@ class PhoenixPerformanceMonitor {
     this.startMemoryMonitoring();
     this.startQualityMonitoring();
     
+    // Send the session's final report if telemetry is configured
+    this.unregisterTelemetry = registerReportSource('phoenix-monitor', () => this.getPerformanceReport());
+    
     // Performance analysis interval
     setInterval(() => {
       this.analyzePerformance();
@@ -110,24 +136,18 @@ class PhoenixPerformanceMonitor {
   }
   
   /**
-   * Monitor Phoenix rendering performance
+   * Monitor Phoenix rendering performance: GPU time of the R3F and Galaxy
+   * passes (CPU time of their render calls without timer queries) and CPU
+   * time of useFrame callbacks, see renderTiming.js
    */
   startRenderTimeMonitoring() {
-    let frameStart = 0;
-    
-    const measureRenderTime = () => {
-      if (!this.isMonitoring) return;
-      
-      frameStart = performance.now();
-      
-      requestAnimationFrame(() => {
-        const renderTime = performance.now() - frameStart;
-        this.recordRenderTime(renderTime);
-        measureRenderTime();
-      });
-    };
-    
-    measureRenderTime();
+    this.unsubscribeRenderTiming = getRenderTimingCollector().subscribe(sample => {
+      if (sample.type === 'useFrame') {
+        this.recordFrameCallbackTime(sample);
+      } else {
+        this.recordRenderTime(sample);
+      }
+    });
   }
   
   /**
@@ -164,26 +184,19 @@ class PhoenixPerformanceMonitor {
   }
   
   /**
-   * Monitor user interaction latency
+   * Monitor user interaction latency through the Event Timing API
    */
   startInteractionMonitoring() {
-    let interactionStart = 0;
-    
-    const interactionEvents = ['mousedown', 'touchstart', 'scroll'];
+    if (!InteractionTracker.isSupported()) {
+      console.warn('Event Timing API unavailable; interaction latency is not tracked');
+      return;
+    }
     
-    interactionEvents.forEach(eventType => {
-      document.addEventListener(eventType, () => {
-        interactionStart = performance.now();
-      });
-      
-      document.addEventListener(eventType.replace('start', 'end').replace('down', 'up'), () => {
-        if (interactionStart > 0) {
-          const latency = performance.now() - interactionStart;
-          this.recordInteractionLatency(latency);
-          interactionStart = 0;
-        }
-      });
+    this.interactionTracker = new InteractionTracker();
+    this.unsubscribeInteractions = this.interactionTracker.subscribe(interactions => {
+      interactions.forEach(interaction => this.recordInteractionLatency(interaction));
     });
+    this.interactionTracker.start();
   }
   
   /**
@@ -221,41 +234,51 @@ class PhoenixPerformanceMonitor {
   }
   
   /**
-   * Monitor quality changes and downgrades
+   * Record the quality controller's tier changes
    */
   startQualityMonitoring() {
-    // Listen for quality change events (would need to be implemented in OptimizedPhoenix)
-    document.addEventListener('phoenixQualityChange', (event) => {
-      this.recordQualityChange(event.detail);
-    });
-    
-    // Monitor for automatic downgrades
-    setInterval(() => {
-      const currentPerformance = this.getCurrentPerformanceSnapshot();
-      
-      if (this.shouldRecommendQualityDowngrade(currentPerformance)) {
-        this.recordQualityDowngrade(currentPerformance);
-      }
-    }, 10000); // Check every 10 seconds
+    this.unsubscribeQuality = this.qualityController.subscribe(change => this.recordQualityChange(change));
   }
   
   /**
-   * Record render time measurement
+   * Record a render pass measurement ({ pass, source, time })
    */
-  recordRenderTime(renderTime) {
+  recordRenderTime({ pass, source, time }) {
     this.metrics.phoenix.renderTime.push({
-      time: renderTime,
+      pass,
+      source,
+      time,
       timestamp: Date.now()
     });
     
-    // Keep last 100 samples
-    if (this.metrics.phoenix.renderTime.length > 100) {
+    // Keep last 100 samples per pass
+    if (this.metrics.phoenix.renderTime.length > 100 * RENDER_PASSES.length) {
       this.metrics.phoenix.renderTime.shift();
     }
     
     // Check for performance issues
-    if (renderTime > this.thresholds.maxRenderTime) {
-      this.triggerPerformanceWarning('High render time', { renderTime });
+    if (time > this.thresholds.maxRenderTime) {
+      this.triggerPerformanceWarning(source === 'gpu' ? 'High GPU time' : 'High render time', { pass, renderTime: time });
+    }
+  }
+  
+  /**
+   * Record the CPU time spent in useFrame callbacks for one frame
+   */
+  recordFrameCallbackTime({ pass, time }) {
+    this.metrics.phoenix.frameCallbackTime.push({
+      pass,
+      time,
+      timestamp: Date.now()
+    });
+    
+    // Keep last 100 samples
+    if (this.metrics.phoenix.frameCallbackTime.length > 100) {
+      this.metrics.phoenix.frameCallbackTime.shift();
+    }
+    
+    if (time > this.thresholds.maxFrameCallbackTime) {
+      this.triggerPerformanceWarning('Slow useFrame callbacks', { pass, frameCallbackTime: time });
     }
   }
   
@@ -277,15 +300,17 @@ class PhoenixPerformanceMonitor {
   }
   
   /**
-   * Record interaction latency
+   * Record an interaction from the tracker: { name, target, duration,
+   * inputDelay, processingTime, presentationDelay }
    */
-  recordInteractionLatency(latency) {
+  recordInteractionLatency(interaction) {
     this.metrics.phoenix.interactionLatency.push({
-      latency,
+      ...interaction,
+      latency: interaction.duration,
       timestamp: Date.now()
     });
     
-    this.metrics.session.totalInteractions++;
+    this.metrics.session.totalInteractions = this.interactionTracker.interactionCount;
     
     // Keep last 50 interactions
     if (this.metrics.phoenix.interactionLatency.length > 50) {
@@ -293,8 +318,12 @@ class PhoenixPerformanceMonitor {
     }
     
     // Check latency threshold
-    if (latency > this.thresholds.maxInteractionLatency) {
-      this.triggerPerformanceWarning('High interaction latency', { latency });
+    if (interaction.duration > this.thresholds.maxInteractionLatency) {
+      this.triggerPerformanceWarning('High interaction latency', {
+        latency: interaction.duration,
+        target: interaction.target,
+        event: interaction.name
+      });
     }
   }
   
@@ -319,52 +348,52 @@ class PhoenixPerformanceMonitor {
   }
   
   /**
-   * Record quality change events
+   * Record a quality change and move the thresholds to the new tier
    */
-  recordQualityChange(qualityData) {
-    this.metrics.phoenix.lastQualityChange = {
-      ...qualityData,
-      timestamp: Date.now()
-    };
+  recordQualityChange(change) {
+    this.metrics.phoenix.lastQualityChange = change;
     
-    if (qualityData.direction === 'downgrade') {
+    if (change.direction === 'downgrade') {
       this.metrics.phoenix.qualityDowngrades++;
     }
     
-    console.log(`Phoenix quality changed to: ${qualityData.newQuality}`);
-  }
-  
-  /**
-   * Record quality downgrade
-   */
-  recordQualityDowngrade(performanceData) {
-    this.metrics.phoenix.qualityDowngrades++;
+    this.thresholds = this.calculateThresholds(change.quality);
     
-    const downgradeEvent = {
-      reason: 'Performance degradation',
-      performanceData,
-      timestamp: Date.now()
-    };
-    
-    this.optimizationHistory.push(downgradeEvent);
+    this.optimizationHistory.push({
+      reason: change.reason,
+      direction: change.direction,
+      quality: change.quality,
+      performanceData: this.getCurrentPerformanceSnapshot(),
+      timestamp: change.timestamp
+    });
     
-    // Dispatch event for Phoenix component to handle
-    document.dispatchEvent(new CustomEvent('phoenixPerformanceDowngrade', {
-      detail: downgradeEvent
-    }));
+    console.log(`Phoenix quality changed to: ${change.quality}`);
   }
   
   /**
    * Get current performance snapshot
    */
   getCurrentPerformanceSnapshot() {
-    const recentRenderTimes = this.metrics.phoenix.renderTime.slice(-10);
+    const recentRenderTimes = this.metrics.phoenix.renderTime.slice(-10 * RENDER_PASSES.length);
+    const recentFrameCallbacks = this.metrics.phoenix.frameCallbackTime.slice(-10);
     const recentAnimationFrames = this.metrics.phoenix.animationFrames.slice(-5);
     const recentMemory = this.metrics.phoenix.memoryUsage.slice(-3);
     
+    // Average per pass; a frame renders every pass, so the frame's render time is their sum
+    const passTimes = {};
+    RENDER_PASSES.forEach(pass => {
+      const samples = recentRenderTimes.filter(sample => sample.pass === pass);
+      if (samples.length > 0) passTimes[pass] = average(samples.map(sample => sample.time));
+    });
+    
+    const sources = new Set(recentRenderTimes.map(sample => sample.source));
+    
     return {
-      avgRenderTime: recentRenderTimes.length > 0 ? 
-        recentRenderTimes.reduce((sum, r) => sum + r.time, 0) / recentRenderTimes.length : 0,
+      avgRenderTime: Object.values(passTimes).reduce((sum, time) => sum + time, 0),
+      passTimes,
+      timingSource: sources.has('gpu') ? 'gpu' : sources.has('cpu') ? 'cpu' : 'none',
+      avgFrameCallbackTime: average(recentFrameCallbacks.map(sample => sample.time)),
+      inp: this.interactionTracker?.getINP() ?? null,
       avgFPS: recentAnimationFrames.length > 0 ?
         recentAnimationFrames.reduce((sum, f) => sum + f.fps, 0) / recentAnimationFrames.length : 60,
       currentMemory: recentMemory.length > 0 ? recentMemory[recentMemory.length - 1] : null,
@@ -372,27 +401,6 @@ class PhoenixPerformanceMonitor {
     };
   }
   
-  /**
-   * Check if quality downgrade should be recommended
-   */
-  shouldRecommendQualityDowngrade(performanceSnapshot) {
-    const { avgRenderTime, avgFPS, currentMemory } = performanceSnapshot;
-    
-    // Multiple performance indicators below threshold
-    let issues = 0;
-    
-    if (avgRenderTime > this.thresholds.maxRenderTime * 1.2) issues++;
-    if (avgFPS < this.thresholds.minFPS * 0.8) issues++;
-    
-    if (currentMemory) {
-      const totalMemory = (currentMemory.modelMemory?.estimatedMemoryMB || 0) + 
-                         (currentMemory.browserMemory?.used || 0);
-      if (totalMemory > this.thresholds.maxMemoryMB * 1.1) issues++;
-    }
-    
-    return issues >= 2; // Require multiple indicators
-  }
-  
   /**
    * Analyze overall performance and generate recommendations
    */
@@ -417,13 +425,28 @@ class PhoenixPerformanceMonitor {
   generateOptimizationRecommendations(snapshot) {
     const recommendations = [];
     
-    // Render time recommendations
+    // Render time recommendations, aimed at the most expensive pass
     if (snapshot.avgRenderTime > this.thresholds.maxRenderTime) {
+      const [slowestPass] = Object.entries(snapshot.passTimes).sort(([, a], [, b]) => b - a)[0];
+      const timeLabel = snapshot.timingSource === 'gpu' ? 'GPU time' : 'render time (CPU, no timer queries)';
+      
       recommendations.push({
         type: 'rendering',
         priority: 'high',
-        message: `Average render time (${snapshot.avgRenderTime.toFixed(2)}ms) exceeds threshold (${this.thresholds.maxRenderTime}ms)`,
-        actions: ['Reduce model quality', 'Disable complex animations', 'Lower texture resolution']
+        message: `Average ${timeLabel} (${snapshot.avgRenderTime.toFixed(2)}ms) exceeds threshold (${this.thresholds.maxRenderTime}ms); ${slowestPass} pass is the largest share`,
+        actions: slowestPass === 'galaxy'
+          ? ['Lower Galaxy resolution', 'Reduce Galaxy star layers']
+          : ['Reduce model quality', 'Disable complex animations', 'Lower texture resolution']
+      });
+    }
+    
+    // Per-frame CPU work in useFrame callbacks
+    if (snapshot.avgFrameCallbackTime > this.thresholds.maxFrameCallbackTime) {
+      recommendations.push({
+        type: 'cpu',
+        priority: 'medium',
+        message: `useFrame callbacks take ${snapshot.avgFrameCallbackTime.toFixed(2)}ms per frame, above threshold (${this.thresholds.maxFrameCallbackTime}ms)`,
+        actions: ['Enable frame skipping', 'Throttle scroll and pointer calculations', 'Avoid allocations in useFrame']
       });
     }
     
@@ -437,6 +460,22 @@ class PhoenixPerformanceMonitor {
       });
     }
     
+    // Interaction recommendations, aimed at the target behind INP
+    if (snapshot.inp && snapshot.inp.duration > this.thresholds.maxInteractionLatency) {
+      const { duration, target, inputDelay, processingTime, presentationDelay } = snapshot.inp;
+      const phases = { 'input delay': inputDelay, 'processing': processingTime, 'presentation': presentationDelay };
+      const [slowestPhase] = Object.entries(phases).sort(([, a], [, b]) => b - a)[0];
+      
+      recommendations.push({
+        type: 'interaction',
+        priority: 'high',
+        message: `INP (${duration.toFixed(0)}ms) exceeds threshold (${this.thresholds.maxInteractionLatency}ms) on ${target}; ${slowestPhase} is the largest share`,
+        actions: slowestPhase === 'processing'
+          ? ['Defer work in the event handler', 'Start animations on the next frame']
+          : ['Reduce main-thread work during scroll', 'Lower quality settings']
+      });
+    }
+    
     // Memory recommendations
     if (snapshot.currentMemory) {
       const totalMemory = (snapshot.currentMemory.modelMemory?.estimatedMemoryMB || 0) + 
@@ -513,12 +552,15 @@ class PhoenixPerformanceMonitor {
         currentSnapshot: snapshot,
         totalInteractions: this.metrics.session.totalInteractions,
         qualityDowngrades: this.metrics.phoenix.qualityDowngrades,
+        lastQualityChange: this.metrics.phoenix.lastQualityChange,
         performanceWarnings: this.metrics.session.performanceWarnings,
         sessionDuration: Date.now() - this.metrics.session.startTime,
         optimizationHistory: this.optimizationHistory.slice(-10) // Last 10 optimizations
       },
       baseline: baselineReport,
       device: this.metrics.device,
+      quality: this.qualityController.getState(),
+      interactions: this.interactionTracker?.getReport() ?? { supported: false },
       thresholds: this.thresholds,
       recommendations: this.generateOptimizationRecommendations(snapshot),
       timestamp: Date.now()
@@ -531,6 +573,16 @@ class PhoenixPerformanceMonitor {
   stopMonitoring() {
     this.isMonitoring = false;
     this.baselineTestSuite.metrics.stopMonitoring();
+    this.unsubscribeRenderTiming?.();
+    this.unsubscribeRenderTiming = null;
+    this.unsubscribeInteractions?.();
+    this.unsubscribeInteractions = null;
+    this.interactionTracker?.stop();
+    this.interactionTracker = null;
+    this.unsubscribeQuality?.();
+    this.unsubscribeQuality = null;
+    this.unregisterTelemetry?.();
+    this.unregisterTelemetry = null;
     console.log('🦅 Phoenix Performance Monitor stopped');
   }
   
@@ -540,6 +592,7 @@ class PhoenixPerformanceMonitor {
   resetMetrics() {
     this.metrics.phoenix = {
       renderTime: [],
+      frameCallbackTime: [],
       animationFrames: [],
       interactionLatency: [],
       memoryUsage: [],
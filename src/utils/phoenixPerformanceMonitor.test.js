@@ -0,0 +1,58 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEVICE_FIXTURES, createDeviceProbes } from '../test/deviceFixtures';
+import { DeviceCapabilityService, setDeviceCapabilityService } from './deviceDetection';
+import { QUALITY_TIERS } from './modelRegistry';
+import PhoenixPerformanceMonitor from './phoenixPerformanceMonitor';
+
+describe('PhoenixPerformanceMonitor thresholds', () => {
+  let monitor;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const desktop = DEVICE_FIXTURES.find(fixture => fixture.name === 'Desktop on a 2G connection');
+    setDeviceCapabilityService(new DeviceCapabilityService({ probes: createDeviceProbes(desktop), storage: null }));
+    monitor = new PhoenixPerformanceMonitor();
+  });
+
+  afterEach(() => {
+    setDeviceCapabilityService(null);
+    vi.restoreAllMocks();
+  });
+
+  it('tightens every threshold from ultra-low to high', () => {
+    const thresholds = QUALITY_TIERS.map(quality => monitor.calculateThresholds(quality));
+
+    for (let i = 1; i < thresholds.length; i++) {
+      expect(thresholds[i].minFPS).toBeGreaterThan(thresholds[i - 1].minFPS);
+      expect(thresholds[i].maxRenderTime).toBeLessThan(thresholds[i - 1].maxRenderTime);
+      expect(thresholds[i].maxFrameCallbackTime).toBeLessThan(thresholds[i - 1].maxFrameCallbackTime);
+      expect(thresholds[i].maxInteractionLatency).toBeLessThanOrEqual(thresholds[i - 1].maxInteractionLatency);
+    }
+  });
+
+  it('keeps render times inside the frame budget of each tier', () => {
+    QUALITY_TIERS.forEach(quality => {
+      const { minFPS, maxRenderTime } = monitor.calculateThresholds(quality);
+      expect(maxRenderTime).toBeLessThan(1000 / minFPS);
+    });
+  });
+
+  it('falls back to low thresholds for unknown tiers', () => {
+    expect(monitor.calculateThresholds('none')).toEqual(monitor.calculateThresholds('low'));
+    expect(monitor.calculateThresholds(undefined)).toEqual(monitor.calculateThresholds('low'));
+  });
+
+  it.each(DEVICE_FIXTURES)('uses the $expected.quality thresholds on $name', (fixture) => {
+    const { recommendedQuality } = new DeviceCapabilityService({ probes: createDeviceProbes(fixture) }).getCapabilities();
+    expect(monitor.calculateThresholds(recommendedQuality))
+      .toEqual(monitor.calculateThresholds(fixture.expected.quality));
+  });
+
+  it('moves the thresholds with quality changes', () => {
+    monitor.recordQualityChange({ quality: 'ultra-low', direction: 'downgrade', reason: 'performance', timestamp: 0 });
+
+    expect(monitor.thresholds).toMatchObject({ minFPS: 20, maxRenderTime: 25, maxInteractionLatency: 500 });
+    expect(monitor.metrics.phoenix.qualityDowngrades).toBe(1);
+  });
+});
@@ -0,0 +1,441 @@
+/**
+ * Quality Controller
+ * Single owner of the adaptive quality tier. Frame times come from one sampler,
+ * tier changes go through hysteresis and cooldowns in both directions, and
+ * subscribers (animation presets, LOD loading, renderer DPR, Galaxy shader)
+ * are notified of every change. Upgrades are put on probation and capped per
+ * session; the last stable tier is remembered for the next visit.
+ */
+
+import { useEffect, useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import assessDeviceCapabilities, { getPerformanceSettings } from './deviceDetection';
+import { QUALITY_TIERS } from './modelRegistry';
+
+const STORAGE_KEY = 'ynz3d-quality-tier';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  // Frames kept for evaluation, and how often they are evaluated
+  sampleSize: 120,
+  minSamples: 30,
+  evaluationInterval: 1000,
+  // A window below downgradeRatio of the tier's target FPS counts against it;
+  // one at upgradeRatio of the next tier's target counts towards upgrading
+  downgradeRatio: 0.7,
+  upgradeRatio: 0.9,
+  // Consecutive windows needed before acting
+  downgradeWindows: 3,
+  upgradeWindows: 8,
+  // Headroom also needs the slowest 5% of frames within spikeRatio of the
+  // next tier's frame budget, so a high average hiding stutter does not count
+  spikePercentile: 0.95,
+  spikeRatio: 1.5,
+  // After any change, frames are ignored while the new tier loads and compiles
+  changeCooldown: 4000,
+  // No upgrade this soon after a downgrade; doubled for each failed probation of the same tier
+  upgradeCooldown: 20000,
+  // An upgraded tier is on probation for this many windows; probationFailWindows
+  // below probationRatio of its target FPS revert it straight away
+  probationWindows: 15,
+  probationRatio: 0.85,
+  probationFailWindows: 2,
+  maxUpgradesPerSession: 3,
+  // Windows a tier must hold before it is remembered for the next visit
+  stableWindows: 30,
+  storedTierMaxAge: 30 * DAY_MS,
+  // Gaps this long are stalls or hidden tabs, not rendering
+  maxFrameTime: 1000
+};
+
+/**
+ * Clamp a quality name onto the ladder (devices without WebGL report 'none')
+ */
+function toTier(quality, fallback = 'low') {
+  return QUALITY_TIERS.includes(quality) ? quality : fallback;
+}
+
+/**
+ * localStorage when it is usable (it throws in some private modes)
+ */
+function getDefaultStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Frame time below which the given share of samples fall
+ */
+function getPercentile(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * percentile))];
+}
+
+/**
+ * Quality Controller Class
+ */
+export class QualityController {
+  constructor(options = {}) {
+    const {
+      initialQuality,
+      maxQuality,
+      minQuality = QUALITY_TIERS[0],
+      storage = getDefaultStorage(),
+      ...settings
+    } = options;
+    const assessment = assessDeviceCapabilities();
+    // A ?quality= override starts there like an explicit initial tier
+    const startQuality = initialQuality || assessment.overrides?.quality;
+    // Upgrades never go past the device assessment's tier
+    const ceilingQuality = maxQuality || startQuality || assessment.recommendedQuality;
+
+    this.options = { ...DEFAULT_OPTIONS, ...settings };
+    this.storage = storage;
+    this.minQuality = toTier(minQuality, QUALITY_TIERS[0]);
+    this.maxQuality = toTier(ceilingQuality);
+
+    // An explicit initial tier wins over the one remembered from the last visit
+    this.quality = startQuality ? toTier(startQuality) : (this.loadStableQuality() || this.maxQuality);
+    this.stableQuality = null;
+
+    this.frameTimes = [];
+    this.listeners = new Set();
+    this.history = [];
+    this.lowWindows = 0;
+    this.highWindows = 0;
+    this.windowsAtTier = 0;
+    this.upgradeCount = 0;
+    this.failedUpgrades = {};
+    this.lastChange = { time: 0, direction: null, reason: null, from: null };
+    this.lastEvaluation = 0;
+    this.lastFrame = null;
+    this.frameId = null;
+    this.lastFPS = null;
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start sampling frame times from requestAnimationFrame
+   */
+  start() {
+    if (this.frameId !== null || typeof requestAnimationFrame === 'undefined') return;
+
+    const sample = (time) => {
+      if (this.lastFrame !== null) this.recordFrameTime(time - this.lastFrame, time);
+      this.lastFrame = time;
+      this.frameId = requestAnimationFrame(sample);
+    };
+
+    this.frameId = requestAnimationFrame(sample);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /**
+   * Stop sampling; the current tier is kept
+   */
+  stop() {
+    if (this.frameId === null) return;
+
+    cancelAnimationFrame(this.frameId);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.frameId = null;
+    this.resetSamples();
+  }
+
+  /**
+   * Frames around a hidden tab say nothing about rendering cost
+   */
+  handleVisibilityChange() {
+    this.resetSamples();
+  }
+
+  resetSamples() {
+    this.frameTimes = [];
+    this.lastFrame = null;
+    this.lowWindows = 0;
+    this.highWindows = 0;
+  }
+
+  /**
+   * Add one frame time (ms). This is the only input the controller decides on.
+   */
+  recordFrameTime(frameTime, now = performance.now()) {
+    const { sampleSize, maxFrameTime, changeCooldown, evaluationInterval } = this.options;
+
+    if (frameTime <= 0 || frameTime > maxFrameTime) return;
+    if (now - this.lastChange.time < changeCooldown) return;
+
+    this.frameTimes.push(frameTime);
+    if (this.frameTimes.length > sampleSize) {
+      this.frameTimes.shift();
+    }
+
+    if (now - this.lastEvaluation >= evaluationInterval) {
+      this.lastEvaluation = now;
+      this.evaluate(now);
+    }
+  }
+
+  /**
+   * Average FPS over the sample window, or null without enough samples
+   */
+  getAverageFPS() {
+    if (this.frameTimes.length < this.options.minSamples) return null;
+
+    const averageFrameTime = this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+    return 1000 / averageFrameTime;
+  }
+
+  /**
+   * FPS a tier is expected to hold
+   */
+  getTargetFPS(quality = this.quality) {
+    return getPerformanceSettings(quality).maxFPS;
+  }
+
+  /**
+   * Whether the sample window shows headroom for a higher tier: both its
+   * average FPS and its slowest frames fit that tier's target
+   */
+  hasHeadroomFor(quality, fps) {
+    const { upgradeRatio, spikePercentile, spikeRatio } = this.options;
+    const targetFPS = this.getTargetFPS(quality);
+
+    return fps >= targetFPS * upgradeRatio &&
+      getPercentile(this.frameTimes, spikePercentile) <= (1000 / targetFPS) * spikeRatio;
+  }
+
+  /**
+   * Tiers reached through automatic upgrades must prove themselves first
+   */
+  isOnProbation() {
+    return this.lastChange.reason === 'headroom' && this.windowsAtTier <= this.options.probationWindows;
+  }
+
+  /**
+   * Upgrades are capped per session and wait out a cooldown after any
+   * downgrade, doubled for each probation the target tier already failed
+   */
+  canUpgradeTo(quality, now) {
+    const { maxUpgradesPerSession, upgradeCooldown } = this.options;
+
+    if (this.upgradeCount >= maxUpgradesPerSession) return false;
+    if (this.lastChange.direction !== 'downgrade') return true;
+
+    const cooldown = upgradeCooldown * 2 ** (this.failedUpgrades[quality] || 0);
+    return now - this.lastChange.time >= cooldown;
+  }
+
+  /**
+   * Count consecutive windows below the downgrade threshold or with headroom
+   * for the next tier and step one tier once either streak is long enough.
+   * A tier that holds for stableWindows is remembered for the next visit.
+   */
+  evaluate(now = performance.now()) {
+    const fps = this.getAverageFPS();
+    if (fps === null) return;
+
+    this.lastFPS = fps;
+    this.windowsAtTier++;
+
+    const { downgradeRatio, probationRatio, downgradeWindows, upgradeWindows, probationFailWindows, stableWindows } = this.options;
+    const index = QUALITY_TIERS.indexOf(this.quality);
+    const lowerQuality = index > QUALITY_TIERS.indexOf(this.minQuality) ? QUALITY_TIERS[index - 1] : null;
+    const higherQuality = index < QUALITY_TIERS.indexOf(this.maxQuality) ? QUALITY_TIERS[index + 1] : null;
+    const onProbation = this.isOnProbation();
+
+    const isLow = fps < this.getTargetFPS() * (onProbation ? probationRatio : downgradeRatio);
+    const isHigh = Boolean(higherQuality) && this.hasHeadroomFor(higherQuality, fps);
+
+    this.lowWindows = isLow ? this.lowWindows + 1 : 0;
+    this.highWindows = isHigh ? this.highWindows + 1 : 0;
+
+    // A failed probation goes straight back to the tier the upgrade came from
+    if (onProbation && this.lowWindows >= probationFailWindows) {
+      this.failedUpgrades[this.quality] = (this.failedUpgrades[this.quality] || 0) + 1;
+      this.setQuality(this.lastChange.from, { reason: 'probation', fps, now });
+      return;
+    }
+
+    if (lowerQuality && this.lowWindows >= downgradeWindows) {
+      this.setQuality(lowerQuality, { reason: 'performance', fps, now });
+      return;
+    }
+
+    if (this.windowsAtTier >= stableWindows && this.stableQuality !== this.quality) {
+      this.saveStableQuality(this.quality);
+    }
+
+    if (!onProbation && this.highWindows >= upgradeWindows && this.canUpgradeTo(higherQuality, now)) {
+      this.upgradeCount++;
+      this.setQuality(higherQuality, { reason: 'headroom', fps, now });
+    }
+  }
+
+  /**
+   * Tier remembered from a previous visit, if it was saved under the same
+   * device ceiling, is recent enough and is still within range
+   */
+  loadStableQuality() {
+    try {
+      const record = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (!record || record.maxQuality !== this.maxQuality) return null;
+      if (Date.now() - record.savedAt > this.options.storedTierMaxAge) return null;
+
+      const index = QUALITY_TIERS.indexOf(record.quality);
+      const inRange = index >= QUALITY_TIERS.indexOf(this.minQuality) && index <= QUALITY_TIERS.indexOf(this.maxQuality);
+      return inRange ? record.quality : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a tier that held up, for the next visit
+   */
+  saveStableQuality(quality) {
+    this.stableQuality = quality;
+
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({ quality, maxQuality: this.maxQuality, savedAt: Date.now() }));
+    } catch (error) {
+      console.warn('Failed to remember quality tier:', error);
+    }
+  }
+
+  /**
+   * Move to a tier and notify subscribers
+   */
+  setQuality(quality, { reason = 'manual', fps = this.lastFPS, now = performance.now() } = {}) {
+    const nextQuality = toTier(quality, this.quality);
+    if (nextQuality === this.quality) return;
+
+    const previousQuality = this.quality;
+    const direction = QUALITY_TIERS.indexOf(nextQuality) < QUALITY_TIERS.indexOf(previousQuality)
+      ? 'downgrade'
+      : 'upgrade';
+
+    const change = {
+      quality: nextQuality,
+      previousQuality,
+      direction,
+      reason,
+      fps: fps === null ? null : Math.round(fps),
+      timestamp: Date.now()
+    };
+
+    this.quality = nextQuality;
+    this.lastChange = { time: now, direction, reason, from: previousQuality };
+    this.windowsAtTier = 0;
+    this.history.push(change);
+    this.resetSamples();
+
+    console.log(`🎚️ Quality ${direction} to ${nextQuality} (${reason}${change.fps === null ? '' : `, ${change.fps} FPS`})`);
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.warn('Quality listener failed:', error);
+      }
+    });
+  }
+
+  getQuality() {
+    return this.quality;
+  }
+
+  /**
+   * Renderer settings (pixel ratio, shadows, target FPS) for the current tier
+   */
+  getSettings(quality = this.quality) {
+    return getPerformanceSettings(quality);
+  }
+
+  /**
+   * Subscribe to tier changes; the listener receives
+   * { quality, previousQuality, direction, reason, fps, timestamp }, where
+   * reason is 'performance', 'headroom', 'probation' or 'manual'.
+   * Sampling starts with the first subscriber and stops when the last one
+   * leaves. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.start();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.stop();
+    };
+  }
+
+  getState() {
+    return {
+      quality: this.quality,
+      minQuality: this.minQuality,
+      maxQuality: this.maxQuality,
+      averageFPS: this.lastFPS === null ? null : Math.round(this.lastFPS),
+      targetFPS: this.getTargetFPS(),
+      stableQuality: this.stableQuality,
+      onProbation: this.isOnProbation(),
+      upgradesRemaining: Math.max(0, this.options.maxUpgradesPerSession - this.upgradeCount),
+      isSampling: this.frameId !== null,
+      history: this.history.slice(-10)
+    };
+  }
+}
+
+// Global quality controller instance
+let globalQualityController = null;
+
+/**
+ * Get or create the global quality controller
+ */
+export function getQualityController() {
+  if (!globalQualityController) {
+    globalQualityController = new QualityController();
+  }
+  return globalQualityController;
+}
+
+/**
+ * React hook returning the current quality tier, re-rendering on changes
+ */
+export function useQualityTier() {
+  const controller = getQualityController();
+  const [quality, setQuality] = useState(() => controller.getQuality());
+
+  useEffect(() => {
+    setQuality(controller.getQuality());
+    return controller.subscribe(change => setQuality(change.quality));
+  }, [controller]);
+
+  return quality;
+}
+
+/**
+ * Keep the R3F renderer's pixel ratio on the current tier's setting, or on a
+ * fixed tier's when one is given. Call from a component rendered inside <Canvas>.
+ */
+export function useQualityDpr(fixedQuality = null) {
+  const setDpr = useThree(state => state.setDpr);
+
+  useEffect(() => {
+    const controller = getQualityController();
+    const applyDpr = (quality) => setDpr(controller.getSettings(quality).pixelRatio);
+
+    if (fixedQuality) {
+      applyDpr(fixedQuality);
+      return;
+    }
+
+    applyDpr(controller.getQuality());
+    return controller.subscribe(change => applyDpr(change.quality));
+  }, [setDpr, fixedQuality]);
+}
+
+export default QualityController;
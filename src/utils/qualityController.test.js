@@ -0,0 +1,149 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEVICE_FIXTURES, createDeviceProbes } from '../test/deviceFixtures';
+import { createLocalStorage } from '../test/localStorageStub';
+import { DeviceCapabilityService, setDeviceCapabilityService } from './deviceDetection';
+import { QualityController } from './qualityController';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('QualityController', () => {
+  let storage;
+  // Frame clock (ms); starts past the change cooldown of a fresh controller
+  let now;
+
+  /**
+   * Feed `seconds` of frames rendered at a steady `fps`
+   */
+  function render(controller, fps, seconds) {
+    const frameTime = 1000 / fps;
+    for (let frame = 0; frame < fps * seconds; frame++) {
+      now += frameTime;
+      controller.recordFrameTime(frameTime, now);
+    }
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const desktop = DEVICE_FIXTURES.find(fixture => fixture.name === 'Desktop on a 2G connection');
+    setDeviceCapabilityService(new DeviceCapabilityService({ probes: createDeviceProbes(desktop), storage: null }));
+    storage = createLocalStorage();
+    now = 10000;
+  });
+
+  afterEach(() => {
+    setDeviceCapabilityService(null);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('steps down one tier after three windows below 70% of the target', () => {
+    const controller = new QualityController({ initialQuality: 'low', maxQuality: 'low', storage });
+
+    // The first window needs 30 samples; two windows at 18 of 30 FPS follow
+    render(controller, 18, 4);
+    expect(controller.getQuality()).toBe('low');
+    expect(controller.lowWindows).toBe(2);
+
+    render(controller, 18, 1);
+    expect(controller.getQuality()).toBe('ultra-low');
+    expect(controller.history.at(-1)).toMatchObject({
+      previousQuality: 'low',
+      direction: 'downgrade',
+      reason: 'performance',
+      fps: 18
+    });
+  });
+
+  it('starts counting again after a window that holds the target', () => {
+    const controller = new QualityController({ initialQuality: 'low', maxQuality: 'low', storage });
+
+    render(controller, 18, 3.5);
+    expect(controller.lowWindows).toBe(2);
+
+    // The next window averages above 21 FPS
+    render(controller, 60, 1);
+    expect(controller.lowWindows).toBe(0);
+
+    render(controller, 18, 2);
+    expect(controller.getQuality()).toBe('low');
+    expect(controller.history).toEqual([]);
+  });
+
+  it('ignores frames for 4s after a change', () => {
+    const controller = new QualityController({ initialQuality: 'medium', maxQuality: 'medium', storage });
+    render(controller, 30, 5);
+    expect(controller.getQuality()).toBe('low');
+    const changedAt = controller.lastChange.time;
+
+    // Slow enough to step down again, but the new tier is still loading
+    render(controller, 15, 2);
+    expect(now - changedAt).toBeLessThan(4000);
+    expect(controller.frameTimes).toEqual([]);
+    expect(controller.getQuality()).toBe('low');
+
+    render(controller, 15, 5);
+    expect(controller.getQuality()).toBe('ultra-low');
+    expect(controller.history.map(change => change.reason)).toEqual(['performance', 'performance']);
+  });
+
+  it('steps up one tier after sustained headroom', () => {
+    const controller = new QualityController({ initialQuality: 'ultra-low', maxQuality: 'low', storage });
+    const listener = vi.fn();
+    controller.listeners.add(listener);
+
+    render(controller, 30, 5);
+    expect(controller.getQuality()).toBe('ultra-low');
+
+    render(controller, 30, 5);
+    expect(controller.getQuality()).toBe('low');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      quality: 'low',
+      previousQuality: 'ultra-low',
+      direction: 'upgrade',
+      reason: 'headroom'
+    }));
+    expect(controller.getState().onProbation).toBe(true);
+  });
+
+  it('rolls an upgrade back when it fails probation', () => {
+    const controller = new QualityController({ initialQuality: 'ultra-low', maxQuality: 'low', storage });
+    render(controller, 30, 10);
+    expect(controller.getQuality()).toBe('low');
+
+    // Below 85% of the new tier's target, though not yet low enough for a normal downgrade
+    render(controller, 24, 8);
+
+    expect(controller.getQuality()).toBe('ultra-low');
+    expect(controller.history.at(-1)).toMatchObject({ direction: 'downgrade', reason: 'probation' });
+    expect(controller.failedUpgrades).toEqual({ low: 1 });
+  });
+
+  it('stops upgrading once the session cap is used up', () => {
+    const controller = new QualityController({
+      initialQuality: 'ultra-low',
+      maxQuality: 'high',
+      maxUpgradesPerSession: 1,
+      storage
+    });
+
+    render(controller, 60, 60);
+
+    expect(controller.getQuality()).toBe('low');
+    expect(controller.getState()).toMatchObject({ onProbation: false, upgradesRemaining: 0 });
+  });
+
+  it('starts the next visit on the tier that held', () => {
+    const first = new QualityController({ initialQuality: 'ultra-low', maxQuality: 'high', maxUpgradesPerSession: 0, storage });
+    render(first, 30, 35);
+    expect(first.getState().stableQuality).toBe('ultra-low');
+
+    expect(new QualityController({ maxQuality: 'high', storage }).getQuality()).toBe('ultra-low');
+    // Not under a different device ceiling, nor once the record is too old
+    expect(new QualityController({ maxQuality: 'medium', storage }).getQuality()).toBe('medium');
+    vi.setSystemTime(Date.now() + 31 * DAY_MS);
+    expect(new QualityController({ maxQuality: 'high', storage }).getQuality()).toBe('high');
+  });
+});
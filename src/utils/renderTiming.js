@@ -0,0 +1,240 @@
+/**
+ * Render Timing
+ * Per-pass GPU timing through EXT_disjoint_timer_query_webgl2, CPU timing of
+ * R3F useFrame callbacks, and a collector the performance monitor reads from.
+ * Without the extension, passes report the CPU time of their render call.
+ */
+
+import { useEffect } from 'react';
+import { addAfterEffect, addEffect, useThree } from '@react-three/fiber';
+
+const TIMER_QUERY_EXTENSION = 'EXT_disjoint_timer_query_webgl2';
+// Results normally arrive a few frames late; anything older is dropped
+const MAX_PENDING_QUERIES = 8;
+
+/**
+ * GPU timer for one WebGL2 context. Only one query can be open per context,
+ * so begin() is ignored while a query is already running.
+ */
+export class GPUTimer {
+  constructor(gl) {
+    const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+
+    this.gl = gl;
+    this.extension = isWebGL2 ? gl.getExtension(TIMER_QUERY_EXTENSION) : null;
+    this.activeQuery = null;
+    this.pending = [];
+  }
+
+  get isSupported() {
+    return Boolean(this.extension);
+  }
+
+  begin() {
+    if (!this.extension || this.activeQuery) return false;
+
+    this.activeQuery = this.gl.createQuery();
+    this.gl.beginQuery(this.extension.TIME_ELAPSED_EXT, this.activeQuery);
+    return true;
+  }
+
+  /**
+   * Close the open query; discarded queries are collected without a result
+   */
+  end({ discard = false } = {}) {
+    if (!this.activeQuery) return;
+
+    this.gl.endQuery(this.extension.TIME_ELAPSED_EXT);
+    this.pending.push({ query: this.activeQuery, discard });
+    this.activeQuery = null;
+
+    while (this.pending.length > MAX_PENDING_QUERIES) {
+      this.gl.deleteQuery(this.pending.shift().query);
+    }
+  }
+
+  /**
+   * Collect finished queries in order, returning their GPU times in ms.
+   * Results from a disjoint period (context switch, throttling) are dropped.
+   */
+  poll() {
+    if (!this.extension) return [];
+
+    const { gl } = this;
+    const disjoint = gl.getParameter(this.extension.GPU_DISJOINT_EXT);
+    const times = [];
+
+    while (this.pending.length > 0) {
+      const { query, discard } = this.pending[0];
+      if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+
+      const elapsed = gl.getQueryParameter(query, gl.QUERY_RESULT);
+      this.pending.shift();
+      gl.deleteQuery(query);
+
+      if (!disjoint && !discard) times.push(elapsed / 1e6);
+    }
+
+    return times;
+  }
+
+  dispose() {
+    if (this.activeQuery) this.end({ discard: true });
+    this.pending.forEach(({ query }) => this.gl.deleteQuery(query));
+    this.pending = [];
+  }
+}
+
+/**
+ * Fan-out for timing samples: { pass, type, source, time }. `type` is 'render'
+ * (source 'gpu', or 'cpu' without the extension) or 'useFrame' (always 'cpu').
+ * Timers only run while someone is subscribed.
+ */
+class RenderTimingCollector {
+  constructor() {
+    this.listeners = new Set();
+    // Timed passes, with the number of components sharing each
+    this.passes = new Map();
+  }
+
+  get isActive() {
+    return this.listeners.size > 0;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  record(sample) {
+    this.listeners.forEach(listener => listener(sample));
+  }
+
+  /**
+   * Time a pass once however many components ask for it. `attach` runs for
+   * the first and returns a detach function, called once the last releases.
+   */
+  retainPass(pass, attach) {
+    if (!this.passes.has(pass)) {
+      this.passes.set(pass, { users: 0, detach: attach() });
+    }
+
+    const entry = this.passes.get(pass);
+    entry.users++;
+
+    return () => {
+      entry.users--;
+      if (entry.users > 0) return;
+
+      this.passes.delete(pass);
+      entry.detach();
+    };
+  }
+}
+
+// Global render timing collector
+let globalRenderTimingCollector = null;
+
+/**
+ * Get or create the global render timing collector
+ */
+export function getRenderTimingCollector() {
+  if (!globalRenderTimingCollector) {
+    globalRenderTimingCollector = new RenderTimingCollector();
+  }
+  return globalRenderTimingCollector;
+}
+
+/**
+ * Timer for a render pass outside R3F (e.g. the OGL Galaxy). Wrap the pass's
+ * render call in measure().
+ */
+export function createPassTimer(gl, pass) {
+  const collector = getRenderTimingCollector();
+  const timer = new GPUTimer(gl);
+
+  return {
+    measure(render) {
+      if (!collector.isActive) {
+        render();
+        return;
+      }
+
+      const start = performance.now();
+      timer.begin();
+      render();
+      timer.end();
+
+      if (!timer.isSupported) {
+        collector.record({ pass, type: 'render', source: 'cpu', time: performance.now() - start });
+      }
+      timer.poll().forEach(time => collector.record({ pass, type: 'render', source: 'gpu', time }));
+    },
+    dispose: () => timer.dispose()
+  };
+}
+
+/**
+ * Hook the R3F frame loop and the scene's render for one pass; returns the cleanup
+ */
+function attachRenderTiming(gl, scene, pass) {
+  const collector = getRenderTimingCollector();
+  const timer = new GPUTimer(gl.getContext());
+  const previousOnBeforeRender = scene.onBeforeRender;
+  let frameStart = null;
+  let renderStart = null;
+
+  // Environment maps and other offscreen renders use their own scenes
+  scene.onBeforeRender = function (...args) {
+    if (frameStart !== null && renderStart === null) {
+      renderStart = performance.now();
+      collector.record({ pass, type: 'useFrame', source: 'cpu', time: renderStart - frameStart });
+    }
+    previousOnBeforeRender.apply(this, args);
+  };
+
+  const removeEffect = addEffect(() => {
+    if (!collector.isActive) return;
+
+    frameStart = performance.now();
+    renderStart = null;
+    timer.begin();
+  });
+
+  const removeAfterEffect = addAfterEffect(() => {
+    if (frameStart === null) return;
+
+    // Frames R3F skipped (frameloop="demand") have nothing to report
+    const rendered = renderStart !== null;
+    timer.end({ discard: !rendered });
+
+    if (rendered && !timer.isSupported) {
+      collector.record({ pass, type: 'render', source: 'cpu', time: performance.now() - renderStart });
+    }
+    timer.poll().forEach(time => collector.record({ pass, type: 'render', source: 'gpu', time }));
+
+    frameStart = null;
+  });
+
+  return () => {
+    removeEffect();
+    removeAfterEffect();
+    scene.onBeforeRender = previousOnBeforeRender;
+    timer.dispose();
+  };
+}
+
+/**
+ * Time the R3F frame: useFrame callbacks on the CPU (frame start until the
+ * scene starts rendering) and the render pass on the GPU. Call from a
+ * component rendered inside <Canvas>; components calling it for the same
+ * pass share one timer, so each frame is recorded once.
+ */
+export function useRenderTiming(pass = 'r3f') {
+  const gl = useThree(state => state.gl);
+  const scene = useThree(state => state.scene);
+
+  useEffect(() => (
+    getRenderTimingCollector().retainPass(pass, () => attachRenderTiming(gl, scene, pass))
+  ), [gl, scene, pass]);
+}
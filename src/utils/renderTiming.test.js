@@ -0,0 +1,87 @@
+// @vitest-environment jsdom
+import { flushGlobalEffects } from '@react-three/fiber';
+import { act, createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import { Scene } from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getRenderTimingCollector, useRenderTiming } from './renderTiming';
+
+// The R3F state a <Canvas> would provide; the frame loop itself stays real
+const canvasState = vi.hoisted(() => ({}));
+
+vi.mock('@react-three/fiber', async importOriginal => ({
+  ...await importOriginal(),
+  useThree: selector => selector(canvasState)
+}));
+
+/**
+ * Two components timing the default pass, as ScrollPhoenix and OptimizedPhoenix do
+ */
+function Model() {
+  useRenderTiming();
+  return null;
+}
+
+function Phoenix() {
+  useRenderTiming();
+  return createElement(Model);
+}
+
+/**
+ * One R3F frame: global effects, the scene render, after effects
+ */
+function renderFrame(timestamp) {
+  flushGlobalEffects('before', timestamp);
+  canvasState.scene.onBeforeRender();
+  flushGlobalEffects('after', timestamp);
+}
+
+describe('useRenderTiming', () => {
+  let root;
+  let samples;
+  let unsubscribe;
+
+  beforeEach(async () => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    canvasState.gl = { getContext: () => ({}) };
+    canvasState.scene = new Scene();
+    samples = [];
+    unsubscribe = getRenderTimingCollector().subscribe(sample => samples.push(sample));
+
+    root = createRoot(document.createElement('div'));
+    await act(() => root.render(createElement(Phoenix)));
+  });
+
+  afterEach(async () => {
+    await act(() => root.unmount());
+    unsubscribe();
+    delete globalThis.IS_REACT_ACT_ENVIRONMENT;
+  });
+
+  it('records each frame once when several components time the same pass', () => {
+    renderFrame(16);
+    renderFrame(32);
+
+    expect(samples.map(({ pass, type, source }) => `${pass}:${type}:${source}`)).toEqual([
+      'r3f:useFrame:cpu',
+      'r3f:render:cpu',
+      'r3f:useFrame:cpu',
+      'r3f:render:cpu'
+    ]);
+  });
+
+  it('stops timing once the last component unmounts', async () => {
+    const { onBeforeRender } = Scene.prototype;
+
+    await act(() => root.render(createElement(Model)));
+    renderFrame(16);
+    expect(samples).toHaveLength(2);
+
+    await act(() => root.render(null));
+    renderFrame(32);
+
+    expect(samples).toHaveLength(2);
+    expect(canvasState.scene.onBeforeRender).toBe(onBeforeRender);
+    expect(getRenderTimingCollector().passes.size).toBe(0);
+  });
+});
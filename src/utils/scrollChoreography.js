@@ -0,0 +1,334 @@
+/**
+ * Scroll Choreography
+ * Phoenix pose per page section, loaded from src/constants/scrollChoreography.json.
+ * Sections are matched by the key they register under (see sectionRegistry.js).
+ * Each section has a keyframe (rotation, scale, alignment, offset, easing,
+ * z-index), optional sub-keyframes at points of its scroll progress and
+ * overrides per breakpoint. clipTimePerSection sets how many seconds of the
+ * wing clip play while scrolling through one section. The config is validated
+ * when it is loaded.
+ */
+
+import choreographyConfig from '../constants/scrollChoreography.json';
+
+const KEYFRAME_FIELDS = ['rotation', 'scale', 'align', 'offset', 'easing', 'zIndex'];
+const OFFSET_AXES = ['x', 'y', 'z'];
+const SECTION_FIELDS = ['key', 'keyframe', 'subKeyframes', 'responsive'];
+// Widest breakpoint: used above every configured max-width
+export const DEFAULT_BREAKPOINT = 'desktop';
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Problems with a (partial) keyframe, prefixed with `path`
+ */
+function validateKeyframe(keyframe, path, alignments, { extraFields = [] } = {}) {
+  if (!isObject(keyframe)) return [`${path} must be an object`];
+
+  const errors = [];
+
+  Object.keys(keyframe).forEach(field => {
+    if (!KEYFRAME_FIELDS.includes(field) && !extraFields.includes(field)) {
+      errors.push(`${path}.${field} is not a keyframe field (${KEYFRAME_FIELDS.join(', ')})`);
+    }
+  });
+
+  ['rotation', 'zIndex'].forEach(field => {
+    if (field in keyframe && !isNumber(keyframe[field])) errors.push(`${path}.${field} must be a number`);
+  });
+  if ('scale' in keyframe && !(isNumber(keyframe.scale) && keyframe.scale > 0)) {
+    errors.push(`${path}.scale must be a positive number`);
+  }
+  if ('align' in keyframe && !(keyframe.align in alignments)) {
+    errors.push(`${path}.align "${keyframe.align}" is not one of: ${Object.keys(alignments).join(', ')}`);
+  }
+  if ('easing' in keyframe && !(typeof keyframe.easing === 'string' && keyframe.easing)) {
+    errors.push(`${path}.easing must be a GSAP ease name`);
+  }
+  if ('offset' in keyframe) {
+    if (!isObject(keyframe.offset)) {
+      errors.push(`${path}.offset must be an object`);
+    } else {
+      Object.entries(keyframe.offset).forEach(([axis, value]) => {
+        if (!OFFSET_AXES.includes(axis)) errors.push(`${path}.offset.${axis} is not an axis (x, y, z)`);
+        else if (!isNumber(value)) errors.push(`${path}.offset.${axis} must be a number`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+function validateSubKeyframes(subKeyframes, path, alignments) {
+  if (!Array.isArray(subKeyframes)) return [`${path} must be an array`];
+
+  const errors = [];
+  let previousAt = 0;
+
+  subKeyframes.forEach((subKeyframe, index) => {
+    const subPath = `${path}[${index}]`;
+    errors.push(...validateKeyframe(subKeyframe, subPath, alignments, { extraFields: ['at'] }));
+
+    const at = subKeyframe?.at;
+    if (!(isNumber(at) && at > 0 && at <= 1)) {
+      errors.push(`${subPath}.at must be a section progress in (0, 1]`);
+    } else if (at <= previousAt) {
+      errors.push(`${subPath}.at must be greater than the previous sub-keyframe's`);
+    } else {
+      previousAt = at;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Every problem with a choreography config; empty when it is valid
+ */
+export function validateChoreography(config) {
+  if (!isObject(config)) return ['config must be an object'];
+
+  const errors = [];
+  const breakpoints = isObject(config.breakpoints) ? config.breakpoints : {};
+  const alignments = isObject(config.alignments) ? config.alignments : {};
+
+  if (!isNumber(config.version)) errors.push('version must be a number');
+  if (!(isNumber(config.clipTimePerSection) && config.clipTimePerSection > 0)) {
+    errors.push('clipTimePerSection must be a positive number of seconds');
+  }
+
+  if (!isObject(config.breakpoints)) {
+    errors.push('breakpoints must map names to max-widths in px');
+  } else {
+    Object.entries(breakpoints).forEach(([name, width]) => {
+      if (name === DEFAULT_BREAKPOINT) errors.push(`breakpoints.${name} is implied (wider than every breakpoint)`);
+      if (!(isNumber(width) && width > 0)) errors.push(`breakpoints.${name} must be a positive max-width`);
+    });
+  }
+
+  if (!isObject(config.alignments) || !('center' in alignments)) {
+    errors.push('alignments must be an object including "center"');
+  } else {
+    Object.entries(alignments).forEach(([name, offset]) => {
+      if (!(isObject(offset) && isNumber(offset.x) && isNumber(offset.y))) {
+        errors.push(`alignments.${name} must be { x, y } numbers`);
+      }
+    });
+  }
+
+  errors.push(...validateKeyframe(config.defaults, 'defaults', alignments));
+  if (isObject(config.defaults)) {
+    KEYFRAME_FIELDS.forEach(field => {
+      if (!(field in config.defaults)) errors.push(`defaults.${field} is required`);
+    });
+  }
+
+  if (!Array.isArray(config.sections) || config.sections.length === 0) {
+    errors.push('sections must be a non-empty array');
+    return errors;
+  }
+
+  const keys = new Set();
+
+  config.sections.forEach((section, index) => {
+    const path = `sections[${index}]`;
+    if (!isObject(section)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    Object.keys(section).forEach(field => {
+      if (!SECTION_FIELDS.includes(field)) errors.push(`${path}.${field} is not a section field (${SECTION_FIELDS.join(', ')})`);
+    });
+
+    if (!(typeof section.key === 'string' && /^[A-Za-z][\w-]*$/.test(section.key))) {
+      errors.push(`${path}.key must be an identifier`);
+    } else if (keys.has(section.key)) {
+      errors.push(`${path}.key "${section.key}" is used by another section`);
+    }
+    keys.add(section.key);
+
+    errors.push(...validateKeyframe(section.keyframe, `${path}.keyframe`, alignments));
+
+    if ('subKeyframes' in section) {
+      errors.push(...validateSubKeyframes(section.subKeyframes, `${path}.subKeyframes`, alignments));
+    }
+
+    if ('responsive' in section) {
+      if (!isObject(section.responsive)) {
+        errors.push(`${path}.responsive must map breakpoint names to overrides`);
+      } else {
+        Object.entries(section.responsive).forEach(([breakpoint, override]) => {
+          const overridePath = `${path}.responsive.${breakpoint}`;
+          if (!(breakpoint in breakpoints) && breakpoint !== DEFAULT_BREAKPOINT) {
+            errors.push(`${overridePath} is not a breakpoint (${[...Object.keys(breakpoints), DEFAULT_BREAKPOINT].join(', ')})`);
+          }
+          errors.push(...validateKeyframe(override, overridePath, alignments, { extraFields: ['subKeyframes'] }));
+          if (isObject(override) && 'subKeyframes' in override) {
+            errors.push(...validateSubKeyframes(override.subKeyframes, `${overridePath}.subKeyframes`, alignments));
+          }
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Apply a partial keyframe; offsets merge per axis
+ */
+function mergeKeyframe(base, partial = {}) {
+  const { at: _at, subKeyframes: _subKeyframes, ...fields } = partial;
+  return {
+    ...base,
+    ...fields,
+    offset: { ...base.offset, ...fields.offset }
+  };
+}
+
+const lerp = (from, to, t) => from + (to - from) * t;
+
+/**
+ * Scroll Choreography Class
+ */
+export class ScrollChoreography {
+  constructor(config = choreographyConfig) {
+    const errors = validateChoreography(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid scroll choreography:\n- ${errors.join('\n- ')}`);
+    }
+
+    this.version = config.version;
+    this.alignments = config.alignments;
+    this.defaults = config.defaults;
+    this.clipTimePerSection = config.clipTimePerSection;
+    // Narrowest first, so the first max-width the viewport fits wins
+    this.breakpoints = Object.entries(config.breakpoints)
+      .sort(([, a], [, b]) => a - b)
+      .map(([name, maxWidth]) => ({ name, maxWidth }));
+    this.sections = config.sections.map((section, index) => ({ ...section, index }));
+    this.sectionsByKey = new Map(this.sections.map(section => [section.key, section]));
+  }
+
+  /**
+   * Breakpoint name for a viewport width
+   */
+  getBreakpoint(width) {
+    return this.breakpoints.find(({ maxWidth }) => width <= maxWidth)?.name ?? DEFAULT_BREAKPOINT;
+  }
+
+  getSection(key) {
+    return this.sectionsByKey.get(key) ?? null;
+  }
+
+  /**
+   * Scene offset of an alignment keyword
+   */
+  getAlignmentOffset(align) {
+    return this.alignments[align] ?? this.alignments.center;
+  }
+
+  /**
+   * The section's keyframes at a breakpoint: its keyframe at progress 0,
+   * then each sub-keyframe applied on top of the one before
+   */
+  getKeyframes(key, breakpoint = DEFAULT_BREAKPOINT) {
+    const section = this.getSection(key);
+    if (!section) return [];
+
+    const override = section.responsive?.[breakpoint];
+    const base = mergeKeyframe(mergeKeyframe(this.defaults, section.keyframe), override);
+    const subKeyframes = override?.subKeyframes ?? section.subKeyframes ?? [];
+
+    const keyframes = [{ ...base, at: 0 }];
+    subKeyframes.forEach(subKeyframe => {
+      keyframes.push({ ...mergeKeyframe(keyframes[keyframes.length - 1], subKeyframe), at: subKeyframe.at });
+    });
+
+    return keyframes;
+  }
+
+  /**
+   * Pose at a point (0-1) of the section's scroll progress. Numbers are
+   * interpolated between keyframes; alignment, easing and z-index switch
+   * when a keyframe is reached.
+   */
+  getKeyframe(key, { breakpoint = DEFAULT_BREAKPOINT, progress = 0 } = {}) {
+    const keyframes = this.getKeyframes(key, breakpoint);
+    if (keyframes.length === 0) return null;
+
+    const t = Math.min(Math.max(progress, 0), 1);
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.at > t);
+    if (nextIndex === -1) return keyframes[keyframes.length - 1];
+
+    const from = keyframes[nextIndex - 1];
+    const to = keyframes[nextIndex];
+    const local = (t - from.at) / (to.at - from.at);
+
+    return {
+      ...from,
+      at: t,
+      rotation: lerp(from.rotation, to.rotation, local),
+      scale: lerp(from.scale, to.scale, local),
+      offset: {
+        x: lerp(from.offset.x, to.offset.x, local),
+        y: lerp(from.offset.y, to.offset.y, local),
+        z: lerp(from.offset.z, to.offset.z, local)
+      }
+    };
+  }
+
+  /**
+   * Pose keyframes along the page for a scrub timeline. `spans` are the
+   * sections on the page as { key, start, end } scroll positions; each
+   * (sub-)keyframe is placed at its point of the span. Poses carry the
+   * alignment folded into x/y and the wing clip time in seconds (linear in
+   * sections scrolled, counting every span on the page, posed or not);
+   * `ease` is the easing into that keyframe.
+   */
+  getPoseKeyframes(spans, breakpoint = DEFAULT_BREAKPOINT) {
+    const poseKeyframes = [];
+    let position = 0;
+
+    spans.forEach(({ key, start, end }, spanIndex) => {
+      if (!this.getSection(key)) return;
+
+      this.getKeyframes(key, breakpoint).forEach(keyframe => {
+        const alignment = this.getAlignmentOffset(keyframe.align);
+        // Clamped so overlapping spans never run the timeline backwards
+        position = Math.max(position, start + keyframe.at * (end - start));
+        poseKeyframes.push({
+          position,
+          ease: keyframe.easing,
+          pose: {
+            rotation: keyframe.rotation,
+            scale: keyframe.scale,
+            x: alignment.x + keyframe.offset.x,
+            y: alignment.y + keyframe.offset.y,
+            z: keyframe.offset.z,
+            time: (spanIndex + keyframe.at) * this.clipTimePerSection
+          }
+        });
+      });
+    });
+
+    return poseKeyframes;
+  }
+}
+
+// Global instance
+let globalScrollChoreography = null;
+
+/**
+ * Get or create the choreography loaded from the JSON config
+ */
+export function getScrollChoreography() {
+  if (!globalScrollChoreography) {
+    globalScrollChoreography = new ScrollChoreography();
+  }
+  return globalScrollChoreography;
+}
+
+export default getScrollChoreography;
@@ -0,0 +1,176 @@
+import { describe, expect, it } from 'vitest';
+import choreographyConfig from '../constants/scrollChoreography.json';
+import { ScrollChoreography, getScrollChoreography, validateChoreography } from './scrollChoreography';
+
+/**
+ * The shipped config with `sections` replaced
+ */
+function withSections(sections) {
+  return { ...choreographyConfig, sections };
+}
+
+describe('validateChoreography', () => {
+  it('accepts the shipped config', () => {
+    expect(validateChoreography(choreographyConfig)).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    const errors = validateChoreography(withSections([
+      { key: 'hero', keyframe: { rotation: '90', align: 'top' } },
+      { key: 'hero', id: 'home', keyframe: { scale: 0, offset: { w: 1 } }, responsive: { watch: { scale: 1 } } }
+    ]));
+
+    expect(errors).toEqual([
+      'sections[0].keyframe.rotation must be a number',
+      'sections[0].keyframe.align "top" is not one of: center, left, right, center-left',
+      'sections[1].id is not a section field (key, keyframe, subKeyframes, responsive)',
+      'sections[1].key "hero" is used by another section',
+      'sections[1].keyframe.scale must be a positive number',
+      'sections[1].keyframe.offset.w is not an axis (x, y, z)',
+      'sections[1].responsive.watch is not a breakpoint (mobile, tablet, laptop, desktop)'
+    ]);
+  });
+
+  it('requires sub-keyframes in increasing section progress', () => {
+    const errors = validateChoreography(withSections([
+      { key: 'work', keyframe: {}, subKeyframes: [{ at: 0.5 }, { at: 0.5 }, { at: 1.5 }, { scale: 2 }] }
+    ]));
+
+    expect(errors).toEqual([
+      'sections[0].subKeyframes[1].at must be greater than the previous sub-keyframe\'s',
+      'sections[0].subKeyframes[2].at must be a section progress in (0, 1]',
+      'sections[0].subKeyframes[3].at must be a section progress in (0, 1]'
+    ]);
+  });
+
+  it('rejects configs without sections, complete defaults or a clip time', () => {
+    const { easing: _easing, ...defaults } = choreographyConfig.defaults;
+
+    expect(validateChoreography({ ...withSections([]), defaults, clipTimePerSection: 0 })).toEqual([
+      'clipTimePerSection must be a positive number of seconds',
+      'defaults.easing is required',
+      'sections must be a non-empty array'
+    ]);
+  });
+
+  it('throws the problems when loading an invalid config', () => {
+    expect(() => new ScrollChoreography(withSections([{ key: 'about', keyframe: { scale: -1 } }])))
+      .toThrow('Invalid scroll choreography:\n- sections[0].keyframe.scale must be a positive number');
+  });
+});
+
+describe('ScrollChoreography', () => {
+  const choreography = getScrollChoreography();
+
+  it.each([
+    [375, 'mobile'],
+    [640, 'mobile'],
+    [768, 'tablet'],
+    [1280, 'laptop'],
+    [1920, 'desktop']
+  ])('places a %ipx viewport in the %s breakpoint', (width, breakpoint) => {
+    expect(choreography.getBreakpoint(width)).toBe(breakpoint);
+  });
+
+  it('applies overrides for the breakpoint only', () => {
+    expect(choreography.getKeyframe('serviceSummary', { breakpoint: 'mobile' })).toMatchObject({
+      align: 'center',
+      offset: { x: 0, y: 0.1, z: 0.2 },
+      scale: 2
+    });
+    expect(choreography.getKeyframe('serviceSummary', { breakpoint: 'tablet' })).toMatchObject({
+      align: 'left',
+      offset: { x: -0.8, y: 0.1, z: 0.2 }
+    });
+  });
+
+  it('fills keyframe fields from the defaults', () => {
+    const about = new ScrollChoreography(withSections([{ key: 'about', keyframe: { rotation: 45 } }]));
+
+    expect(about.getKeyframe('about')).toEqual({ ...choreographyConfig.defaults, rotation: 45, at: 0 });
+  });
+
+  describe('sub-keyframes', () => {
+    const work = new ScrollChoreography(withSections([{
+      key: 'work',
+      keyframe: { rotation: 0, scale: 1, align: 'left' },
+      subKeyframes: [
+        { at: 0.5, rotation: 90, align: 'right', offset: { x: 1 } },
+        { at: 0.75, scale: 2 }
+      ],
+      responsive: {
+        mobile: { subKeyframes: [{ at: 1, rotation: 180 }] }
+      }
+    }]));
+
+    it('interpolates numbers between keyframes', () => {
+      expect(work.getKeyframe('work', { progress: 0.25 })).toMatchObject({ rotation: 45, scale: 1, offset: { x: 0.5, y: 0, z: 0 } });
+      expect(work.getKeyframe('work', { progress: 0.625 })).toMatchObject({ rotation: 90, scale: 1.5 });
+    });
+
+    it('switches the alignment when a keyframe is reached', () => {
+      expect(work.getKeyframe('work', { progress: 0.49 }).align).toBe('left');
+      expect(work.getKeyframe('work', { progress: 0.5 }).align).toBe('right');
+    });
+
+    it('holds the last keyframe to the end of the section', () => {
+      expect(work.getKeyframe('work', { progress: 1 })).toMatchObject({ rotation: 90, scale: 2, align: 'right', at: 0.75 });
+    });
+
+    it('uses the breakpoint\'s sub-keyframes when it has its own', () => {
+      expect(work.getKeyframe('work', { breakpoint: 'mobile', progress: 0.5 })).toMatchObject({ rotation: 90, align: 'left' });
+    });
+  });
+});
+
+describe('getPoseKeyframes', () => {
+  const choreography = getScrollChoreography();
+
+  it('places each section\'s pose at its scroll position with the alignment folded in', () => {
+    const keyframes = choreography.getPoseKeyframes([
+      { key: 'hero', start: 0, end: 800 },
+      { key: 'serviceSummary', start: 800, end: 2000 }
+    ]);
+
+    expect(keyframes).toEqual([
+      { position: 0, ease: 'power2.out', pose: { rotation: 0, scale: 1.5, x: 0, y: 0, z: 0, time: 0 } },
+      { position: 800, ease: 'power2.inOut', pose: { rotation: 90, scale: 2, x: -2, y: 0.1, z: 0.2, time: 2 } }
+    ]);
+  });
+
+  it('uses the breakpoint\'s keyframes', () => {
+    const [keyframe] = choreography.getPoseKeyframes([{ key: 'services', start: 0, end: 100 }], 'mobile');
+
+    expect(keyframe.pose).toMatchObject({ x: 0, y: 0.2 });
+  });
+
+  it('spreads sub-keyframes and the clip time over the section\'s span', () => {
+    const work = new ScrollChoreography(withSections([
+      { key: 'work', keyframe: { align: 'right' }, subKeyframes: [{ at: 0.5, rotation: 90 }, { at: 1, scale: 2 }] }
+    ]));
+
+    expect(work.getPoseKeyframes([{ key: 'work', start: 1000, end: 2000 }]).map(({ position, pose }) => [position, pose.rotation, pose.scale, pose.x, pose.time]))
+      .toEqual([[1000, 0, 1, 1.2, 0], [1500, 90, 1, 1.2, 1], [2000, 90, 2, 1.2, 2]]);
+  });
+
+  it('advances the clip time by the section\'s place on the page', () => {
+    const keyframes = choreography.getPoseKeyframes([
+      { key: 'hero', start: 0, end: 800 },
+      // Registered but not posed: scrolled through, so the wings keep flapping
+      { key: 'about', start: 800, end: 1600 },
+      { key: 'contact', start: 1600, end: 2400 }
+    ]);
+
+    expect(keyframes.map(({ position, pose }) => [position, pose.time])).toEqual([[0, 0], [1600, 4]]);
+  });
+
+  it('never moves backwards along the page and skips unknown sections', () => {
+    const keyframes = choreography.getPoseKeyframes([
+      { key: 'hero', start: 500, end: 500 },
+      { key: 'about', start: 600, end: 900 },
+      { key: 'contact', start: 400, end: 400 }
+    ]);
+
+    expect(keyframes.map(({ position }) => position)).toEqual([500, 500]);
+  });
+});
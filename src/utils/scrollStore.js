@@ -0,0 +1,186 @@
+/**
+ * Scroll Store
+ * One scroll and section state for the whole app: the current section, the
+ * progress through it and through the page, scroll direction and velocity.
+ * A single ScrollTrigger feeds it; components read it with useScrollStore
+ * (re-rendering only when their selected value changes) or getState() in
+ * frame loops.
+ */
+
+import { useSyncExternalStore } from 'react';
+import gsap from 'gsap';
+import { ScrollTrigger } from 'gsap/all';
+import { useLenis } from 'lenis/react';
+import { getSectionRegistry } from './sectionRegistry';
+
+// A section starts when its top crosses the middle of the viewport
+export const SECTION_ANCHOR = 0.5;
+
+const INITIAL_STATE = {
+  section: null,
+  sectionIndex: 0,
+  sectionProgress: 0,
+  progress: 0,
+  scroll: 0,
+  direction: 0,
+  velocity: 0,
+  isScrolling: false
+};
+
+/**
+ * Scroll spans of the registered sections, in page order; each runs from its
+ * anchor to the next section's (the last to the end of the page)
+ */
+export function measureSectionSpans(maxScroll, registry = getSectionRegistry()) {
+  const anchor = window.innerHeight * SECTION_ANCHOR;
+  const starts = registry.getSections()
+    .map(({ key }) => ({ key, element: registry.getElement(key) }))
+    .filter(({ element }) => element)
+    .map(({ key, element }) => {
+      const top = element.getBoundingClientRect().top + window.scrollY;
+      return { key, start: Math.min(Math.max(top - anchor, 0), maxScroll) };
+    });
+
+  return starts.map((span, index) => ({ ...span, end: starts[index + 1]?.start ?? maxScroll }));
+}
+
+/**
+ * Scroll Store Class
+ */
+export class ScrollStore {
+  constructor({ registry = getSectionRegistry() } = {}) {
+    this.registry = registry;
+    this.state = INITIAL_STATE;
+    this.spans = [];
+    this.maxScroll = 0;
+    this.listeners = new Set();
+    this.trigger = null;
+    this.unsubscribeRegistry = null;
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getState = this.getState.bind(this);
+    this.handleScrollEnd = this.handleScrollEnd.bind(this);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Listen for state changes; the first listener starts tracking the scroll
+   * position and the last one to leave stops it
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (this.listeners.size === 1) this.connect();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.disconnect();
+    };
+  }
+
+  connect() {
+    if (this.trigger || typeof window === 'undefined') return;
+
+    gsap.registerPlugin(ScrollTrigger);
+    this.trigger = ScrollTrigger.create({
+      start: 0,
+      end: 'max',
+      onUpdate: (self) => this.update({
+        scroll: self.scroll(),
+        direction: self.direction,
+        velocity: self.getVelocity(),
+        isScrolling: true
+      }),
+      onRefresh: () => this.measure()
+    });
+    ScrollTrigger.addEventListener('scrollEnd', this.handleScrollEnd);
+    this.unsubscribeRegistry = this.registry.subscribe(() => this.measure());
+    this.measure();
+  }
+
+  disconnect() {
+    this.trigger?.kill();
+    this.trigger = null;
+    ScrollTrigger.removeEventListener('scrollEnd', this.handleScrollEnd);
+    this.unsubscribeRegistry?.();
+    this.unsubscribeRegistry = null;
+  }
+
+  handleScrollEnd() {
+    this.update({ velocity: 0, isScrolling: false });
+  }
+
+  /**
+   * Re-read the section positions after layout changes
+   */
+  measure() {
+    const maxScroll = ScrollTrigger.maxScroll(window);
+    this.setSpans(measureSectionSpans(maxScroll, this.registry), maxScroll);
+    this.update({ scroll: window.scrollY });
+  }
+
+  setSpans(spans, maxScroll) {
+    this.spans = spans;
+    this.maxScroll = maxScroll;
+  }
+
+  /**
+   * Merge scroll readings and derive the section from the measured spans.
+   * Listeners are only called when something changed.
+   */
+  update(reading) {
+    const next = { ...this.state, ...reading };
+
+    // The last section whose start has been passed; the first one before that
+    const spanIndex = Math.max(this.spans.findLastIndex(span => next.scroll >= span.start), 0);
+    const span = this.spans[spanIndex];
+    if (span) {
+      next.section = span.key;
+      next.sectionIndex = spanIndex;
+      next.sectionProgress = span.end > span.start
+        ? Math.min(Math.max((next.scroll - span.start) / (span.end - span.start), 0), 1)
+        : 1;
+    }
+    next.progress = this.maxScroll > 0 ? Math.min(Math.max(next.scroll / this.maxScroll, 0), 1) : 0;
+
+    if (Object.keys(next).every(key => next[key] === this.state[key])) return;
+
+    this.state = next;
+    this.listeners.forEach(listener => listener(next));
+  }
+}
+
+// Global instance
+let globalScrollStore = null;
+
+/**
+ * Get or create the global scroll store
+ */
+export function getScrollStore() {
+  if (!globalScrollStore) {
+    globalScrollStore = new ScrollStore();
+  }
+  return globalScrollStore;
+}
+
+/**
+ * React hook: scroll state, or the part of it picked by `selector`. Select
+ * primitives (or values that keep their identity) to re-render only when
+ * they change.
+ */
+export function useScrollStore(selector = state => state) {
+  const store = getScrollStore();
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+}
+
+/**
+ * React hook: keep ScrollTrigger in step with Lenis, which moves the page on
+ * its own frame loop. Call once inside the app.
+ */
+export function useLenisScrollSync() {
+  useLenis(ScrollTrigger.update);
+}
+
+export default getScrollStore;
@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SectionRegistry } from './sectionRegistry';
+import { ScrollStore, measureSectionSpans } from './scrollStore';
+
+const SPANS = [
+  { key: 'hero', start: 0, end: 600 },
+  { key: 'services', start: 600, end: 1600 },
+  { key: 'contact', start: 1600, end: 2000 }
+];
+
+/**
+ * Sections at fixed page offsets: { key: top }
+ */
+function createPage(tops) {
+  const registry = new SectionRegistry();
+  Object.entries(tops).forEach(([key, top], order) => {
+    const element = document.createElement('section');
+    element.id = key;
+    element.getBoundingClientRect = () => ({ top: top - window.scrollY });
+    document.body.appendChild(element);
+    registry.register({ key, order });
+  });
+  return registry;
+}
+
+describe('measureSectionSpans', () => {
+  beforeEach(() => {
+    vi.spyOn(window, 'innerHeight', 'get').mockReturnValue(800);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('starts each section as its top crosses the middle of the viewport', () => {
+    const registry = createPage({ hero: 0, services: 1000, contact: 2000 });
+
+    expect(measureSectionSpans(2000, registry)).toEqual(SPANS);
+  });
+
+  it('skips registered sections that are not on the page', () => {
+    const registry = createPage({ hero: 0, contact: 2400 });
+    registry.register({ key: 'about', order: 1 });
+
+    expect(measureSectionSpans(2000, registry).map(({ key }) => key)).toEqual(['hero', 'contact']);
+  });
+});
+
+describe('ScrollStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new ScrollStore({ registry: new SectionRegistry() });
+    store.setSpans(SPANS, 2000);
+  });
+
+  it('derives the section and progress through it from the scroll position', () => {
+    store.update({ scroll: 1100 });
+
+    expect(store.getState()).toMatchObject({ section: 'services', sectionIndex: 1, sectionProgress: 0.5, progress: 0.55 });
+
+    store.update({ scroll: 2000 });
+
+    expect(store.getState()).toMatchObject({ section: 'contact', sectionProgress: 1, progress: 1 });
+  });
+
+  it('reports direction and velocity until the scroll ends', () => {
+    store.update({ scroll: 300, direction: -1, velocity: -1200, isScrolling: true });
+    expect(store.getState()).toMatchObject({ section: 'hero', direction: -1, velocity: -1200, isScrolling: true });
+
+    store.handleScrollEnd();
+    expect(store.getState()).toMatchObject({ direction: -1, velocity: 0, isScrolling: false });
+  });
+
+  it('only notifies listeners when the state changes', () => {
+    const listener = vi.fn();
+    store.listeners.add(listener);
+
+    store.update({ scroll: 100 });
+    store.update({ scroll: 100 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(store.getState());
+  });
+
+  it('replaces the state object on every change', () => {
+    const before = store.getState();
+    store.update({ scroll: 700 });
+
+    expect(store.getState()).not.toBe(before);
+    expect(before.section).toBeNull();
+  });
+});
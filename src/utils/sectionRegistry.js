@@ -0,0 +1,118 @@
+/**
+ * Section Registry
+ * Page sections register themselves with a key, DOM id, label and order.
+ * The Navbar, the scroll choreography and deep links read the registered
+ * sections instead of keeping their own id and key tables.
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+
+/**
+ * Section Registry Class
+ */
+export class SectionRegistry {
+  constructor() {
+    this.sections = new Map();
+    this.listeners = new Set();
+    // Sorted copy, replaced on every change so subscribers can compare by identity
+    this.snapshot = [];
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getSections = this.getSections.bind(this);
+  }
+
+  /**
+   * Register a section; returns a function that unregisters it
+   */
+  register({ key, id = key, label = key, order = 0, nav = true }) {
+    if (!key) {
+      throw new Error('Sections must be registered with a key');
+    }
+
+    const existing = this.sections.get(key);
+    if (existing && existing.id !== id) {
+      console.warn(`Section "${key}" re-registered with id "${id}" (was "${existing.id}")`);
+    }
+
+    const section = { key, id, label, order, nav };
+    this.sections.set(key, section);
+    this.emitChange();
+
+    return () => {
+      // A newer registration under the same key stays
+      if (this.sections.get(key) === section) {
+        this.sections.delete(key);
+        this.emitChange();
+      }
+    };
+  }
+
+  /**
+   * Registered sections in page order
+   */
+  getSections() {
+    return this.snapshot;
+  }
+
+  getSection(key) {
+    return this.sections.get(key) ?? null;
+  }
+
+  /**
+   * Section registered for a DOM id (or URL hash)
+   */
+  getSectionById(id) {
+    return this.snapshot.find(section => section.id === id) ?? null;
+  }
+
+  /**
+   * The section's element, once it is in the document
+   */
+  getElement(key) {
+    const section = this.getSection(key);
+    return section ? document.getElementById(section.id) : null;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emitChange() {
+    this.snapshot = [...this.sections.values()].sort((a, b) => a.order - b.order);
+    this.listeners.forEach(listener => listener(this.snapshot));
+  }
+}
+
+// Global instance
+let globalSectionRegistry = null;
+
+/**
+ * Get or create the global section registry
+ */
+export function getSectionRegistry() {
+  if (!globalSectionRegistry) {
+    globalSectionRegistry = new SectionRegistry();
+  }
+  return globalSectionRegistry;
+}
+
+/**
+ * React hook: registered sections in page order
+ */
+export function useSections() {
+  const registry = getSectionRegistry();
+  return useSyncExternalStore(registry.subscribe, registry.getSections);
+}
+
+/**
+ * React hook: register the calling component's section while it is mounted.
+ * Returns the props for its <section> element.
+ */
+export function useSectionRegistration({ key, id = key, label = key, order = 0, nav = true }) {
+  useEffect(() => getSectionRegistry().register({ key, id, label, order, nav }), [key, id, label, order, nav]);
+
+  return { id, 'data-section': key };
+}
+
+export default getSectionRegistry;
@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SectionRegistry } from './sectionRegistry';
+
+describe('SectionRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new SectionRegistry();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('lists sections in order, whatever order they register in', () => {
+    registry.register({ key: 'contact', order: 7 });
+    registry.register({ key: 'hero', id: 'home', label: 'home', order: 1 });
+    registry.register({ key: 'serviceSummary', id: 'service-summary', order: 2, nav: false });
+
+    expect(registry.getSections()).toEqual([
+      { key: 'hero', id: 'home', label: 'home', order: 1, nav: true },
+      { key: 'serviceSummary', id: 'service-summary', label: 'serviceSummary', order: 2, nav: false },
+      { key: 'contact', id: 'contact', label: 'contact', order: 7, nav: true }
+    ]);
+  });
+
+  it('finds sections by key, DOM id and element', () => {
+    document.body.innerHTML = '<section id="contact-summary"></section>';
+    registry.register({ key: 'contactSummary', id: 'contact-summary', order: 6 });
+
+    expect(registry.getSection('contactSummary').id).toBe('contact-summary');
+    expect(registry.getSectionById('contact-summary').key).toBe('contactSummary');
+    expect(registry.getElement('contactSummary')).toBe(document.getElementById('contact-summary'));
+    expect(registry.getSectionById('about')).toBeNull();
+    expect(registry.getElement('about')).toBeNull();
+  });
+
+  it('notifies subscribers with a new snapshot on every change', () => {
+    const listener = vi.fn();
+    registry.subscribe(listener);
+
+    const unregister = registry.register({ key: 'about', order: 4 });
+    const snapshot = registry.getSections();
+    unregister();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenNthCalledWith(1, snapshot);
+    expect(registry.getSections()).toEqual([]);
+    expect(registry.getSections()).not.toBe(snapshot);
+  });
+
+  it('keeps a newer registration under the same key when the older one unregisters', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const unregisterOld = registry.register({ key: 'work', order: 5 });
+    registry.register({ key: 'work', id: 'projects', order: 5 });
+
+    unregisterOld();
+
+    expect(registry.getSection('work').id).toBe('projects');
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('requires a key', () => {
+    expect(() => registry.register({ id: 'home' })).toThrow('Sections must be registered with a key');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Section Router
+ * Hash routing over the section registry: /#services opens on the services
+ * section. Navigating pushes a history entry and scrolls with Lenis, reading
+ * the page replaces the hash as sections go by, and back/forward scroll to
+ * the section in the URL. document.title follows the current section.
+ */
+
+import { useEffect } from 'react';
+import { useLenis } from 'lenis/react';
+import { getSectionRegistry } from './sectionRegistry';
+import { getScrollStore } from './scrollStore';
+
+// Matches the Navbar's previous react-scroll duration
+const NAVIGATION_DURATION = 2;
+
+const capitalize = text => text.replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Section Router Class
+ */
+export class SectionRouter {
+  constructor({ registry = getSectionRegistry(), store = getScrollStore(), win = window } = {}) {
+    this.registry = registry;
+    this.store = store;
+    this.window = win;
+    this.baseTitle = win.document.title;
+    this.lenis = null;
+    // Section being scrolled to; sections passed on the way are not routed
+    this.navigatingTo = null;
+    this.currentSection = null;
+
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  /**
+   * URL hash for a section; the first section is the bare page
+   */
+  getHash(key) {
+    const section = this.registry.getSection(key);
+    if (!section || section === this.registry.getSections()[0]) return '';
+    return `#${section.id}`;
+  }
+
+  getHref(key) {
+    const { pathname, search } = this.window.location;
+    return `${pathname}${search}${this.getHash(key)}`;
+  }
+
+  /**
+   * Section key for a URL hash ('' and unknown ids give the first section)
+   */
+  resolve(hash) {
+    const id = decodeURIComponent(hash.replace(/^#/, ''));
+    const section = (id && this.registry.getSectionById(id)) || this.registry.getSections()[0];
+    return section?.key ?? null;
+  }
+
+  getTitle(key) {
+    const section = this.registry.getSection(key);
+    if (!section || !this.getHash(key)) return this.baseTitle;
+    return `${capitalize(section.label)} | ${this.baseTitle}`;
+  }
+
+  /**
+   * Show `key` in the URL and title; `push` adds a history entry
+   */
+  setRoute(key, { push = false } = {}) {
+    this.currentSection = key;
+    this.window.document.title = this.getTitle(key);
+
+    const href = this.getHref(key);
+    const { history, location } = this.window;
+    if (href === `${location.pathname}${location.search}${location.hash}`) return;
+
+    if (push) history.pushState({ section: key }, '', href);
+    else history.replaceState({ section: key }, '', href);
+  }
+
+  /**
+   * Scroll to a section; `immediate` jumps without animating
+   */
+  scrollTo(key, { immediate = false } = {}) {
+    const element = this.registry.getElement(key);
+    if (!element) return;
+
+    this.navigatingTo = immediate ? null : key;
+    const onComplete = () => {
+      if (this.navigatingTo === key) this.navigatingTo = null;
+    };
+
+    if (this.lenis) {
+      this.lenis.scrollTo(element, { immediate, duration: NAVIGATION_DURATION, force: true, onComplete });
+    } else {
+      element.scrollIntoView({ behavior: immediate ? 'auto' : 'smooth', block: 'start' });
+      if (immediate) onComplete();
+    }
+  }
+
+  /**
+   * Navigate to a section, adding a history entry
+   */
+  navigate(key) {
+    if (!this.registry.getSection(key)) return;
+    this.setRoute(key, { push: true });
+    this.scrollTo(key);
+  }
+
+  handlePopState() {
+    const key = this.resolve(this.window.location.hash);
+    if (!key) return;
+    this.currentSection = key;
+    this.window.document.title = this.getTitle(key);
+    this.scrollTo(key);
+  }
+
+  /**
+   * Route the section being read, once any navigation has finished
+   */
+  handleScroll({ section, isScrolling }) {
+    if (this.navigatingTo && !isScrolling) this.navigatingTo = null;
+    if (this.navigatingTo || !section || section === this.currentSection) return;
+    this.setRoute(section);
+  }
+
+  /**
+   * Open the section in the URL and start routing; returns a stop function
+   */
+  start({ lenis = null } = {}) {
+    this.lenis = lenis;
+
+    // A bare URL keeps the scroll position; a section hash jumps straight there
+    const { hash } = this.window.location;
+    const key = this.resolve(hash);
+    if (key) {
+      this.setRoute(key);
+      if (hash) this.scrollTo(key, { immediate: true });
+    }
+
+    this.window.addEventListener('popstate', this.handlePopState);
+    const unsubscribe = this.store.subscribe(this.handleScroll);
+
+    return () => {
+      this.window.removeEventListener('popstate', this.handlePopState);
+      unsubscribe();
+      this.lenis = null;
+    };
+  }
+}
+
+// Global instance
+let globalSectionRouter = null;
+
+/**
+ * Get or create the global section router
+ */
+export function getSectionRouter() {
+  if (!globalSectionRouter) {
+    globalSectionRouter = new SectionRouter();
+  }
+  return globalSectionRouter;
+}
+
+/**
+ * React hook: route sections while `enabled` (once the page has loaded, so
+ * deep links land on laid-out sections)
+ */
+export function useSectionRouting({ enabled = true } = {}) {
+  const lenis = useLenis();
+
+  useEffect(() => {
+    if (!enabled) return;
+    return getSectionRouter().start({ lenis });
+  }, [enabled, lenis]);
+}
+
+export default getSectionRouter;
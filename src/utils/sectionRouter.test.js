@@ -0,0 +1,148 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SectionRegistry } from './sectionRegistry';
+import { SectionRouter } from './sectionRouter';
+
+/**
+ * Scroll store stand-in that the test drives with emit()
+ */
+function createStore() {
+  const listeners = new Set();
+  return {
+    subscribe: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit: state => listeners.forEach(listener => listener({ isScrolling: false, ...state }))
+  };
+}
+
+/**
+ * Lenis stand-in; scrolls finish when the test calls finish()
+ */
+function createLenis() {
+  const lenis = {
+    scrolls: [],
+    scrollTo: vi.fn((element, options) => lenis.scrolls.push({ element, ...options })),
+    finish: () => lenis.scrolls.at(-1).onComplete()
+  };
+  return lenis;
+}
+
+describe('SectionRouter', () => {
+  let registry;
+  let store;
+  let lenis;
+  let router;
+  let stop;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    document.title = 'YNZ';
+    document.body.innerHTML = ['home', 'service-summary', 'services', 'contact'].map(id => `<section id="${id}"></section>`).join('');
+
+    registry = new SectionRegistry();
+    registry.register({ key: 'hero', id: 'home', label: 'home', order: 1 });
+    registry.register({ key: 'serviceSummary', id: 'service-summary', label: 'service summary', order: 2, nav: false });
+    registry.register({ key: 'services', label: 'services', order: 3 });
+    registry.register({ key: 'contact', label: 'contact', order: 7 });
+
+    store = createStore();
+    lenis = createLenis();
+    router = new SectionRouter({ registry, store });
+  });
+
+  afterEach(() => {
+    stop?.();
+    stop = null;
+    document.body.innerHTML = '';
+  });
+
+  it('links the first section to the bare page and the rest to their ids', () => {
+    expect(router.getHref('hero')).toBe('/');
+    expect(router.getHref('services')).toBe('/#services');
+    expect(router.resolve('#service-summary')).toBe('serviceSummary');
+    expect(router.resolve('#nowhere')).toBe('hero');
+    expect(router.resolve('')).toBe('hero');
+  });
+
+  it('opens on the section in the URL without animating', () => {
+    window.history.replaceState(null, '', '/#contact');
+
+    stop = router.start({ lenis });
+
+    expect(lenis.scrollTo).toHaveBeenCalledWith(document.getElementById('contact'), expect.objectContaining({ immediate: true }));
+    expect(document.title).toBe('Contact | YNZ');
+  });
+
+  it('drops the hash for the first section', () => {
+    window.history.replaceState(null, '', '/#home');
+
+    stop = router.start({ lenis });
+
+    expect(window.location.hash).toBe('');
+    expect(document.title).toBe('YNZ');
+  });
+
+  it('pushes a history entry per navigation and ignores the sections passed on the way', () => {
+    stop = router.start({ lenis });
+    const entries = window.history.length;
+
+    router.navigate('contact');
+    store.emit({ section: 'services', isScrolling: true });
+
+    expect(window.history.length).toBe(entries + 1);
+    expect(window.location.hash).toBe('#contact');
+    expect(lenis.scrolls.at(-1)).toMatchObject({ element: document.getElementById('contact'), immediate: false });
+
+    lenis.finish();
+    store.emit({ section: 'contact' });
+
+    expect(window.location.hash).toBe('#contact');
+    expect(document.title).toBe('Contact | YNZ');
+  });
+
+  it('replaces the hash and title as sections are scrolled into', () => {
+    stop = router.start({ lenis });
+    const entries = window.history.length;
+
+    store.emit({ section: 'serviceSummary', isScrolling: true });
+
+    expect(window.location.hash).toBe('#service-summary');
+    expect(document.title).toBe('Service Summary | YNZ');
+    expect(window.history.length).toBe(entries);
+  });
+
+  it('routes the section reached when a navigation is interrupted', () => {
+    stop = router.start({ lenis });
+
+    router.navigate('contact');
+    store.emit({ section: 'services', isScrolling: false });
+
+    expect(window.location.hash).toBe('#services');
+  });
+
+  it('scrolls to the section in the URL on back and forward', () => {
+    stop = router.start({ lenis });
+    router.navigate('services');
+    lenis.finish();
+
+    window.history.replaceState(null, '', '/#contact');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(lenis.scrolls.at(-1)).toMatchObject({ element: document.getElementById('contact'), immediate: false });
+    expect(document.title).toBe('Contact | YNZ');
+  });
+
+  it('stops listening when stopped', () => {
+    stop = router.start({ lenis });
+    stop();
+    stop = null;
+
+    store.emit({ section: 'services' });
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(window.location.hash).toBe('');
+    expect(lenis.scrollTo).not.toHaveBeenCalled();
+  });
+});
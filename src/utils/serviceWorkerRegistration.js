@@ -0,0 +1,67 @@
+/**
+ * Service Worker Registration
+ * Registers the generated service worker (production builds only), reports
+ * updates waiting to activate and asks the worker to cache this device's model tiers
+ */
+
+import { getModelMemoryManager } from './modelMemoryManager';
+import { getManifestHash } from './modelRegistry';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Ask the active worker to cache the phoenix tiers (in this device's texture
+ * variant) that it loads progressively
+ */
+export function precacheDeviceModels(worker, modelId = 'phoenix') {
+  const memoryManager = getModelMemoryManager();
+  const urls = memoryManager.getProgressiveTiers(modelId)
+    .map(quality => memoryManager.resolveTierUrl(modelId, quality))
+    .filter(Boolean);
+
+  if (worker && urls.length > 0) {
+    worker.postMessage({ type: 'PRECACHE_MODELS', urls, version: getManifestHash() });
+  }
+}
+
+/**
+ * Register the service worker. onUpdateAvailable receives the waiting worker
+ * when a new version has installed alongside the one controlling the page.
+ */
+export async function registerServiceWorker({ onUpdateAvailable = null } = {}) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null;
+
+  try {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+    // Without a controller this is the first install, not an update
+    const reportWhenInstalled = (worker) => {
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          onUpdateAvailable?.(worker);
+        }
+      });
+    };
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdateAvailable?.(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => reportWhenInstalled(registration.installing));
+
+    const readyRegistration = await navigator.serviceWorker.ready;
+    precacheDeviceModels(readyRegistration.active);
+
+    return registration;
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Activate a waiting worker and reload once it controls the page
+ */
+export function applyServiceWorkerUpdate(worker) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
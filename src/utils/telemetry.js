@@ -0,0 +1,400 @@
+/**
+ * Telemetry Exporter
+ * Batches performance reports and sends them to a collector through an
+ * adapter (generic JSON or OpenTelemetry logs). Reports are sampled per
+ * session, scrubbed of identifying device strings, queued in localStorage
+ * while offline, and flushed with navigator.sendBeacon on pagehide.
+ */
+
+const QUEUE_STORAGE_KEY = 'ynz3d-telemetry-queue';
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_FLUSH_INTERVAL = 60000; // ms
+const DEFAULT_MAX_QUEUE_SIZE = 50;
+// Deeper report nesting is cut off rather than sent
+const MAX_SCRUB_DEPTH = 8;
+
+// Keys whose values are hardware or browser strings that can identify a device
+const DEVICE_STRING_KEYS = new Set(['renderer', 'vendor', 'userAgent']);
+const VERSION_KEYS = new Set(['browserVersion', 'osVersion']);
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>]+/g;
+
+// Report sources collected on pagehide, by report type
+const reportSources = new Map();
+
+/**
+ * Reduce a GPU or user agent string to its model: hex device ids and shader
+ * models are removed and full versions cut to their major number
+ */
+export function scrubDeviceString(value) {
+  return value
+    .replace(/\(0x[0-9a-f]+\)|0x[0-9a-f]+/gi, '')
+    .replace(/\b(?:vs|ps)_\d+_\d+\b/gi, '')
+    .replace(/\b(\d+)(?:\.\d+){2,}\b/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+(?=[,)])/g, '')
+    .trim();
+}
+
+/**
+ * Strip query strings and fragments (tokens, ids) from URLs and mask emails
+ */
+function scrubText(value) {
+  return value
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(URL_PATTERN, url => url.split(/[?#]/)[0]);
+}
+
+/**
+ * Copy of a report that is safe to send: device strings are reduced to the
+ * hardware model, versions to their major number, and free text loses
+ * emails and URL parameters. Functions and DOM nodes are dropped.
+ */
+export function scrubReport(value, key = null, depth = 0) {
+  if (typeof value === 'string') {
+    if (DEVICE_STRING_KEYS.has(key)) return scrubDeviceString(value);
+    if (VERSION_KEYS.has(key)) return value.split('.')[0];
+    return scrubText(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+
+  if (depth >= MAX_SCRUB_DEPTH || (typeof Node !== 'undefined' && value instanceof Node)) {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => scrubReport(item, null, depth + 1));
+  }
+
+  const scrubbed = {};
+  Object.entries(value).forEach(([entryKey, entryValue]) => {
+    const result = scrubReport(entryValue, entryKey, depth + 1);
+    if (result !== undefined) scrubbed[entryKey] = result;
+  });
+  return scrubbed;
+}
+
+/**
+ * Adapter for a collector accepting one JSON document per batch:
+ * { resource, reports: [{ type, timestamp, report }] }
+ */
+export function createJSONAdapter({ url, headers = {} }) {
+  return {
+    url,
+    headers,
+    contentType: 'application/json',
+    format: (batch, resource) => JSON.stringify({ resource, reports: batch })
+  };
+}
+
+/**
+ * OTLP attribute value for a primitive
+ */
+function toOTelValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Flatten a report's primitive leaves into dotted OTLP attributes. Arrays are
+ * left to the record body.
+ */
+function toOTelAttributes(value, prefix = '', attributes = []) {
+  Object.entries(value || {}).forEach(([key, entry]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+
+    if (entry === null || entry === undefined || Array.isArray(entry)) return;
+    if (typeof entry === 'object') {
+      toOTelAttributes(entry, name, attributes);
+    } else {
+      attributes.push({ key: name, value: toOTelValue(entry) });
+    }
+  });
+  return attributes;
+}
+
+/**
+ * Adapter for an OpenTelemetry collector's OTLP/HTTP JSON logs endpoint
+ * (usually /v1/logs). Each report becomes a log record with the report as
+ * its body and its numeric and string fields as attributes.
+ */
+export function createOTelAdapter({ url, headers = {}, scopeName = 'ynz3d.performance' }) {
+  return {
+    url,
+    headers,
+    contentType: 'application/json',
+    format: (batch, resource) => JSON.stringify({
+      resourceLogs: [{
+        resource: { attributes: toOTelAttributes(resource) },
+        scopeLogs: [{
+          scope: { name: scopeName },
+          logRecords: batch.map(({ type, timestamp, report }) => ({
+            timeUnixNano: `${timestamp}000000`,
+            severityText: 'INFO',
+            body: { stringValue: JSON.stringify(report) },
+            attributes: [
+              { key: 'report.type', value: { stringValue: type } },
+              ...toOTelAttributes(report, 'report')
+            ]
+          }))
+        }]
+      }]
+    })
+  };
+}
+
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function createSessionId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Telemetry Exporter Class
+ */
+export class TelemetryExporter {
+  constructor({
+    adapter,
+    sampleRate = 1,
+    sampleRates = {},
+    batchSize = DEFAULT_BATCH_SIZE,
+    flushInterval = DEFAULT_FLUSH_INTERVAL,
+    maxQueueSize = DEFAULT_MAX_QUEUE_SIZE,
+    resource = {},
+    storage = getDefaultStorage(),
+    random = Math.random
+  }) {
+    this.adapter = adapter;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxQueueSize = maxQueueSize;
+    this.storage = storage;
+    this.resource = { sessionId: createSessionId(), ...resource };
+    this.queue = [];
+    this.flushTimer = null;
+    this.sending = null;
+
+    // Sampling is decided once per session and report type, so a sampled
+    // session sends all of its reports
+    this.sampleRate = sampleRate;
+    this.sampleRates = sampleRates;
+    this.random = random;
+    this.sampled = new Map();
+
+    this.handlePageHide = () => this.flushOnPageHide();
+    this.handleOnline = () => this.flush();
+  }
+
+  /**
+   * Whether reports of a type are sent from this session
+   */
+  isSampled(type) {
+    if (!this.sampled.has(type)) {
+      const rate = this.sampleRates[type] ?? this.sampleRate;
+      this.sampled.set(type, this.random() < rate);
+    }
+    return this.sampled.get(type);
+  }
+
+  /**
+   * Queue a report. Returns false when the session is not sampled for its type.
+   */
+  export(type, report) {
+    if (!this.isSampled(type)) return false;
+
+    this.queue.push({ type, timestamp: Date.now(), report: scrubReport(report) });
+    if (this.queue.length >= this.batchSize) this.flush();
+    return true;
+  }
+
+  /**
+   * Send queued reports, including those stored while offline. Failed batches
+   * go back to the offline queue.
+   */
+  async flush() {
+    if (this.sending) await this.sending;
+
+    const batch = this.takeBatch();
+    if (batch.length === 0) return true;
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.storeOffline(batch);
+      return false;
+    }
+
+    this.sending = this.send(batch).finally(() => {
+      this.sending = null;
+    });
+    return this.sending;
+  }
+
+  async send(batch) {
+    try {
+      const response = await fetch(this.adapter.url, {
+        method: 'POST',
+        headers: { 'Content-Type': this.adapter.contentType, ...this.adapter.headers },
+        body: this.adapter.format(batch, this.resource),
+        keepalive: true
+      });
+      if (!response.ok) throw new Error(`Collector responded ${response.status}`);
+      return true;
+    } catch (error) {
+      console.warn('Telemetry export failed, queued for retry:', error.message);
+      this.storeOffline(batch);
+      return false;
+    }
+  }
+
+  /**
+   * Last chance before the page is unloaded or frozen: collect the registered
+   * sources and hand everything to sendBeacon, which outlives the page
+   */
+  flushOnPageHide() {
+    reportSources.forEach((getReport, type) => {
+      try {
+        this.export(type, getReport());
+      } catch (error) {
+        console.warn(`Telemetry source ${type} failed:`, error);
+      }
+    });
+
+    const batch = this.takeBatch();
+    if (batch.length === 0) return;
+
+    let sent = false;
+    try {
+      const body = new Blob([this.adapter.format(batch, this.resource)], { type: this.adapter.contentType });
+      sent = navigator.sendBeacon?.(this.adapter.url, body) ?? false;
+    } catch {
+      sent = false;
+    }
+
+    if (!sent) this.storeOffline(batch);
+  }
+
+  /**
+   * Queued reports plus any stored offline, oldest first
+   */
+  takeBatch() {
+    const batch = [...this.loadOffline(), ...this.queue];
+    this.queue = [];
+    this.clearOffline();
+    return batch.slice(-this.maxQueueSize);
+  }
+
+  loadOffline() {
+    try {
+      return JSON.parse(this.storage?.getItem(QUEUE_STORAGE_KEY) || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Keep a batch for the next flush; the oldest reports are dropped past maxQueueSize
+   */
+  storeOffline(batch) {
+    const queue = [...this.loadOffline(), ...batch].slice(-this.maxQueueSize);
+
+    try {
+      this.storage?.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    } catch {
+      // Storage full or unavailable: keep the batch in memory instead
+      this.queue = [...queue, ...this.queue].slice(-this.maxQueueSize);
+    }
+  }
+
+  clearOffline() {
+    try {
+      this.storage?.removeItem(QUEUE_STORAGE_KEY);
+    } catch {
+      // Nothing stored
+    }
+  }
+
+  /**
+   * Flush periodically, when connectivity returns and on pagehide. Reports
+   * stored by an earlier visit are sent right away.
+   */
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+    window.addEventListener('pagehide', this.handlePageHide);
+    window.addEventListener('online', this.handleOnline);
+
+    if (this.loadOffline().length > 0) this.flush();
+  }
+
+  stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    window.removeEventListener('pagehide', this.handlePageHide);
+    window.removeEventListener('online', this.handleOnline);
+  }
+}
+
+/**
+ * Register a report to collect on pagehide, e.g. the monitor's final report.
+ * Returns an unregister function.
+ */
+export function registerReportSource(type, getReport) {
+  reportSources.set(type, getReport);
+  return () => {
+    if (reportSources.get(type) === getReport) reportSources.delete(type);
+  };
+}
+
+// Global telemetry exporter, only created when telemetry is configured
+let globalTelemetryExporter = null;
+
+/**
+ * The configured exporter, or null when telemetry is off
+ */
+export function getTelemetryExporter() {
+  return globalTelemetryExporter;
+}
+
+/**
+ * Create and start the global exporter, replacing any earlier one
+ */
+export function configureTelemetry(options) {
+  globalTelemetryExporter?.stop();
+  globalTelemetryExporter = new TelemetryExporter(options);
+  globalTelemetryExporter.start();
+  return globalTelemetryExporter;
+}
+
+/**
+ * Configure telemetry from VITE_TELEMETRY_URL, VITE_TELEMETRY_FORMAT ('json'
+ * or 'otel') and VITE_TELEMETRY_SAMPLE_RATE. Without a URL nothing is sent.
+ */
+export function configureTelemetryFromEnv(env = import.meta.env) {
+  if (!env.VITE_TELEMETRY_URL) return null;
+
+  const createAdapter = env.VITE_TELEMETRY_FORMAT === 'otel' ? createOTelAdapter : createJSONAdapter;
+  const sampleRate = Number(env.VITE_TELEMETRY_SAMPLE_RATE ?? 1);
+
+  return configureTelemetry({
+    adapter: createAdapter({ url: env.VITE_TELEMETRY_URL }),
+    sampleRate: Number.isFinite(sampleRate) ? sampleRate : 1,
+    resource: { service: 'ynz3d', mode: env.MODE }
+  });
+}
+
+export default TelemetryExporter;
@@ -0,0 +1,244 @@
+import { createServer } from 'node:http';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLocalStorage } from '../test/localStorageStub';
+import {
+  TelemetryExporter,
+  createJSONAdapter,
+  createOTelAdapter,
+  registerReportSource,
+  scrubDeviceString,
+  scrubReport
+} from './telemetry';
+
+/**
+ * Local collector recording every POST body; `status` sets the response code
+ */
+function startMockCollector() {
+  const collector = { requests: [], status: 200, url: null };
+
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => (body += chunk));
+    request.on('end', () => {
+      collector.requests.push({ path: request.url, contentType: request.headers['content-type'], body: JSON.parse(body) });
+      response.writeHead(collector.status).end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      collector.url = `http://127.0.0.1:${server.address().port}`;
+      collector.close = () => new Promise(done => server.close(done));
+      resolve(collector);
+    });
+  });
+}
+
+const deviceReport = {
+  device: {
+    deviceInfo: {
+      browserName: 'Chrome',
+      browserVersion: '126.0.6478.127',
+      webgl: {
+        renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3080 (0x00002206) Direct3D11 vs_5_0 ps_5_0, D3D11)',
+        vendor: 'Google Inc. (NVIDIA)'
+      }
+    }
+  },
+  performance: { averageFPS: 58, fpsStability: 1.5 },
+  errors: { message: 'Failed to load https://cdn.example.com/phoenix.glb?token=abc for jane@example.com' }
+};
+
+describe('scrubbing', () => {
+  it('reduces GPU strings to the hardware model', () => {
+    expect(scrubDeviceString(deviceReport.device.deviceInfo.webgl.renderer))
+      .toBe('ANGLE (NVIDIA, NVIDIA GeForce RTX 3080 Direct3D11, D3D11)');
+    expect(scrubDeviceString('Mozilla/5.0 (Linux; Android 14) Chrome/126.0.6478.127 Mobile'))
+      .toBe('Mozilla/5.0 (Linux; Android 14) Chrome/126 Mobile');
+  });
+
+  it('keeps the major browser version and strips emails and URL parameters', () => {
+    const scrubbed = scrubReport(deviceReport);
+
+    expect(scrubbed.device.deviceInfo.browserVersion).toBe('126');
+    expect(scrubbed.errors.message).toBe('Failed to load https://cdn.example.com/phoenix.glb for [email]');
+    expect(scrubbed.performance).toEqual(deviceReport.performance);
+  });
+
+  it('drops functions', () => {
+    expect(scrubReport({ fps: 60, callback: () => {} })).toEqual({ fps: 60 });
+  });
+});
+
+describe('TelemetryExporter', () => {
+  let collector;
+
+  beforeAll(async () => {
+    collector = await startMockCollector();
+  });
+
+  afterAll(() => collector.close());
+
+  beforeEach(() => {
+    collector.requests = [];
+    collector.status = 200;
+    vi.stubGlobal('navigator', { onLine: true });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('sends a JSON batch once batchSize reports are queued', async () => {
+    const exporter = new TelemetryExporter({
+      adapter: createJSONAdapter({ url: `${collector.url}/reports` }),
+      batchSize: 2,
+      resource: { service: 'ynz3d' },
+      storage: createLocalStorage()
+    });
+
+    exporter.export('phoenix-monitor', deviceReport);
+    expect(collector.requests).toHaveLength(0);
+
+    exporter.export('test-suite', { summary: { overallResult: 'PASS' } });
+    await exporter.flush();
+
+    expect(collector.requests).toHaveLength(1);
+    const [{ path, contentType, body }] = collector.requests;
+    expect(path).toBe('/reports');
+    expect(contentType).toBe('application/json');
+    expect(body.resource).toMatchObject({ service: 'ynz3d', sessionId: expect.any(String) });
+    expect(body.reports.map(report => report.type)).toEqual(['phoenix-monitor', 'test-suite']);
+    expect(body.reports[0].report.device.deviceInfo.webgl.renderer).not.toContain('0x00002206');
+  });
+
+  it('formats reports as OTLP log records', async () => {
+    const exporter = new TelemetryExporter({
+      adapter: createOTelAdapter({ url: `${collector.url}/v1/logs` }),
+      resource: { service: 'ynz3d' },
+      storage: createLocalStorage()
+    });
+
+    exporter.export('phoenix-monitor', deviceReport);
+    await exporter.flush();
+
+    const { resourceLogs } = collector.requests[0].body;
+    expect(resourceLogs[0].resource.attributes).toContainEqual({ key: 'service', value: { stringValue: 'ynz3d' } });
+
+    const [record] = resourceLogs[0].scopeLogs[0].logRecords;
+    expect(record.timeUnixNano).toMatch(/^\d+000000$/);
+    expect(record.attributes).toContainEqual({ key: 'report.type', value: { stringValue: 'phoenix-monitor' } });
+    expect(record.attributes).toContainEqual({ key: 'report.performance.averageFPS', value: { intValue: '58' } });
+    expect(record.attributes).toContainEqual({ key: 'report.performance.fpsStability', value: { doubleValue: 1.5 } });
+    expect(JSON.parse(record.body.stringValue).device.deviceInfo.browserVersion).toBe('126');
+  });
+
+  it('samples once per session and report type', async () => {
+    const random = vi.fn(() => 0.3);
+    const exporter = new TelemetryExporter({
+      adapter: createJSONAdapter({ url: collector.url }),
+      sampleRate: 0.25,
+      sampleRates: { 'test-suite': 1 },
+      storage: createLocalStorage(),
+      random
+    });
+
+    expect(exporter.export('phoenix-monitor', deviceReport)).toBe(false);
+    expect(exporter.export('phoenix-monitor', deviceReport)).toBe(false);
+    expect(exporter.export('test-suite', {})).toBe(true);
+    expect(random).toHaveBeenCalledTimes(2);
+
+    await exporter.flush();
+    expect(collector.requests[0].body.reports.map(report => report.type)).toEqual(['test-suite']);
+  });
+
+  it('queues reports while offline and sends them when back online', async () => {
+    const storage = createLocalStorage();
+    const exporter = new TelemetryExporter({ adapter: createJSONAdapter({ url: collector.url }), storage });
+
+    navigator.onLine = false;
+    exporter.export('phoenix-monitor', { sequence: 1 });
+    expect(await exporter.flush()).toBe(false);
+    expect(collector.requests).toHaveLength(0);
+
+    // A new page load picks up what the last one stored
+    const nextExporter = new TelemetryExporter({ adapter: createJSONAdapter({ url: collector.url }), storage });
+    navigator.onLine = true;
+    nextExporter.export('phoenix-monitor', { sequence: 2 });
+    expect(await nextExporter.flush()).toBe(true);
+
+    expect(collector.requests[0].body.reports.map(({ report }) => report.sequence)).toEqual([1, 2]);
+    expect(storage.getItem('ynz3d-telemetry-queue')).toBeNull();
+  });
+
+  it('keeps batches the collector rejected for the next flush', async () => {
+    const exporter = new TelemetryExporter({
+      adapter: createJSONAdapter({ url: collector.url }),
+      storage: createLocalStorage()
+    });
+
+    collector.status = 503;
+    exporter.export('phoenix-monitor', { sequence: 1 });
+    expect(await exporter.flush()).toBe(false);
+
+    collector.status = 200;
+    expect(await exporter.flush()).toBe(true);
+
+    expect(collector.requests).toHaveLength(2);
+    expect(collector.requests[1].body.reports).toHaveLength(1);
+  });
+
+  it('caps the offline queue, dropping the oldest reports', async () => {
+    const storage = createLocalStorage();
+    const exporter = new TelemetryExporter({ adapter: createJSONAdapter({ url: collector.url }), maxQueueSize: 3, storage });
+
+    navigator.onLine = false;
+    for (let sequence = 1; sequence <= 5; sequence++) {
+      exporter.export('phoenix-monitor', { sequence });
+      await exporter.flush();
+    }
+
+    expect(JSON.parse(storage.getItem('ynz3d-telemetry-queue')).map(({ report }) => report.sequence)).toEqual([3, 4, 5]);
+  });
+
+  it('collects report sources and sends them with sendBeacon on pagehide', async () => {
+    let beacon = null;
+    vi.stubGlobal('navigator', {
+      onLine: true,
+      sendBeacon: vi.fn((url, body) => {
+        beacon = body.text().then(text => fetch(url, { method: 'POST', body: text, headers: { 'Content-Type': body.type } }));
+        return true;
+      })
+    });
+
+    const exporter = new TelemetryExporter({
+      adapter: createJSONAdapter({ url: `${collector.url}/beacon` }),
+      storage: createLocalStorage()
+    });
+    const unregister = registerReportSource('phoenix-monitor', () => ({ performance: { averageFPS: 42 } }));
+
+    exporter.flushOnPageHide();
+    unregister();
+    await beacon;
+
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    expect(collector.requests[0].path).toBe('/beacon');
+    expect(collector.requests[0].body.reports[0]).toMatchObject({
+      type: 'phoenix-monitor',
+      report: { performance: { averageFPS: 42 } }
+    });
+  });
+
+  it('stores the batch when sendBeacon refuses it', () => {
+    vi.stubGlobal('navigator', { onLine: true, sendBeacon: () => false });
+    const storage = createLocalStorage();
+    const exporter = new TelemetryExporter({ adapter: createJSONAdapter({ url: collector.url }), storage });
+
+    exporter.export('test-suite', { summary: {} });
+    exporter.flushOnPageHide();
+
+    expect(JSON.parse(storage.getItem('ynz3d-telemetry-queue'))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Web Vitals
+ * Thresholds, ratings and attribution helpers for the Core Web Vitals that
+ * PerformanceMetrics collects (LCP, CLS, INP, FCP, TTFB), plus the custom
+ * "model ready" mark set when the loading screen hides.
+ */
+
+export const MODEL_READY_MARK = 'ynz3d:model-ready';
+
+// [good, poor] boundaries from web.dev; values in between need improvement
+export const WEB_VITAL_THRESHOLDS = {
+  LCP: [2500, 4000], // ms
+  CLS: [0.1, 0.25], // unitless
+  INP: [200, 500], // ms
+  FCP: [1800, 3000], // ms
+  TTFB: [800, 1800] // ms
+};
+
+// A CLS session window ends after a 1s gap or at 5s
+const CLS_SESSION_GAP = 1000;
+const CLS_SESSION_MAX = 5000;
+
+/**
+ * Rate a metric value as 'good', 'needs-improvement' or 'poor'
+ */
+export function rateWebVital(name, value) {
+  const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Id of the section an element belongs to, or null outside sections
+ */
+export function getSectionLabel(element) {
+  const section = element?.closest?.('section');
+  if (!section) return null;
+  return section.id || 'section';
+}
+
+/**
+ * Short selector for an element: section, then tag with id or first class
+ */
+export function getElementSelector(element) {
+  if (!element?.tagName) return null;
+
+  const tag = element.tagName.toLowerCase();
+  const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+  const name = element.id ? `${tag}#${element.id}` : className ? `${tag}.${className}` : tag;
+  const section = getSectionLabel(element);
+
+  return section && element.tagName !== 'SECTION' ? `${section} > ${name}` : name;
+}
+
+/**
+ * Group layout shifts into session windows and return the largest, which is
+ * the page's CLS. Shifts right after user input do not count.
+ */
+export function getLargestShiftWindow(shifts) {
+  let largest = null;
+  let current = null;
+
+  shifts.filter(shift => !shift.hadRecentInput).forEach(shift => {
+    const continues = current &&
+      shift.startTime - current.lastTime < CLS_SESSION_GAP &&
+      shift.startTime - current.startTime < CLS_SESSION_MAX;
+
+    if (continues) {
+      current.value += shift.value;
+      current.lastTime = shift.startTime;
+      current.shifts.push(shift);
+    } else {
+      current = { value: shift.value, startTime: shift.startTime, lastTime: shift.startTime, shifts: [shift] };
+    }
+
+    if (!largest || current.value > largest.value) largest = current;
+  });
+
+  return largest;
+}
+
+/**
+ * Mark the moment the Phoenix model is loaded and the loading screen hides.
+ * Only the first call is recorded.
+ */
+export function markModelReady() {
+  if (typeof performance === 'undefined' || !performance.mark) return;
+  if (performance.getEntriesByName(MODEL_READY_MARK, 'mark').length > 0) return;
+
+  performance.mark(MODEL_READY_MARK);
+}
@@ -0,0 +1,129 @@
+/**
+ * Model Loader Worker
+ * Fetches model bytes and runs GLTFLoader (Draco, Meshopt, KTX2 and image
+ * decoding) off the main thread. Parsed models are posted back with their
+ * buffers and bitmaps transferred; see src/utils/modelLoaderWorker.js.
+ */
+
+import { ImageBitmapLoader } from 'three';
+import { createGLTFLoader, fetchModelBytes, parseModelBytes } from '../utils/modelLoaderPipeline';
+import { ModelTransferError, serializeGLTF } from '../utils/modelTransfer';
+
+const WEBP_EXTENSION = 'EXT_texture_webp';
+// 1x1 lossy WebP, the same probe GLTFLoader uses
+const WEBP_PROBE = 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA';
+
+let gltfLoader = null;
+let webpSupport = null;
+const controllers = new Map();
+
+/**
+ * GLTFLoader falls back to document-based image loading on Safari, which does
+ * not exist in workers; ImageBitmaps are also what we want to transfer
+ */
+function imageBitmapTextures(parser) {
+  parser.textureLoader = new ImageBitmapLoader(parser.options.manager);
+  return { name: 'YNZ3D_image_bitmap_textures' };
+}
+
+/**
+ * Worker-safe EXT_texture_webp: the stock plugin detects support with an
+ * Image element. Registered under the same name, so it replaces it.
+ */
+function webpTextures(parser) {
+  const detectSupport = () => {
+    if (!webpSupport) {
+      webpSupport = fetch(WEBP_PROBE)
+        .then(response => response.blob())
+        .then(createImageBitmap)
+        .then(bitmap => bitmap.height === 1, () => false);
+    }
+    return webpSupport;
+  };
+
+  return {
+    name: WEBP_EXTENSION,
+    loadTexture: (textureIndex) => {
+      const { json } = parser;
+      const extension = json.textures[textureIndex].extensions?.[WEBP_EXTENSION];
+      if (!extension) return null;
+
+      return detectSupport().then(isSupported => {
+        if (isSupported) return parser.loadTextureImage(textureIndex, extension.source, parser.textureLoader);
+
+        if (json.extensionsRequired?.includes(WEBP_EXTENSION)) {
+          throw new Error('THREE.GLTFLoader: WebP required by asset but unsupported.');
+        }
+        return parser.loadTexture(textureIndex);
+      });
+    }
+  };
+}
+
+function configure({ renderer }) {
+  const { loader } = createGLTFLoader(renderer);
+  loader.register(imageBitmapTextures);
+  loader.register(webpTextures);
+  gltfLoader = loader;
+}
+
+async function fetchModel({ id, url, expectedBytes }) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  try {
+    const buffer = await fetchModelBytes(url, {
+      signal: controller.signal,
+      expectedBytes,
+      onProgress: (percentage, detail) => self.postMessage({ type: 'progress', id, percentage, detail })
+    });
+
+    self.postMessage({ type: 'result', id, buffer }, [buffer]);
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+async function parseModel({ id, url, buffer }) {
+  let result;
+
+  try {
+    const gltf = await parseModelBytes(gltfLoader, buffer, url);
+    result = serializeGLTF(gltf);
+  } catch (error) {
+    // Parsing only reads copies of the input, so the caller gets its bytes back to retry
+    if (error instanceof ModelTransferError) {
+      self.postMessage({
+        type: 'error',
+        id,
+        error: { name: error.name, message: error.message, fallback: true },
+        buffer
+      }, [buffer]);
+      return;
+    }
+    throw error;
+  }
+
+  self.postMessage({ type: 'result', id, payload: result.payload }, result.transfer);
+}
+
+self.addEventListener('message', async (event) => {
+  const { type, id } = event.data;
+
+  if (type === 'configure') {
+    configure(event.data);
+    return;
+  }
+
+  if (type === 'abort') {
+    controllers.get(id)?.abort();
+    return;
+  }
+
+  try {
+    if (type === 'fetch') await fetchModel(event.data);
+    else if (type === 'parse') await parseModel(event.data);
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: { name: error.name, message: error.message } });
+  }
+});
@@ -1,7 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from "@tailwindcss/vite";
+import serviceWorker from './scripts/vite-plugin-service-worker.js'
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [tailwindcss(), react()],
+  plugins: [
+    tailwindcss(),
+    react(),
+    serviceWorker({
+      template: 'src/serviceWorker/sw.js',
+      publicPrecache: [/^\/offline\.html$/, /^\/fonts\/amiamie\/otf\//],
+    }),
+  ],
 });